@@ -1,11 +1,28 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 const FileShredder = require('./modules/fileShredder');
 const Logger = require('./modules/logger');
 const StateManager = require('./modules/stateManager');
+const SettingsManager = require('./modules/settingsManager');
+const ProfileManager = require('./modules/profileManager');
+const JobController = require('./modules/jobController');
+const WorkerShredder = require('./modules/workerShredder');
+const ShredScheduler = require('./modules/shredScheduler');
+const StorageInfo = require('./modules/storageInfo');
+const PathPolicy = require('./modules/pathPolicy');
+const ProcessInfo = require('./modules/processInfo');
+const DestructionCertificate = require('./modules/destructionCertificate');
 const Utils = require('./modules/utils');
 
+// 粉碎前至少需要的可用空间：多次重命名时随机名称可能比原名称长，目录可能需要新的数据块
+const RENAME_RESERVE_BYTES = 1024 * 1024;
+
+// 剩余空间擦除需要的inode数：临时目录、标记文件和至少一个填充文件
+const FREE_SPACE_INODES = 3;
+
 /**
  * 文件粉碎机主进程
  * 负责创建应用程序窗口和处理IPC通信
@@ -15,9 +32,17 @@ class FileShredderApp {
     this.mainWindow = null;
     this.logger = new Logger();
     this.stateManager = new StateManager(this.logger);
+    this.settingsManager = new SettingsManager(this.logger);
     this.fileShredder = new FileShredder(this.logger);
+    this.workerShredder = new WorkerShredder(this.logger);
+    this.profileManager = new ProfileManager(this.logger);
+    this.applyCustomProfiles();
     this.shreddingInProgress = false;
     this.shreddingQueue = [];
+    this.jobController = null;
+    // 当前粉碎任务（编号、开始时间和每个队列项的粉碎日志记录），用于生成销毁证书
+    this.currentJob = null;
+    this.certificate = new DestructionCertificate(path.join(app.getPath('userData'), 'certificates'));
     this.setupApp();
   }
 
@@ -43,8 +68,7 @@ class FileShredderApp {
     app.whenReady().then(() => {
       this.createWindow();
       this.setupIPC();
-      // 移除异常退出检查
-      // this.checkForAbnormalExit();
+      this.checkForAbnormalExit();
       this.logger.info('应用程序启动完成');
     });
 
@@ -145,6 +169,9 @@ class FileShredderApp {
     ipcMain.handle('add-files-to-queue', async (event, filePaths) => {
       try {
         const results = [];
+        const pathPolicy = new PathPolicy(this.getPathPolicyOptions());
+        // 所有文件共用一次进程扫描
+        const openFiles = await ProcessInfo.listOpenFiles();
         
         for (const filePath of filePaths) {
           // 检查文件是否存在
@@ -157,25 +184,39 @@ class FileShredderApp {
             continue;
           }
           
-          // 获取文件信息
-          const stats = fs.statSync(filePath);
+          // 检查是否为受保护的路径（系统目录、主目录、程序自身的目录以及禁止列表）
+          const protection = pathPolicy.check(filePath);
+          if (!protection.allowed) {
+            this.logger.warn(`拒绝粉碎受保护的路径: ${filePath}`, { reason: protection.reason });
+            results.push({
+              path: filePath,
+              success: false,
+              error: `不能粉碎${protection.reason}`
+            });
+            continue;
+          }
+          
+          // 允许列表放行了受保护的路径，每次放行都记录在日志中
+          if (protection.override) {
+            this.logger.warn(`受保护的路径已按允许列表放行: ${filePath}`, protection.override);
+          }
+          
+          // 获取文件信息（不跟随符号链接，链接按链接处理策略粉碎）
+          const stats = fs.lstatSync(filePath);
           const totalSize = stats.isDirectory() ? Utils.calculateTotalSize(filePath) : stats.size;
           
+          // 根据文件系统和存储介质评估覆盖是否有效（写时复制、固态硬盘等无法保证原位覆盖）
+          const assurance = StorageInfo.assess(filePath);
+          
           // 检查磁盘空间（安全措施）
-          try {
-            const freeSpace = await Utils.getFreeDiskSpace(path.dirname(filePath));
-            
-            if (totalSize > freeSpace) {
-              results.push({
-                path: filePath,
-                success: false,
-                error: '磁盘空间不足，无法安全粉碎文件'
-              });
-              continue;
-            }
-          } catch (diskError) {
-            this.logger.warn(`检查磁盘空间失败: ${diskError.message}`);
-            // 继续处理，但记录警告
+          const spaceError = this.checkDiskSpace({ path: filePath, size: totalSize, assurance });
+          if (spaceError) {
+            results.push({
+              path: filePath,
+              success: false,
+              error: spaceError
+            });
+            continue;
           }
           
           // 检查文件是否被锁定（安全措施）
@@ -199,6 +240,12 @@ class FileShredderApp {
             continue;
           }
           
+          // 超过设置的阈值时提醒粉碎可能耗时很长（不拒绝）
+          const warning = this.getLargeFileWarning(totalSize);
+          
+          // 查找打开了该文件（或文件夹中文件）的进程，由用户决定重新检查、跳过还是继续粉碎
+          const openHandles = await this.checkOpenHandles(filePath, openFiles);
+          
           // 添加到队列
           this.shreddingQueue.push({
             id: Date.now() + Math.random(),
@@ -206,14 +253,22 @@ class FileShredderApp {
             name: path.basename(filePath),
             isDirectory: stats.isDirectory(),
             size: totalSize,
+            method: this.settingsManager.get('defaultMethod'),
             status: 'pending',
             progress: 0,
+            warning,
+            assurance,
+            openHandles,
+            openHandlePolicy: null,
             addedAt: new Date()
           });
           
           results.push({
             path: filePath,
-            success: true
+            success: true,
+            warning,
+            assurance,
+            openHandles
           });
           
           this.logger.info(`文件已添加到粉碎队列: ${filePath}`);
@@ -234,6 +289,198 @@ class FileShredderApp {
       return { success: true, queue: this.shreddingQueue };
     });
 
+    // 设置队列中某一项的粉碎方法
+    ipcMain.handle('set-item-method', async (event, itemId, method) => {
+      if (this.shreddingInProgress) {
+        return { success: false, error: '粉碎操作正在进行中，无法修改粉碎方法' };
+      }
+
+      if (!this.fileShredder.isValidMethod(method)) {
+        return { success: false, error: `未知的粉碎方法: ${method}` };
+      }
+
+      const item = this.shreddingQueue.find(queueItem => queueItem.id === itemId);
+      if (!item) {
+        return { success: false, error: '队列中不存在该文件' };
+      }
+
+      if (item.jobType === 'freeSpace') {
+        return { success: false, error: '剩余空间擦除固定使用1次随机覆盖' };
+      }
+
+      // 检查点只对记录时的粉碎方法有效
+      item.method = method;
+      delete item.resume;
+      this.logger.info(`已修改粉碎方法: ${item.path}`, { method });
+      this.updateQueueStatus(this.shreddingQueue);
+      return { success: true, queue: this.shreddingQueue };
+    });
+
+    // 重新检查打开了队列项的进程
+    ipcMain.handle('recheck-open-handles', async (event, itemId) => {
+      const item = this.shreddingQueue.find(queueItem => queueItem.id === itemId);
+      if (!item) {
+        return { success: false, error: '队列中不存在该文件' };
+      }
+
+      item.openHandles = await this.checkOpenHandles(item.path);
+      this.updateQueueStatus(this.shreddingQueue);
+      return { success: true, openHandles: item.openHandles, queue: this.shreddingQueue };
+    });
+
+    // 设置文件被其他进程打开时的处理方式（skip跳过、proceed仍然粉碎、null开始前仍被打开时跳过）
+    ipcMain.handle('set-open-handle-policy', async (event, itemId, policy) => {
+      if (this.shreddingInProgress) {
+        return { success: false, error: '粉碎操作正在进行中，无法修改处理方式' };
+      }
+
+      if (![null, 'skip', 'proceed'].includes(policy)) {
+        return { success: false, error: `无效的处理方式: ${policy}` };
+      }
+
+      const item = this.shreddingQueue.find(queueItem => queueItem.id === itemId);
+      if (!item) {
+        return { success: false, error: '队列中不存在该文件' };
+      }
+
+      item.openHandlePolicy = policy;
+      if (policy === 'proceed') {
+        this.logger.warn(`文件被其他进程打开，用户选择仍然粉碎: ${item.path}`, { holders: item.openHandles ? item.openHandles.holders : [] });
+      } else {
+        this.logger.info(`已设置被打开文件的处理方式: ${item.path}`, { policy });
+      }
+      this.updateQueueStatus(this.shreddingQueue);
+      return { success: true, queue: this.shreddingQueue };
+    });
+
+    // 获取可用的粉碎方法
+    ipcMain.handle('get-wipe-methods', async () => {
+      return { success: true, methods: this.fileShredder.getWipeMethods() };
+    });
+
+    // 获取自定义粉碎方案
+    ipcMain.handle('get-wipe-profiles', async () => {
+      return { success: true, profiles: this.profileManager.getProfiles() };
+    });
+
+    // 新建或更新自定义粉碎方案
+    ipcMain.handle('save-wipe-profile', async (event, profile) => {
+      try {
+        const savedProfile = this.profileManager.saveProfile(profile);
+        this.applyCustomProfiles();
+        return { success: true, profile: savedProfile, methods: this.fileShredder.getWipeMethods() };
+      } catch (error) {
+        this.logger.error('保存粉碎方案失败', { error: error.message });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 删除自定义粉碎方案
+    ipcMain.handle('delete-wipe-profile', async (event, profileId) => {
+      if (this.shreddingInProgress) {
+        return { success: false, error: '粉碎操作正在进行中，无法删除粉碎方案' };
+      }
+
+      if (!this.profileManager.deleteProfile(profileId)) {
+        return { success: false, error: '粉碎方案不存在' };
+      }
+
+      this.applyCustomProfiles();
+
+      // 使用已删除方案的默认设置和队列项回退到DoD标准
+      const methodId = `profile:${profileId}`;
+      if (this.settingsManager.get('defaultMethod') === methodId) {
+        this.settingsManager.updateSettings({ defaultMethod: 'dod' });
+      }
+      this.shreddingQueue.forEach(item => {
+        if (item.method === methodId) {
+          item.method = 'dod';
+        }
+      });
+      this.updateQueueStatus(this.shreddingQueue);
+
+      return { success: true, methods: this.fileShredder.getWipeMethods() };
+    });
+
+    // 获取用户设置
+    ipcMain.handle('get-settings', async () => {
+      return { success: true, settings: this.settingsManager.getSettings() };
+    });
+
+    // 更新用户设置
+    ipcMain.handle('update-settings', async (event, newSettings) => {
+      try {
+        if (newSettings.defaultMethod !== undefined && !this.fileShredder.isValidMethod(newSettings.defaultMethod)) {
+          return { success: false, error: `未知的粉碎方法: ${newSettings.defaultMethod}` };
+        }
+
+        if (newSettings.verificationMode !== undefined && !['none', 'full', 'sampled'].includes(newSettings.verificationMode)) {
+          return { success: false, error: `未知的校验方式: ${newSettings.verificationMode}` };
+        }
+
+        if (newSettings.verificationSamplePercent !== undefined) {
+          const percent = Number(newSettings.verificationSamplePercent);
+          if (!Number.isFinite(percent) || percent < 1 || percent > 100) {
+            return { success: false, error: '抽样比例必须在1到100之间' };
+          }
+          newSettings.verificationSamplePercent = percent;
+        }
+
+        if (newSettings.concurrency !== undefined) {
+          const concurrency = Number(newSettings.concurrency);
+          if (!Number.isInteger(concurrency) || concurrency < 0 || concurrency > 16) {
+            return { success: false, error: '并行数必须是0到16之间的整数（0表示自动）' };
+          }
+          newSettings.concurrency = concurrency;
+        }
+
+        if (newSettings.largeFileWarningThresholdGB !== undefined) {
+          const threshold = Number(newSettings.largeFileWarningThresholdGB);
+          if (!Number.isFinite(threshold) || threshold < 0) {
+            return { success: false, error: '大文件提醒阈值不能为负数（0表示不提醒）' };
+          }
+          newSettings.largeFileWarningThresholdGB = threshold;
+        }
+
+        if (newSettings.freeSpaceReserveMB !== undefined) {
+          const reserve = Number(newSettings.freeSpaceReserveMB);
+          if (!Number.isInteger(reserve) || reserve < 0) {
+            return { success: false, error: '保留空间必须是不小于0的整数（MB）' };
+          }
+          newSettings.freeSpaceReserveMB = reserve;
+        }
+
+        if (newSettings.coverSlack !== undefined && typeof newSettings.coverSlack !== 'boolean') {
+          return { success: false, error: '松弛空间设置必须是布尔值' };
+        }
+
+        if (newSettings.linkPolicy !== undefined && !['unlink', 'skip', 'refuse'].includes(newSettings.linkPolicy)) {
+          return { success: false, error: `无效的链接处理策略: ${newSettings.linkPolicy}` };
+        }
+
+        for (const key of ['protectedPathDenyList', 'protectedPathAllowList']) {
+          if (newSettings[key] === undefined) {
+            continue;
+          }
+          if (!Array.isArray(newSettings[key]) || !newSettings[key].every(entry => typeof entry === 'string')) {
+            return { success: false, error: '路径列表格式不正确' };
+          }
+          const entries = [...new Set(newSettings[key].map(entry => entry.trim()).filter(entry => entry !== ''))];
+          const relativeEntry = entries.find(entry => !path.isAbsolute(entry));
+          if (relativeEntry) {
+            return { success: false, error: `路径列表只能包含绝对路径: ${relativeEntry}` };
+          }
+          newSettings[key] = entries;
+        }
+
+        const settings = this.settingsManager.updateSettings(newSettings);
+        return { success: true, settings };
+      } catch (error) {
+        this.logger.error('更新用户设置失败', error);
+        return { success: false, error: error.message };
+      }
+    });
+
     // 开始粉碎
     ipcMain.handle('start-shredding', async () => {
       if (this.shreddingInProgress) {
@@ -244,62 +491,57 @@ class FileShredderApp {
         return { success: false, error: '没有文件需要粉碎' };
       }
 
+      // 粉碎日志锁定时无法写入粉碎记录
+      if (this.logger.isLocked()) {
+        return { success: false, locked: true, error: '粉碎日志已锁定，请先解锁粉碎日志' };
+      }
+
       try {
         this.shreddingInProgress = true;
-        // 保存状态
-        this.saveCurrentState();
-        this.logger.info('开始文件粉碎操作');
+        this.jobController = new JobController();
+        this.currentJob = { id: crypto.randomUUID(), startTime: new Date().toISOString(), records: new Map(), errors: new Map() };
+        this.logger.info('开始文件粉碎操作', { jobId: this.currentJob.id });
 
         // 重置所有文件状态
         this.shreddingQueue.forEach(item => {
           item.status = 'pending';
           item.progress = 0;
+          delete item.children;
+          delete item.childSummary;
         });
+        
+        // 保存状态
+        this.saveCurrentState();
 
-        // 逐个处理文件
-        for (let i = 0; i < this.shreddingQueue.length; i++) {
-          const item = this.shreddingQueue[i];
-          
-          // 更新状态为处理中
-          item.status = 'processing';
-          this.mainWindow.webContents.send('queue-updated', this.shreddingQueue);
-
-          try {
-            // 创建进度回调
-            const progressCallback = (progress) => {
-              item.progress = progress;
-              this.mainWindow.webContents.send('queue-updated', this.shreddingQueue);
-            };
-
-            // 执行粉碎
-            await this.fileShredder.shredFile(item.path, item.isDirectory, progressCallback);
-            
-            // 更新状态为完成
-            item.status = 'completed';
-            item.progress = 100;
-            this.logger.info(`文件粉碎完成: ${item.path}`);
-          } catch (error) {
-            // 更新状态为失败
-            item.status = 'failed';
-            this.logger.error(`文件粉碎失败: ${item.path}`, error);
-          }
-
-          // 通知渲染进程更新
-          this.mainWindow.webContents.send('queue-updated', this.shreddingQueue);
-        }
+        // 按并行数上限同时处理多个文件，已取消时不再开始剩余文件，剩余文件保持等待状态
+        const concurrency = this.getShredConcurrency();
+        const scheduler = new ShredScheduler(concurrency);
+        await scheduler.run(
+          this.createShredTasks(concurrency),
+          (task) => this.shredQueueItem(task.item, task.slots),
+          () => this.jobController.isCancelled()
+        );
 
+        const cancelled = this.jobController.isCancelled();
         this.shreddingInProgress = false;
+        this.jobController = null;
         // 保存状态
         this.saveCurrentState();
-        this.logger.info('文件粉碎操作完成');
+        this.logger.info(cancelled ? '文件粉碎操作已取消' : '文件粉碎操作完成');
         
-        // 修复：在操作完成后，移除已完成的文件，保留失败的文件
-        this.shreddingQueue = this.shreddingQueue.filter(item => item.status === 'failed');
+        // 为本次任务生成销毁证书（列出队列中的每一项，包括跳过和未处理的项）
+        const certificate = await this.createCertificate(this.currentJob, this.shreddingQueue, cancelled);
+        this.currentJob = null;
+        
+        // 修复：在操作完成后，移除已完成的文件（包括已删除的链接），保留失败、已取消和未处理的文件
+        this.shreddingQueue = this.shreddingQueue.filter(item => !['completed', 'unlinked'].includes(item.status));
         this.updateQueueStatus(this.shreddingQueue);
         
-        return { success: true };
+        return { success: true, cancelled, certificate };
       } catch (error) {
         this.shreddingInProgress = false;
+        this.jobController = null;
+        this.currentJob = null;
         // 保存状态
         this.saveCurrentState();
         this.logger.error('文件粉碎操作失败', error);
@@ -307,6 +549,39 @@ class FileShredderApp {
       }
     });
 
+    // 暂停粉碎
+    ipcMain.handle('pause-shredding', async () => {
+      if (!this.jobController || !this.jobController.pause()) {
+        return { success: false, error: '没有正在进行的粉碎操作' };
+      }
+
+      this.setProcessingItemsStatus('processing', 'paused');
+      this.logger.info('文件粉碎操作已暂停');
+      return { success: true };
+    });
+
+    // 继续粉碎
+    ipcMain.handle('resume-shredding', async () => {
+      if (!this.jobController || !this.jobController.resume()) {
+        return { success: false, error: '没有已暂停的粉碎操作' };
+      }
+
+      this.setProcessingItemsStatus('paused', 'processing');
+      this.logger.info('文件粉碎操作已继续');
+      return { success: true };
+    });
+
+    // 取消粉碎
+    ipcMain.handle('cancel-shredding', async () => {
+      if (!this.jobController || this.jobController.isCancelled()) {
+        return { success: false, error: '没有正在进行的粉碎操作' };
+      }
+
+      this.jobController.cancel();
+      this.logger.warn('文件粉碎操作已请求取消');
+      return { success: true };
+    });
+
     // 清空队列
     ipcMain.handle('clear-queue', async () => {
       if (this.shreddingInProgress) {
@@ -341,11 +616,11 @@ class FileShredderApp {
     });
 
     // 选择文件夹对话框
-    ipcMain.handle('show-folder-dialog', async () => {
+    ipcMain.handle('show-folder-dialog', async (event, title = '选择要粉碎的文件夹') => {
       try {
         const result = await dialog.showOpenDialog(this.mainWindow, {
           properties: ['openDirectory'],
-          title: '选择要粉碎的文件夹'
+          title
         });
 
         if (result.canceled) {
@@ -359,8 +634,77 @@ class FileShredderApp {
       }
     });
 
+    // 添加剩余空间擦除任务
+    ipcMain.handle('add-free-space-job', async (event, dirPath) => {
+      try {
+        if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+          return { success: false, error: '目录不存在' };
+        }
+
+        // 检查是否为受保护的路径（系统目录、主目录、程序自身的目录以及禁止列表）
+        const protection = new PathPolicy(this.getPathPolicyOptions()).check(dirPath);
+        if (!protection.allowed) {
+          this.logger.warn(`拒绝擦除受保护路径的剩余空间: ${dirPath}`, { reason: protection.reason });
+          return { success: false, error: `不能在${protection.reason}中擦除剩余空间` };
+        }
+
+        // 允许列表放行了受保护的路径，每次放行都记录在日志中
+        if (protection.override) {
+          this.logger.warn(`受保护的路径已按允许列表放行: ${dirPath}`, protection.override);
+        }
+
+        if (this.shreddingQueue.some(item => item.path === dirPath)) {
+          return { success: false, error: '该目录已在队列中' };
+        }
+
+        // 大小一列显示加入队列时可以填充的空间（不含保留空间）
+        const reserveBytes = this.settingsManager.get('freeSpaceReserveMB') * 1024 * 1024;
+        const item = {
+          id: Date.now() + Math.random(),
+          path: dirPath,
+          name: path.basename(dirPath),
+          isDirectory: true,
+          jobType: 'freeSpace',
+          size: Math.max(Utils.getDiskSpaceInfo(dirPath).freeBytes - reserveBytes, 0),
+          method: null,
+          status: 'pending',
+          progress: 0,
+          assurance: StorageInfo.assess(dirPath),
+          addedAt: new Date()
+        };
+
+        const spaceError = this.checkDiskSpace(item);
+        if (spaceError) {
+          return { success: false, error: spaceError };
+        }
+
+        this.shreddingQueue.push(item);
+
+        this.logger.info(`剩余空间擦除已添加到队列: ${dirPath}`, { size: item.size });
+        this.updateQueueStatus(this.shreddingQueue);
+        return { success: true, queue: this.shreddingQueue };
+      } catch (error) {
+        this.logger.error(`添加剩余空间擦除失败: ${dirPath}`, error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 获取路径所在磁盘的空间和inode统计
+    ipcMain.handle('get-disk-space', async (event, targetPath) => {
+      try {
+        return { success: true, space: Utils.getDiskSpaceInfo(targetPath) };
+      } catch (error) {
+        this.logger.error(`获取磁盘空间失败: ${targetPath}`, error);
+        return { success: false, error: error.message };
+      }
+    });
+
     // 获取日志
     ipcMain.handle('get-logs', async (event, logType) => {
+      if (logType === 'shredding' && this.logger.isLocked()) {
+        return { success: false, locked: true, error: '粉碎日志已锁定，请先解锁' };
+      }
+
       try {
         const logs = this.logger.getLogs(logType);
         return { success: true, logs };
@@ -372,6 +716,10 @@ class FileShredderApp {
 
     // 获取指定日期的日志
     ipcMain.handle('get-logs-by-date', async (event, logType, date) => {
+      if (logType === 'shredding' && this.logger.isLocked()) {
+        return { success: false, locked: true, error: '粉碎日志已锁定，请先解锁' };
+      }
+
       try {
         const logs = this.logger.getLogsByDate(logType, date);
         return { success: true, logs };
@@ -392,6 +740,139 @@ class FileShredderApp {
       }
     });
 
+    // 获取粉碎日志密钥状态（使用密钥文件时先尝试用记住的密钥文件自动解锁）
+    ipcMain.handle('get-log-key-status', async () => {
+      try {
+        if (this.logger.isLocked()) {
+          await this.logger.tryAutoUnlock();
+        }
+        return { success: true, status: this.logger.getKeyStatus() };
+      } catch (error) {
+        this.logger.error('获取日志密钥状态失败', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 用密码或密钥文件解锁粉碎日志
+    ipcMain.handle('unlock-logs', async (event, secret) => {
+      try {
+        const status = await this.logger.unlock(secret);
+        return { success: true, status };
+      } catch (error) {
+        this.logger.warn(`解锁粉碎日志失败: ${error.message}`);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 设置或更换粉碎日志的密码或密钥文件（重新加密已有的日志）
+    ipcMain.handle('change-log-key', async (event, secret) => {
+      if (this.shreddingInProgress) {
+        return { success: false, error: '粉碎操作正在进行中，无法更换日志密钥' };
+      }
+
+      try {
+        const summary = await this.logger.changeKey(secret);
+        return { success: true, summary, status: this.logger.getKeyStatus() };
+      } catch (error) {
+        this.logger.error('更换日志密钥失败', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 验证粉碎日志的哈希链
+    ipcMain.handle('verify-log-integrity', async () => {
+      if (this.logger.isLocked()) {
+        return { success: false, locked: true, error: '粉碎日志已锁定，请先解锁' };
+      }
+
+      try {
+        const result = this.logger.verifyIntegrity();
+        if (result.valid) {
+          this.logger.info(`粉碎日志完整性验证通过: ${result.dates} 天，${result.entries} 个条目`, { lastHash: result.lastHash });
+        } else {
+          this.logger.warn(`粉碎日志哈希链断开: ${result.broken.date} 第 ${result.broken.line} 行，${result.broken.reason}`);
+        }
+        return { success: true, result };
+      } catch (error) {
+        this.logger.error('验证粉碎日志完整性失败', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 对照签名和粉碎日志验证销毁证书
+    ipcMain.handle('verify-certificate', async (event, filePath) => {
+      if (this.logger.isLocked()) {
+        return { success: false, locked: true, error: '粉碎日志已锁定，请先解锁' };
+      }
+
+      try {
+        const result = this.certificate.verifyFile(filePath, (jobId) => this.logger.findJobRecords(jobId));
+        this.logger.info(`销毁证书验证${result.valid ? '通过' : '未通过'}: ${filePath}`, {
+          jobId: result.certificate.jobId,
+          signatureValid: result.signatureValid,
+          trustedKey: result.trustedKey,
+          documentValid: result.documentValid,
+          mismatches: result.mismatches
+        });
+        return { success: true, result };
+      } catch (error) {
+        this.logger.error('验证销毁证书失败', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 选择要验证的销毁证书
+    ipcMain.handle('show-certificate-dialog', async () => {
+      try {
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+          properties: ['openFile'],
+          title: '选择销毁证书',
+          defaultPath: this.certificate.certificatesDir,
+          filters: [
+            { name: '销毁证书', extensions: ['pdf', 'html'] }
+          ]
+        });
+
+        if (result.canceled) {
+          return { success: false, error: '用户取消选择' };
+        }
+
+        return { success: true, filePath: result.filePaths[0] };
+      } catch (error) {
+        this.logger.error('显示证书选择对话框失败', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 用系统默认程序打开销毁证书
+    ipcMain.handle('open-certificate', async (event, filePath) => {
+      const error = await shell.openPath(filePath);
+      if (error) {
+        this.logger.error(`打开销毁证书失败: ${filePath}`, { error });
+        return { success: false, error };
+      }
+      return { success: true };
+    });
+
+    // 选择密钥文件
+    ipcMain.handle('show-keyfile-dialog', async () => {
+      try {
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+          properties: ['openFile'],
+          title: '选择日志密钥文件'
+        });
+
+        if (result.canceled) {
+          return { success: false, error: '用户取消选择' };
+        }
+
+        return { success: true, filePath: result.filePaths[0] };
+      } catch (error) {
+        this.logger.error('显示密钥文件对话框失败', error);
+        return { success: false, error: error.message };
+      }
+    });
+
     // 检查异常退出
     ipcMain.handle('check-abnormal-exit', async () => {
       try {
@@ -404,10 +885,18 @@ class FileShredderApp {
     });
 
     // 恢复异常退出状态
-    ipcMain.handle('recover-from-abnormal-exit', async () => {
+    ipcMain.handle('recover-from-abnormal-exit', async (event, resumeItemIds = []) => {
+      if (this.shreddingInProgress) {
+        return { success: false, error: '粉碎操作正在进行中，无法恢复' };
+      }
+
       try {
-        const recoveryResult = this.stateManager.handleAbnormalExitRecovery();
-        return { success: true, recoveryResult };
+        const recoveryResult = this.stateManager.handleAbnormalExitRecovery(resumeItemIds);
+        if (recoveryResult.recovered) {
+          recoveryResult.resumeTasks.forEach(task => this.requeueRecoveredTask(task));
+          this.updateQueueStatus(this.shreddingQueue);
+        }
+        return { success: true, recoveryResult, queue: this.shreddingQueue };
       } catch (error) {
         this.logger.error('恢复异常退出状态失败', error);
         return { success: false, error: error.message };
@@ -415,6 +904,362 @@ class FileShredderApp {
     });
   }
 
+  /**
+   * 获取并行粉碎数量（设置为0时根据CPU核心数自动确定）
+   * @returns {number} - 并行数
+   */
+  getShredConcurrency() {
+    const configured = this.settingsManager.get('concurrency');
+    if (configured > 0) {
+      return configured;
+    }
+    return Math.max(1, Math.min(os.cpus().length, 4));
+  }
+
+  /**
+   * 为队列中的每一项创建调度任务，按所在设备分组
+   * @param {number} concurrency - 并行数
+   * @returns {Array} - 调度任务数组
+   */
+  createShredTasks(concurrency) {
+    const deviceLimits = new Map();
+
+    return this.shreddingQueue.map(item => {
+      let device = item.path;
+      let deviceLimit = concurrency;
+
+      try {
+        device = StorageInfo.getDeviceId(item.path);
+        if (!deviceLimits.has(device)) {
+          // 机械硬盘同时只粉碎一个文件，无法判断设备类型时最多同时粉碎两个
+          const rotational = StorageInfo.isRotational(item.path);
+          deviceLimits.set(device, rotational ? 1 : rotational === null ? Math.min(2, concurrency) : concurrency);
+        }
+        deviceLimit = deviceLimits.get(device);
+      } catch (error) {
+        // 文件不存在等问题在粉碎时报告
+      }
+
+      // 文件夹内部同时粉碎多个文件，占用该设备的全部槽位
+      return { item, device, deviceLimit, slots: item.isDirectory ? deviceLimit : 1 };
+    });
+  }
+
+  /**
+   * 粉碎队列中的一项
+   * @param {object} item - 队列项
+   * @param {number} concurrency - 文件夹内同时粉碎的文件数
+   * @returns {Promise<void>}
+   */
+  async shredQueueItem(item, concurrency) {
+    // 更新状态为处理中
+    item.status = this.jobController.isPaused() ? 'paused' : 'processing';
+    this.mainWindow.webContents.send('queue-updated', this.shreddingQueue);
+
+    try {
+      // 用户选择跳过时不粉碎；是否有进程打开了文件由工作线程在打开每个文件前检查
+      if (item.jobType !== 'freeSpace' && item.openHandlePolicy === 'skip') {
+        const error = new Error('用户选择跳过该文件');
+        error.code = 'ESKIPPED';
+        throw error;
+      }
+
+      // 加入队列后磁盘空间可能已变化，开始前再检查一次
+      const spaceError = this.checkDiskSpace(item);
+      if (spaceError) {
+        const error = new Error(spaceError);
+        error.code = 'ENOSPC';
+        throw error;
+      }
+
+      // 创建进度回调
+      const tracker = { startTime: null, startBytes: 0 };
+      const progressCallback = (progress, detail) => {
+        item.progress = progress;
+        if (detail) {
+          item.progressDetail = this.createProgressDetail(tracker, detail);
+        }
+        this.mainWindow.webContents.send('queue-updated', this.shreddingQueue);
+      };
+
+      // 保存该项写入粉碎日志的记录，生成销毁证书时使用
+      const onRecord = (record) => this.currentJob.records.set(item.id, record);
+
+      // 在工作线程中执行粉碎，主进程保持响应
+      const result = item.jobType === 'freeSpace'
+        ? await this.workerShredder.wipeFreeSpace(item.path, progressCallback, {
+          controller: this.jobController,
+          reserveBytes: this.settingsManager.get('freeSpaceReserveMB') * 1024 * 1024,
+          pathPolicy: this.getPathPolicyOptions(),
+          assurance: item.assurance || null,
+          jobId: this.currentJob.id,
+          onRecord
+        })
+        : await this.workerShredder.shredFile(item.path, item.isDirectory, progressCallback, {
+          method: item.method,
+          verification: {
+            mode: this.settingsManager.get('verificationMode'),
+            samplePercent: this.settingsManager.get('verificationSamplePercent')
+          },
+          controller: this.jobController,
+          resume: item.resume || null,
+          onCheckpoint: (checkpoint) => {
+            this.stateManager.saveCheckpoint(item.id, { ...checkpoint, method: item.method });
+          },
+          concurrency,
+          linkPolicy: this.settingsManager.get('linkPolicy'),
+          coverSlack: this.settingsManager.get('coverSlack'),
+          checkOpenHandles: true,
+          openHandlePolicy: item.openHandlePolicy,
+          pathPolicy: this.getPathPolicyOptions(),
+          assurance: item.assurance || null,
+          jobId: this.currentJob.id,
+          onRecord
+        });
+
+      // 更新状态为完成；符号链接和硬链接文件按链接处理策略只删除了链接，单独标记，不算粉碎成功
+      item.status = result && result.unlinked ? 'unlinked' : 'completed';
+      item.progress = 100;
+      this.setItemChildren(item, result && result.children, result && result.childSummary);
+      this.logger.info(item.status === 'unlinked' ? `已删除链接（未覆盖数据）: ${item.path}` : `文件粉碎完成: ${item.path}`);
+    } catch (error) {
+      this.setItemChildren(item, error.children, error.childSummary);
+      this.currentJob.errors.set(item.id, error.message);
+      if (JobController.isCancelError(error)) {
+        // 更新状态为已取消（文件可能已被部分覆盖）
+        item.status = 'cancelled';
+        this.logger.warn(`文件粉碎已取消: ${item.path}`);
+      } else if (error.code === 'ESKIPPED') {
+        // 更新状态为已跳过（文件未被修改）
+        item.status = 'skipped';
+        this.logger.warn(`文件粉碎已跳过: ${item.path}`, { reason: error.message });
+      } else if (error.code === 'EPARTIAL') {
+        // 更新状态为部分完成（文件夹中部分子项目已被粉碎）
+        item.status = 'partial';
+        this.logger.error(`文件夹部分粉碎: ${item.path}`, error);
+      } else {
+        // 更新状态为失败
+        item.status = 'failed';
+        this.logger.error(`文件粉碎失败: ${item.path}`, error);
+      }
+    }
+
+    // 该文件已处理结束，清除检查点和进度详情并保存队列状态
+    delete item.resume;
+    delete item.progressDetail;
+    this.stateManager.clearCheckpoint(item.id);
+    this.saveCurrentState();
+
+    // 通知渲染进程更新
+    this.mainWindow.webContents.send('queue-updated', this.shreddingQueue);
+  }
+
+  /**
+   * 保存文件夹中每个子项目的粉碎结果，供文件列表展开显示
+   * 子项目很多时只保存部分结果（见FileShredder.summarizeChildren），childSummary为全部子项目的统计
+   * @param {object} item - 队列项
+   * @param {Array|null} children - 子项目结果
+   * @param {object|null} childSummary - 子项目统计
+   */
+  setItemChildren(item, children, childSummary = null) {
+    if (children) {
+      item.children = children;
+      item.childSummary = childSummary;
+    } else {
+      delete item.children;
+      delete item.childSummary;
+    }
+  }
+
+  /**
+   * 生成销毁证书：签名的HTML证书和由其打印的PDF证书（PDF的签名保存在同名的 .sig 文件中）
+   * 生成失败不影响粉碎结果，只记录错误
+   * @param {object} job - 粉碎任务（id、startTime、records、errors）
+   * @param {Array} items - 本次任务的队列项
+   * @param {boolean} cancelled - 任务是否已取消
+   * @returns {Promise<object>} - 生成结果（success、htmlPath、pdfPath或error）
+   */
+  async createCertificate(job, items, cancelled) {
+    try {
+      let operator;
+      try {
+        operator = os.userInfo().username;
+      } catch (error) {
+        operator = process.env.USER || process.env.USERNAME || '未知';
+      }
+
+      const certificate = DestructionCertificate.build({
+        jobId: job.id,
+        operator,
+        hostname: os.hostname(),
+        startTime: job.startTime,
+        endTime: new Date().toISOString(),
+        toolVersion: app.getVersion(),
+        cancelled,
+        items: items.map(item => {
+          const methodDefinition = item.method ? this.fileShredder.resolveMethod(item.method) : null;
+          return {
+            path: item.path,
+            jobType: item.jobType,
+            isDirectory: item.isDirectory,
+            status: item.status,
+            size: item.size,
+            method: item.jobType === 'freeSpace' ? 'free-space' : item.method,
+            methodName: methodDefinition ? methodDefinition.name : null,
+            standard: methodDefinition ? methodDefinition.standard : null,
+            failureReason: job.errors.get(item.id) || null,
+            record: job.records.get(item.id) || null
+          };
+        })
+      });
+
+      const signed = this.certificate.sign(certificate);
+      const htmlPath = this.certificate.writeHtml(signed);
+      const pdfPath = await this.printCertificatePdf(htmlPath);
+      this.certificate.writePdfSignature(pdfPath, signed);
+
+      this.logger.info(`销毁证书已生成: ${pdfPath}`, { jobId: job.id, certificateId: certificate.certificateId });
+      return { success: true, htmlPath, pdfPath };
+    } catch (error) {
+      this.logger.error('生成销毁证书失败', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 用隐藏窗口把HTML证书打印为PDF
+   * @param {string} htmlPath - HTML证书路径
+   * @returns {Promise<string>} - PDF证书路径
+   */
+  async printCertificatePdf(htmlPath) {
+    const window = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        javascript: false,
+        nodeIntegration: false,
+        contextIsolation: true
+      }
+    });
+
+    try {
+      await window.loadFile(htmlPath);
+      const pdf = await window.webContents.printToPDF({ printBackground: true, pageSize: 'A4' });
+      const pdfPath = htmlPath.replace(/\.html$/, '.pdf');
+      fs.writeFileSync(pdfPath, pdf);
+      return pdfPath;
+    } finally {
+      window.destroy();
+    }
+  }
+
+  /**
+   * 根据实测的写入速度计算进度详情
+   * @param {object} tracker - 该项的速度统计（startTime、startBytes）
+   * @param {object} detail - 粉碎模块报告的进度详情（bytesDone、bytesTotal等）
+   * @returns {object} - 进度详情（增加throughput和etaSeconds）
+   */
+  createProgressDetail(tracker, detail) {
+    // 从第一次报告开始计时，从检查点继续时不把已完成的部分算入速度
+    if (tracker.startTime === null) {
+      tracker.startTime = Date.now();
+      tracker.startBytes = detail.bytesDone;
+    }
+
+    const elapsedSeconds = (Date.now() - tracker.startTime) / 1000;
+    const throughput = elapsedSeconds > 0 ? (detail.bytesDone - tracker.startBytes) / elapsedSeconds : 0;
+    const etaSeconds = throughput > 0 ? Math.ceil((detail.bytesTotal - detail.bytesDone) / throughput) : null;
+
+    return { ...detail, throughput, etaSeconds };
+  }
+
+  /**
+   * 获取受保护路径策略选项：程序自身的目录以及用户设置的禁止和允许列表
+   * @returns {object} - PathPolicy选项（appPaths、denyList、allowList）
+   */
+  getPathPolicyOptions() {
+    return {
+      appPaths: [app.getPath('userData'), this.logger.logsDir, app.getAppPath()],
+      denyList: this.settingsManager.get('protectedPathDenyList'),
+      allowList: this.settingsManager.get('protectedPathAllowList')
+    };
+  }
+
+  /**
+   * 查找打开了文件（或文件夹中任何文件）的其他进程
+   * @param {string} filePath - 文件或文件夹路径
+   * @param {object} openFiles - 已有的进程扫描结果（ProcessInfo.listOpenFiles），不传时重新扫描
+   * @returns {Promise<object>} - 检查结果（supported、incomplete、holders、checkedAt）
+   */
+  async checkOpenHandles(filePath, openFiles = null) {
+    const result = ProcessInfo.findHolders(filePath, openFiles || await ProcessInfo.listOpenFiles());
+    if (result.holders.length > 0) {
+      this.logger.warn(`文件被其他进程打开: ${filePath}`, { holders: result.holders.map(holder => `${holder.pid} ${holder.command}`) });
+    }
+    return { ...result, checkedAt: new Date().toISOString() };
+  }
+
+  /**
+   * 粉碎前检查磁盘空间
+   * 原位覆盖只需要重命名文件名时的少量空间；写时复制和日志结构文件系统的覆盖还需要与文件大小相同的可用空间；
+   * 剩余空间擦除需要超过保留空间的可用空间和创建临时目录、标记文件及填充文件的inode
+   * @param {object} item - 队列项（path、size、jobType、assurance）
+   * @returns {string|null} - 空间不足的原因，空间足够或无法获取统计时返回null
+   */
+  checkDiskSpace(item) {
+    const targetPath = item.jobType === 'freeSpace' ? item.path : path.dirname(item.path);
+    const reserveBytes = this.settingsManager.get('freeSpaceReserveMB') * 1024 * 1024;
+    const filesystem = item.assurance ? item.assurance.filesystem : null;
+    const overwriteBytes = StorageInfo.overwriteNeedsFreeSpace(filesystem) ? item.size : 0;
+    const requiredSpace = item.jobType === 'freeSpace' ? reserveBytes + 1 : overwriteBytes + RENAME_RESERVE_BYTES;
+    const requiredInodes = item.jobType === 'freeSpace' ? FREE_SPACE_INODES : 0;
+    if (Utils.hasEnoughDiskSpace(targetPath, requiredSpace, requiredInodes)) {
+      return null;
+    }
+
+    // 空间不足或无法获取统计，读取统计说明原因
+    let space;
+    try {
+      space = Utils.getDiskSpaceInfo(targetPath);
+    } catch (error) {
+      // 无法获取统计时不阻止粉碎，只记录警告
+      this.logger.warn(`检查磁盘空间失败: ${error.message}`);
+      return null;
+    }
+
+    if (space.freeInodes !== null && space.freeInodes < requiredInodes) {
+      return `磁盘可用的inode不足（需要${requiredInodes}个，当前只有${space.freeInodes}个），无法创建填充文件`;
+    }
+    if (item.jobType === 'freeSpace') {
+      return `磁盘可用空间（${Utils.formatFileSize(space.freeBytes)}）不超过保留空间（${Utils.formatFileSize(reserveBytes)}），无需擦除`;
+    }
+    if (overwriteBytes > 0) {
+      return `磁盘空间不足：${filesystem}覆盖时写入新的数据块，需要${Utils.formatFileSize(requiredSpace)}可用空间，当前只有${Utils.formatFileSize(space.freeBytes)}`;
+    }
+    return `磁盘空间不足：重命名文件名需要至少${Utils.formatFileSize(requiredSpace)}可用空间，当前只有${Utils.formatFileSize(space.freeBytes)}`;
+  }
+
+  /**
+   * 获取大文件提醒
+   * @param {number} size - 文件或文件夹大小
+   * @returns {string|null} - 提醒内容，未超过阈值时返回null
+   */
+  getLargeFileWarning(size) {
+    const thresholdGB = this.settingsManager.get('largeFileWarningThresholdGB');
+    if (!(thresholdGB > 0) || size <= thresholdGB * 1024 * 1024 * 1024) {
+      return null;
+    }
+    return `文件较大（${Utils.formatFileSize(size)}），粉碎可能需要很长时间`;
+  }
+
+  /**
+   * 把自定义粉碎方案同步给粉碎模块
+   */
+  applyCustomProfiles() {
+    const profiles = this.profileManager.getProfiles();
+    this.fileShredder.setCustomProfiles(profiles);
+    this.workerShredder.setCustomProfiles(profiles);
+  }
+
   /**
    * 更新队列状态
    */
@@ -429,6 +1274,84 @@ class FileShredderApp {
     }
   }
 
+  /**
+   * 切换正在处理的队列项状态（暂停和继续时使用）
+   * @param {string} fromStatus - 原状态
+   * @param {string} toStatus - 新状态
+   */
+  setProcessingItemsStatus(fromStatus, toStatus) {
+    this.shreddingQueue.forEach(item => {
+      if (item.status === fromStatus) {
+        item.status = toStatus;
+      }
+    });
+
+    if (this.mainWindow) {
+      this.mainWindow.webContents.send('queue-updated', this.shreddingQueue);
+    }
+  }
+
+  /**
+   * 将异常退出时未完成的任务重新加入队列，有检查点时从检查点继续
+   * @param {object} task - 恢复信息中的未完成任务
+   */
+  requeueRecoveredTask(task) {
+    if (!fs.existsSync(task.path)) {
+      this.logger.warn(`文件已不存在，无法继续粉碎: ${task.path}`);
+      return;
+    }
+
+    if (this.shreddingQueue.some(item => item.path === task.path)) {
+      return;
+    }
+
+    // 剩余空间擦除重新开始（开始前会删除上次留下的填充文件）
+    if (task.jobType === 'freeSpace') {
+      this.shreddingQueue.push({
+        id: task.id,
+        path: task.path,
+        name: task.name || path.basename(task.path),
+        isDirectory: true,
+        jobType: 'freeSpace',
+        size: task.size,
+        method: null,
+        status: 'pending',
+        progress: 0,
+        assurance: StorageInfo.assess(task.path),
+        addedAt: new Date()
+      });
+      this.logger.info(`已重新加入剩余空间擦除: ${task.path}`);
+      return;
+    }
+
+    // 检查点只对记录时的粉碎方法有效，方法已不存在时改用默认方法从头粉碎
+    const methodValid = this.fileShredder.isValidMethod(task.method);
+    const checkpoint = task.checkpoint;
+    const resume = methodValid && checkpoint && checkpoint.method === task.method
+      ? { path: checkpoint.path, passIndex: checkpoint.passIndex, offset: checkpoint.offset, passCount: checkpoint.passCount, originalSize: checkpoint.originalSize }
+      : null;
+
+    this.shreddingQueue.push({
+      id: task.id,
+      path: task.path,
+      name: task.name || path.basename(task.path),
+      isDirectory: task.isDirectory,
+      size: task.size,
+      method: methodValid ? task.method : this.settingsManager.get('defaultMethod'),
+      status: 'pending',
+      progress: 0,
+      assurance: StorageInfo.assess(task.path),
+      resume,
+      addedAt: new Date()
+    });
+
+    if (resume) {
+      this.logger.info(`已从检查点恢复粉碎任务: ${task.path}`, { passIndex: resume.passIndex, offset: resume.offset });
+    } else {
+      this.logger.info(`已重新加入粉碎队列: ${task.path}`);
+    }
+  }
+
   /**
    * 检查异常退出
    */
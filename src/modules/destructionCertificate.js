@@ -0,0 +1,533 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Utils = require('./utils');
+
+// 签名密钥文件（保存在证书目录中，私钥只有当前用户可读）
+const PRIVATE_KEY_FILE = 'signing-key.pem';
+const PUBLIC_KEY_FILE = 'signing-key.pub.pem';
+
+// HTML证书中保存签名数据的元素
+const DATA_ELEMENT_ID = 'certificate-data';
+
+// PDF证书的签名文件后缀（PDF无法嵌入签名数据，签名保存在同名的 .sig 文件中）
+const PDF_SIGNATURE_SUFFIX = '.sig';
+
+// 队列项状态的显示名称
+const STATUS_NAMES = {
+  completed: '粉碎成功',
+  unlinked: '仅删除链接（数据未覆盖）',
+  partial: '部分完成',
+  cancelled: '已取消',
+  skipped: '已跳过',
+  failed: '失败',
+  pending: '未处理'
+};
+
+// 队列项状态对应的粉碎日志结果
+const LOG_RESULTS = {
+  completed: 'success',
+  unlinked: 'unlinked',
+  partial: 'partial',
+  cancelled: 'cancelled',
+  skipped: 'skipped',
+  failed: 'failed'
+};
+
+/**
+ * 销毁证书模块
+ * 为每次粉碎任务生成可打印的销毁证书，用本机生成的Ed25519密钥签名，并可对照签名和粉碎日志验证证书
+ */
+class DestructionCertificate {
+  /**
+   * @param {string} certificatesDir - 证书和签名密钥的保存目录
+   */
+  constructor(certificatesDir) {
+    this.certificatesDir = certificatesDir;
+    this.keyPair = null;
+  }
+
+  /**
+   * 读取签名密钥，第一次使用时生成
+   * @returns {object} - 密钥对（privateKey、publicKey）
+   */
+  loadOrCreateKeys() {
+    if (this.keyPair) {
+      return this.keyPair;
+    }
+
+    fs.mkdirSync(this.certificatesDir, { recursive: true });
+    const privateKeyPath = path.join(this.certificatesDir, PRIVATE_KEY_FILE);
+    const publicKeyPath = path.join(this.certificatesDir, PUBLIC_KEY_FILE);
+
+    if (fs.existsSync(privateKeyPath)) {
+      const privateKey = crypto.createPrivateKey(fs.readFileSync(privateKeyPath, 'utf8'));
+      this.keyPair = { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+    } else {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+      fs.writeFileSync(privateKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+      fs.writeFileSync(publicKeyPath, publicKey.export({ type: 'spki', format: 'pem' }));
+      this.keyPair = { privateKey, publicKey };
+    }
+
+    return this.keyPair;
+  }
+
+  /**
+   * 获取本机签名公钥
+   * @returns {string} - 公钥（PEM格式）
+   */
+  getPublicKeyPem() {
+    return this.loadOrCreateKeys().publicKey.export({ type: 'spki', format: 'pem' });
+  }
+
+  /**
+   * 计算公钥指纹，打印在证书上供人工核对
+   * @param {string} publicKeyPem - 公钥（PEM格式）
+   * @returns {string} - SHA-256指纹（每4位十六进制以空格分隔）
+   */
+  static getFingerprint(publicKeyPem) {
+    const der = crypto.createPublicKey(publicKeyPem).export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex').match(/.{4}/g).join(' ');
+  }
+
+  /**
+   * 生成证书内容
+   * @param {object} job - 粉碎任务（jobId、operator、hostname、startTime、endTime、toolVersion、cancelled，
+   *   items为队列项数组：path、jobType、isDirectory、status、method、methodName、standard、size、failureReason、record为粉碎日志记录）
+   * @returns {object} - 证书内容
+   */
+  static build(job) {
+    const items = job.items.map(item => {
+      const record = item.record || null;
+      // 覆盖次数和粉碎标准取自粉碎日志中实际执行的覆盖步骤，没有覆盖任何数据时不列出粉碎标准
+      const passes = record && typeof record.passCount === 'number' ? record.passCount : 0;
+      return {
+        path: item.path,
+        type: item.jobType === 'freeSpace' ? 'freeSpace' : item.isDirectory ? 'directory' : 'file',
+        size: record ? record.originalSize : item.size || 0,
+        method: record && record.method ? record.method : item.method || null,
+        methodName: passes > 0 ? item.methodName || null : null,
+        standard: passes > 0 ? (record.standard || item.standard || null) : null,
+        passes,
+        verification: DestructionCertificate.describeVerification(record ? record.verification : null),
+        status: item.status,
+        failureReason: record && record.failureReason ? record.failureReason : item.failureReason || null,
+        // 完成时间和覆盖字节数与任务编号、路径一起用于在粉碎日志中找到对应的记录
+        completedAt: record ? record.endTime || null : null,
+        bytesOverwritten: DestructionCertificate.getBytesOverwritten(record),
+        // 用户选择跳过、未处理以及开始粉碎前检查失败的项目没有粉碎日志记录（打开文件时发现被其他进程打开而跳过的有记录）
+        logged: Boolean(record)
+      };
+    });
+
+    const summary = {};
+    for (const item of items) {
+      summary[item.status] = (summary[item.status] || 0) + 1;
+    }
+
+    return {
+      version: 1,
+      certificateId: crypto.randomUUID(),
+      jobId: job.jobId,
+      operator: job.operator,
+      hostname: job.hostname,
+      startTime: job.startTime,
+      endTime: job.endTime,
+      cancelled: Boolean(job.cancelled),
+      toolName: '文件粉碎机',
+      toolVersion: job.toolVersion,
+      issuedAt: new Date().toISOString(),
+      summary,
+      items
+    };
+  }
+
+  /**
+   * 把回读校验结果转换为证书中的文字
+   * @param {object|null} verification - 粉碎日志中的校验结果
+   * @returns {string} - 校验结果
+   */
+  static describeVerification(verification) {
+    if (!verification || verification.mode === 'none') {
+      return '未校验';
+    }
+    const modeText = verification.mode === 'sampled' ? '抽样校验' : '完整校验';
+    if (verification.passed === true) {
+      return `通过（${modeText}）`;
+    }
+    if (verification.passed === false) {
+      return `失败（${modeText}）`;
+    }
+    return `未完成（${modeText}）`;
+  }
+
+  /**
+   * 把值转换为键按字母排序的JSON，保证签名和验证时的字节相同
+   * @param {*} value - 要转换的值
+   * @returns {string} - 规范化的JSON
+   */
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(element => DestructionCertificate.canonicalize(element)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${DestructionCertificate.canonicalize(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * 签名证书
+   * @param {object} certificate - 证书内容
+   * @returns {object} - 已签名的证书（certificate、signature为algorithm、publicKey、value）
+   */
+  sign(certificate) {
+    const { privateKey } = this.loadOrCreateKeys();
+    const value = crypto.sign(null, Buffer.from(DestructionCertificate.canonicalize(certificate), 'utf8'), privateKey);
+    return {
+      certificate,
+      signature: {
+        algorithm: 'Ed25519',
+        publicKey: this.getPublicKeyPem(),
+        value: value.toString('base64')
+      }
+    };
+  }
+
+  /**
+   * 检查证书签名
+   * @param {object} signed - 已签名的证书
+   * @returns {object} - 检查结果（signatureValid签名是否与内容一致，trustedKey是否为本机的签名密钥）
+   */
+  verifySignature(signed) {
+    const { certificate, signature } = signed;
+    let signatureValid = false;
+    try {
+      signatureValid = signature.algorithm === 'Ed25519' && crypto.verify(
+        null,
+        Buffer.from(DestructionCertificate.canonicalize(certificate), 'utf8'),
+        crypto.createPublicKey(signature.publicKey),
+        Buffer.from(signature.value, 'base64')
+      );
+    } catch (error) {
+      signatureValid = false;
+    }
+
+    // 证书中的公钥可以被一起替换，只有本机的公钥才能证明证书由本机签发
+    const trustedKey = typeof signature.publicKey === 'string' &&
+      signature.publicKey.trim() === this.getPublicKeyPem().trim();
+
+    return { signatureValid, trustedKey };
+  }
+
+  /**
+   * 格式化证书中的时间（UTC），不依赖系统的时区和语言设置，同一证书在任何计算机上生成的页面都相同
+   * @param {string} time - ISO格式的时间
+   * @returns {string} - 格式化后的时间
+   */
+  static formatTime(time) {
+    return time ? `${new Date(time).toISOString().slice(0, 19).replace('T', ' ')} UTC` : '-';
+  }
+
+  /**
+   * 生成HTML证书，签名数据嵌入在页面中
+   * 页面只由签名数据决定，验证时重新生成并与文件逐字节比较
+   * @param {object} signed - 已签名的证书
+   * @returns {string} - HTML内容
+   */
+  static renderHtml(signed) {
+    const { certificate, signature } = signed;
+    const escape = DestructionCertificate.escapeHtml;
+    const formatTime = DestructionCertificate.formatTime;
+    const typeNames = { file: '文件', directory: '文件夹', freeSpace: '剩余空间' };
+
+    const rows = certificate.items.map((item, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td class="path">${escape(item.path)}</td>
+          <td>${escape(typeNames[item.type] || item.type)}</td>
+          <td>${escape(Utils.formatFileSize(item.size))}</td>
+          <td>${escape(item.passes > 0 ? item.standard || item.methodName || item.method : '-')}</td>
+          <td>${item.passes > 0 ? item.passes : '未覆盖'}</td>
+          <td>${escape(item.verification)}</td>
+          <td class="status-${escape(item.status)}">${escape(STATUS_NAMES[item.status] || item.status)}${item.failureReason ? `<br><small>${escape(item.failureReason)}</small>` : ''}</td>
+        </tr>`).join('');
+
+    const summary = Object.keys(certificate.summary)
+      .map(status => `${STATUS_NAMES[status] || status} ${certificate.summary[status]} 项`)
+      .join('，');
+
+    // 嵌入的JSON中转义 <，避免内容中的 </script> 提前结束元素
+    const data = JSON.stringify(signed).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+  <title>数据销毁证书 ${escape(certificate.jobId)}</title>
+  <style>
+    body { font-family: "Microsoft YaHei", "PingFang SC", sans-serif; color: #333; margin: 32px; font-size: 12px; }
+    h1 { text-align: center; color: #6a4c93; margin-bottom: 4px; }
+    .subtitle { text-align: center; color: #888; margin-bottom: 24px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+    th, td { border: 1px solid #d8cce8; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background-color: #f3eef9; }
+    .info th { width: 120px; }
+    .path { word-break: break-all; }
+    .status-failed, .status-partial { color: #c0392b; }
+    .status-cancelled, .status-skipped, .status-pending, .status-unlinked { color: #888; }
+    .signature { font-family: monospace; word-break: break-all; font-size: 10px; }
+  </style>
+</head>
+<body>
+  <h1>数据销毁证书</h1>
+  <div class="subtitle">证书编号 ${escape(certificate.certificateId)}</div>
+  <table class="info">
+    <tr><th>任务编号</th><td>${escape(certificate.jobId)}</td></tr>
+    <tr><th>操作人员</th><td>${escape(certificate.operator)}</td></tr>
+    <tr><th>计算机名称</th><td>${escape(certificate.hostname)}</td></tr>
+    <tr><th>开始时间</th><td>${escape(formatTime(certificate.startTime))}</td></tr>
+    <tr><th>结束时间</th><td>${escape(formatTime(certificate.endTime))}${certificate.cancelled ? '（任务已取消）' : ''}</td></tr>
+    <tr><th>粉碎工具</th><td>${escape(certificate.toolName)} ${escape(certificate.toolVersion)}</td></tr>
+    <tr><th>结果汇总</th><td>${escape(summary)}</td></tr>
+  </table>
+  <table>
+    <thead>
+      <tr><th>序号</th><th>路径</th><th>类型</th><th>大小</th><th>粉碎标准</th><th>覆盖次数</th><th>回读校验</th><th>结果</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="info">
+    <tr><th>签发时间</th><td>${escape(formatTime(certificate.issuedAt))}</td></tr>
+    <tr><th>签名算法</th><td>${escape(signature.algorithm)}</td></tr>
+    <tr><th>公钥指纹</th><td class="signature">${escape(DestructionCertificate.getFingerprint(signature.publicKey))}</td></tr>
+    <tr><th>签名</th><td class="signature">${escape(signature.value)}</td></tr>
+  </table>
+  <script type="application/json" id="${DATA_ELEMENT_ID}">${data}</script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * 从HTML证书中读取签名数据
+   * @param {string} html - HTML内容
+   * @returns {object} - 已签名的证书
+   */
+  static extractFromHtml(html) {
+    const match = html.match(new RegExp(`<script type="application/json" id="${DATA_ELEMENT_ID}">([\\s\\S]*?)</script>`));
+    if (!match) {
+      throw DestructionCertificate.createError('文件中没有销毁证书的签名数据', 'EBADCERT');
+    }
+    return DestructionCertificate.parseSigned(match[1]);
+  }
+
+  /**
+   * 解析并检查签名数据的格式
+   * @param {string} text - JSON文本
+   * @returns {object} - 已签名的证书
+   */
+  static parseSigned(text) {
+    let signed;
+    try {
+      signed = JSON.parse(text);
+    } catch (error) {
+      throw DestructionCertificate.createError('销毁证书的签名数据格式不正确', 'EBADCERT');
+    }
+    if (!signed || !signed.certificate || !Array.isArray(signed.certificate.items) || !signed.signature) {
+      throw DestructionCertificate.createError('销毁证书的签名数据不完整', 'EBADCERT');
+    }
+    return signed;
+  }
+
+  /**
+   * 保存HTML证书
+   * @param {object} signed - 已签名的证书
+   * @returns {string} - HTML证书路径
+   */
+  writeHtml(signed) {
+    fs.mkdirSync(this.certificatesDir, { recursive: true });
+    const { certificate } = signed;
+    const date = certificate.endTime.split('T')[0];
+    const htmlPath = path.join(this.certificatesDir, `certificate-${date}-${certificate.jobId.slice(0, 8)}.html`);
+    fs.writeFileSync(htmlPath, DestructionCertificate.renderHtml(signed));
+    return htmlPath;
+  }
+
+  /**
+   * 签名PDF证书，签名和证书内容保存在同名的 .sig 文件中
+   * @param {string} pdfPath - PDF证书路径
+   * @param {object} signed - 已签名的证书
+   * @returns {string} - 签名文件路径
+   */
+  writePdfSignature(pdfPath, signed) {
+    const { privateKey } = this.loadOrCreateKeys();
+    const pdf = fs.readFileSync(pdfPath);
+    const signaturePath = pdfPath + PDF_SIGNATURE_SUFFIX;
+    fs.writeFileSync(signaturePath, JSON.stringify({
+      ...signed,
+      document: {
+        sha256: crypto.createHash('sha256').update(pdf).digest('hex'),
+        value: crypto.sign(null, pdf, privateKey).toString('base64')
+      }
+    }, null, 2));
+    return signaturePath;
+  }
+
+  /**
+   * 获取粉碎日志记录中的覆盖字节数
+   * @param {object|null} record - 粉碎日志记录
+   * @returns {number|null} - 覆盖字节数，没有记录或没有覆盖时为null
+   */
+  static getBytesOverwritten(record) {
+    return record && typeof record.bytesOverwritten === 'number' ? record.bytesOverwritten : null;
+  }
+
+  /**
+   * 对照粉碎日志检查证书中的每个项目
+   * 按任务编号、路径、完成时间和覆盖字节数匹配日志记录（同一路径在任务中可能有多条记录），
+   * 证书中没有列出的日志记录也报告为不一致
+   * @param {object} certificate - 证书内容
+   * @param {Array} records - 粉碎日志中该任务的记录
+   * @returns {Array} - 不一致之处的说明，一致时为空数组
+   */
+  static compareWithLog(certificate, records) {
+    const mismatches = [];
+    const remaining = [...records];
+    const take = (predicate) => {
+      const index = remaining.findIndex(predicate);
+      return index >= 0 ? remaining.splice(index, 1)[0] : null;
+    };
+
+    for (const item of certificate.items) {
+      const samePath = (record) => record.jobId === certificate.jobId && record.path === item.path;
+      if (!item.logged) {
+        if (take(samePath)) {
+          mismatches.push(`${item.path}: 证书中该项目${STATUS_NAMES[item.status] || item.status}且没有粉碎日志记录，但粉碎日志中有记录`);
+        }
+        continue;
+      }
+
+      let record = take(candidate => samePath(candidate) && (candidate.endTime || null) === item.completedAt &&
+        DestructionCertificate.getBytesOverwritten(candidate) === item.bytesOverwritten);
+      if (!record) {
+        record = take(samePath);
+        if (!record) {
+          mismatches.push(`${item.path}: 粉碎日志中没有该项目的记录`);
+          continue;
+        }
+        mismatches.push(`${item.path}: 完成时间或覆盖字节数不一致（证书: ${item.completedAt}、${item.bytesOverwritten}，` +
+          `日志: ${record.endTime}、${DestructionCertificate.getBytesOverwritten(record)}）`);
+      }
+
+      if (record.result !== LOG_RESULTS[item.status]) {
+        mismatches.push(`${item.path}: 结果不一致（证书: ${STATUS_NAMES[item.status]}，日志: ${record.result}）`);
+      }
+      if (record.originalSize !== item.size) {
+        mismatches.push(`${item.path}: 大小不一致（证书: ${item.size}，日志: ${record.originalSize}）`);
+      }
+      if ((record.method || null) !== item.method) {
+        mismatches.push(`${item.path}: 粉碎方式不一致（证书: ${item.method}，日志: ${record.method}）`);
+      }
+      if ((typeof record.passCount === 'number' ? record.passCount : 0) !== item.passes) {
+        mismatches.push(`${item.path}: 覆盖次数不一致（证书: ${item.passes}，日志: ${record.passCount}）`);
+      }
+      if (DestructionCertificate.describeVerification(record.verification) !== item.verification) {
+        mismatches.push(`${item.path}: 回读校验结果不一致`);
+      }
+    }
+
+    for (const record of remaining) {
+      mismatches.push(`${record.path}: 粉碎日志中有该任务的记录（完成时间 ${record.endTime}），但证书中没有列出`);
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * 验证证书文件：检查签名和文件本身（PDF检查 .sig 文件中的文件签名，HTML按签名数据重新生成后逐字节比较），
+   * 并对照粉碎日志检查每个项目
+   * @param {string} filePath - HTML证书或PDF证书路径
+   * @param {function} getRecords - 根据任务编号获取粉碎日志记录的函数
+   * @returns {object} - 验证结果（valid、certificate、signatureValid、trustedKey、documentValid、mismatches）
+   */
+  verifyFile(filePath, getRecords) {
+    let signed;
+    let documentValid = null;
+
+    if (path.extname(filePath).toLowerCase() === '.pdf') {
+      const signaturePath = filePath + PDF_SIGNATURE_SUFFIX;
+      if (!fs.existsSync(signaturePath)) {
+        throw DestructionCertificate.createError(`找不到PDF证书的签名文件: ${signaturePath}`, 'EBADCERT');
+      }
+      signed = DestructionCertificate.parseSigned(fs.readFileSync(signaturePath, 'utf8'));
+      try {
+        documentValid = Boolean(signed.document) && crypto.verify(
+          null,
+          fs.readFileSync(filePath),
+          crypto.createPublicKey(signed.signature.publicKey),
+          Buffer.from(signed.document.value, 'base64')
+        );
+      } catch (error) {
+        documentValid = false;
+      }
+    } else {
+      const html = fs.readFileSync(filePath);
+      signed = DestructionCertificate.extractFromHtml(html.toString('utf8'));
+      // 签名只覆盖嵌入的数据，页面上显示的表格必须与按签名数据生成的页面完全相同
+      try {
+        documentValid = Buffer.from(DestructionCertificate.renderHtml(signed), 'utf8').equals(html);
+      } catch (error) {
+        documentValid = false;
+      }
+    }
+
+    const { signatureValid, trustedKey } = this.verifySignature({ certificate: signed.certificate, signature: signed.signature });
+    const mismatches = signatureValid
+      ? DestructionCertificate.compareWithLog(signed.certificate, getRecords(signed.certificate.jobId))
+      : [];
+
+    return {
+      valid: signatureValid && trustedKey && documentValid !== false && mismatches.length === 0,
+      certificate: signed.certificate,
+      signatureValid,
+      trustedKey,
+      documentValid,
+      mismatches
+    };
+  }
+
+  /**
+   * 转义HTML特殊字符
+   * @param {*} value - 要显示的值
+   * @returns {string} - 转义后的文本
+   */
+  static escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * 创建带错误码的错误
+   * @param {string} message - 错误信息
+   * @param {string} code - 错误码
+   * @returns {Error}
+   */
+  static createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = DestructionCertificate;
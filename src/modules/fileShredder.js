@@ -1,65 +1,209 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
 const Utils = require('./utils');
+const JobController = require('./jobController');
+const StorageInfo = require('./storageInfo');
+const PathPolicy = require('./pathPolicy');
+const ProcessInfo = require('./processInfo');
+
+const execFileAsync = promisify(execFile);
+
+// 清除元数据时设置的中性时间戳（1980-01-01，FAT等文件系统也能表示）
+const NEUTRAL_TIMESTAMP = new Date('1980-01-01T00:00:00Z');
+
+// 擦除剩余空间时单个填充文件的最大大小（FAT32单个文件不能超过4 GB）
+const FREE_SPACE_FILE_SIZE = 1024 * 1024 * 1024;
+
+// 擦除剩余空间时默认保留的空间，避免系统和其他程序写入时遇到磁盘已满
+const DEFAULT_FREE_SPACE_RESERVE = 256 * 1024 * 1024;
+
+// 剩余空间擦除使用的临时目录名（Utils.createSecureTempDir创建）
+const FREE_SPACE_TEMP_DIR_PATTERN = /^shredder-temp-[0-9a-f]{16}$/;
+
+// 剩余空间擦除临时目录中的标记文件，只有带标记文件的目录才会被当作上次留下的填充文件删除
+const FREE_SPACE_MARKER_FILE = '.file-shredder-free-space';
+
+// 粉碎结果、队列状态和粉碎日志中最多保留的子项目结果数，其余子项目只计入摘要
+const MAX_CHILD_RESULTS = 200;
+
+// 打开每个文件前检查其他进程时，进程扫描结果的最长有效时间（毫秒），避免文件夹中每个文件都重新扫描所有进程
+const OPEN_FILES_MAX_AGE_MS = 1000;
 
 /**
  * 文件粉碎器模块
- * 按照美国国防部DoD 5220.22-M标准实现文件粉碎功能
+ * 按照DoD 5220.22-M、Gutmann、NIST SP 800-88等标准实现文件粉碎功能
  */
 class FileShredder {
   constructor(logger = null) {
+    // 覆盖步骤（pass）定义：
+    // fixed - 固定字节，pattern - 重复的多字节模式，random - 随机数据，complement - 上一次覆盖结果的补码，
+    // encrypt - 用只在内存中的随机密钥原位加密，步骤结束后销毁密钥
+    
     // DoD 5220.22-M标准覆盖模式
     this.dodPatterns = [
-      { pattern: 0x00, description: '零覆盖' },
-      { pattern: 0xFF, description: '一覆盖' },
-      { pattern: 'random', description: '随机覆盖' }
+      { type: 'fixed', value: 0x00, description: '零覆盖' },
+      { type: 'fixed', value: 0xFF, description: '一覆盖' },
+      { type: 'random', description: '随机覆盖' }
     ];
     
     // Gutmann方法覆盖模式
     this.gutmannPatterns = [
       // 4次随机数据覆盖
-      { pattern: 'random', description: '随机覆盖' },
-      { pattern: 'random', description: '随机覆盖' },
-      { pattern: 'random', description: '随机覆盖' },
-      { pattern: 'random', description: '随机覆盖' },
+      { type: 'random', description: '随机覆盖' },
+      { type: 'random', description: '随机覆盖' },
+      { type: 'random', description: '随机覆盖' },
+      { type: 'random', description: '随机覆盖' },
       
       // 27次特定模式覆盖
-      { pattern: 0x55, description: '模式1' },
-      { pattern: 0xAA, description: '模式2' },
-      { pattern: 0x92, description: '模式3' },
-      { pattern: 0x49, description: '模式4' },
-      { pattern: 0x24, description: '模式5' },
-      { pattern: 0x92, description: '模式6' },
-      { pattern: 0x49, description: '模式7' },
-      { pattern: 0x24, description: '模式8' },
-      { pattern: 0x55, description: '模式9' },
-      { pattern: 0xAA, description: '模式10' },
-      { pattern: 0x92, description: '模式11' },
-      { pattern: 0x49, description: '模式12' },
-      { pattern: 0x24, description: '模式13' },
-      { pattern: 0x92, description: '模式14' },
-      { pattern: 0x49, description: '模式15' },
-      { pattern: 0x24, description: '模式16' },
-      { pattern: 0x55, description: '模式17' },
-      { pattern: 0xAA, description: '模式18' },
-      { pattern: 0x92, description: '模式19' },
-      { pattern: 0x49, description: '模式20' },
-      { pattern: 0x24, description: '模式21' },
-      { pattern: 0x92, description: '模式22' },
-      { pattern: 0x49, description: '模式23' },
-      { pattern: 0x24, description: '模式24' },
-      { pattern: 0x55, description: '模式25' },
-      { pattern: 0xAA, description: '模式26' },
-      { pattern: 0x92, description: '模式27' },
+      { type: 'fixed', value: 0x55, description: '模式1' },
+      { type: 'fixed', value: 0xAA, description: '模式2' },
+      { type: 'fixed', value: 0x92, description: '模式3' },
+      { type: 'fixed', value: 0x49, description: '模式4' },
+      { type: 'fixed', value: 0x24, description: '模式5' },
+      { type: 'fixed', value: 0x92, description: '模式6' },
+      { type: 'fixed', value: 0x49, description: '模式7' },
+      { type: 'fixed', value: 0x24, description: '模式8' },
+      { type: 'fixed', value: 0x55, description: '模式9' },
+      { type: 'fixed', value: 0xAA, description: '模式10' },
+      { type: 'fixed', value: 0x92, description: '模式11' },
+      { type: 'fixed', value: 0x49, description: '模式12' },
+      { type: 'fixed', value: 0x24, description: '模式13' },
+      { type: 'fixed', value: 0x92, description: '模式14' },
+      { type: 'fixed', value: 0x49, description: '模式15' },
+      { type: 'fixed', value: 0x24, description: '模式16' },
+      { type: 'fixed', value: 0x55, description: '模式17' },
+      { type: 'fixed', value: 0xAA, description: '模式18' },
+      { type: 'fixed', value: 0x92, description: '模式19' },
+      { type: 'fixed', value: 0x49, description: '模式20' },
+      { type: 'fixed', value: 0x24, description: '模式21' },
+      { type: 'fixed', value: 0x92, description: '模式22' },
+      { type: 'fixed', value: 0x49, description: '模式23' },
+      { type: 'fixed', value: 0x24, description: '模式24' },
+      { type: 'fixed', value: 0x55, description: '模式25' },
+      { type: 'fixed', value: 0xAA, description: '模式26' },
+      { type: 'fixed', value: 0x92, description: '模式27' },
       
       // 最后4次随机数据覆盖
-      { pattern: 'random', description: '随机覆盖' },
-      { pattern: 'random', description: '随机覆盖' },
-      { pattern: 'random', description: '随机覆盖' },
-      { pattern: 'random', description: '随机覆盖' }
+      { type: 'random', description: '随机覆盖' },
+      { type: 'random', description: '随机覆盖' },
+      { type: 'random', description: '随机覆盖' },
+      { type: 'random', description: '随机覆盖' }
     ];
     
+    // 内置的粉碎方法（standard为标准名称，reference为标准出处）
+    this.wipeMethods = {
+      quick: {
+        name: '快速粉碎',
+        standard: '单次随机覆盖',
+        reference: '非标准方法，适用于一般隐私数据',
+        description: '1次随机覆盖',
+        passes: [{ type: 'random', description: '随机覆盖' }]
+      },
+      dod: {
+        name: 'DoD 5220.22-M',
+        standard: 'DoD 5220.22-M (E)',
+        reference: '美国国防部《国家工业安全计划操作手册》DoD 5220.22-M（1995），第8-306节',
+        description: '3次覆盖（零、一、随机）',
+        passes: this.dodPatterns
+      },
+      'dod-ece': {
+        name: 'DoD 5220.22-M ECE',
+        standard: 'DoD 5220.22-M (ECE)',
+        reference: '美国国防部《国家工业安全计划操作手册》DoD 5220.22-M（1995），第8-306节（E、C、E组合）',
+        description: '7次覆盖（DoD E三次、随机、DoD E三次）',
+        passes: [
+          { type: 'fixed', value: 0x00, description: 'E: 零覆盖' },
+          { type: 'fixed', value: 0xFF, description: 'E: 一覆盖' },
+          { type: 'random', description: 'E: 随机覆盖' },
+          { type: 'random', description: 'C: 随机覆盖' },
+          { type: 'fixed', value: 0x00, description: 'E: 零覆盖' },
+          { type: 'fixed', value: 0xFF, description: 'E: 一覆盖' },
+          { type: 'random', verify: true, description: 'E: 随机覆盖并校验' }
+        ]
+      },
+      gutmann: {
+        name: 'Gutmann',
+        standard: 'Gutmann 35次覆盖',
+        reference: 'Peter Gutmann,《Secure Deletion of Data from Magnetic and Solid-State Memory》，USENIX Security 1996',
+        description: '35次覆盖',
+        passes: this.gutmannPatterns
+      },
+      schneier: {
+        name: 'Bruce Schneier',
+        standard: 'Schneier 7次覆盖',
+        reference: 'Bruce Schneier,《Applied Cryptography》第2版（1996），第10.9节',
+        description: '7次覆盖（一、零、5次随机）',
+        passes: [
+          { type: 'fixed', value: 0xFF, description: '一覆盖' },
+          { type: 'fixed', value: 0x00, description: '零覆盖' },
+          { type: 'random', description: '随机覆盖1' },
+          { type: 'random', description: '随机覆盖2' },
+          { type: 'random', description: '随机覆盖3' },
+          { type: 'random', description: '随机覆盖4' },
+          { type: 'random', description: '随机覆盖5' }
+        ]
+      },
+      vsitr: {
+        name: 'VSITR',
+        standard: 'BSI VSITR',
+        reference: '德国联邦信息安全办公室（BSI）《VS-IT-Richtlinien》（VSITR，1999）',
+        description: '7次覆盖（零、一交替3轮，最后0xAA）',
+        passes: [
+          { type: 'fixed', value: 0x00, description: '零覆盖1' },
+          { type: 'fixed', value: 0xFF, description: '一覆盖1' },
+          { type: 'fixed', value: 0x00, description: '零覆盖2' },
+          { type: 'fixed', value: 0xFF, description: '一覆盖2' },
+          { type: 'fixed', value: 0x00, description: '零覆盖3' },
+          { type: 'fixed', value: 0xFF, description: '一覆盖3' },
+          { type: 'fixed', value: 0xAA, description: '0xAA覆盖' }
+        ]
+      },
+      gost: {
+        name: 'GOST R 50739-95',
+        standard: 'GOST R 50739-95',
+        reference: '俄罗斯国家标准 ГОСТ Р 50739-95《计算机设备 防止未授权访问信息》（1995）',
+        description: '2次覆盖（零、随机）',
+        passes: [
+          { type: 'fixed', value: 0x00, description: '零覆盖' },
+          { type: 'random', description: '随机覆盖' }
+        ]
+      },
+      'hmg-is5': {
+        name: 'HMG IS5',
+        standard: 'HMG Infosec Standard 5 (Enhanced)',
+        reference: '英国政府《HMG Infosec Standard No. 5: Secure Sanitisation》增强级',
+        description: '3次覆盖（零、一、随机并校验）',
+        passes: [
+          { type: 'fixed', value: 0x00, description: '零覆盖' },
+          { type: 'fixed', value: 0xFF, description: '一覆盖' },
+          { type: 'random', verify: true, description: '随机覆盖并校验' }
+        ]
+      },
+      'nist-800-88-clear': {
+        name: 'NIST SP 800-88 Clear',
+        standard: 'NIST SP 800-88 Rev. 1 Clear',
+        reference: '美国国家标准与技术研究院《NIST SP 800-88 Rev. 1: Guidelines for Media Sanitization》（2014），附录A',
+        description: '1次零覆盖并校验',
+        passes: [{ type: 'fixed', value: 0x00, verify: true, description: '零覆盖并校验' }]
+      },
+      'crypto-erase': {
+        name: '加密擦除',
+        standard: '原位加密擦除（AES-256-CTR，密钥销毁）',
+        reference: '参照《NIST SP 800-88 Rev. 1》第2.6节加密擦除（Cryptographic Erase）的文件级做法，非标准方法',
+        description: '用随机密钥原位加密1次后销毁密钥，适用于固态硬盘和写时复制存储',
+        passes: [{ type: 'encrypt', description: 'AES-256-CTR原位加密，密钥销毁' }]
+      }
+    };
+    
+    // 用户自定义的粉碎方案（键为 profile:<方案ID>）
+    this.customProfiles = {};
+    
+    // 默认粉碎方法
+    this.defaultMethod = 'dod';
+    
     // 缓冲区大小（1MB）
     this.bufferSize = 1024 * 1024;
     
@@ -67,55 +211,174 @@ class FileShredder {
     this.logger = logger;
   }
 
+  /**
+   * 设置用户自定义的粉碎方案
+   * @param {Array} profiles - 已通过验证的方案数组
+   */
+  setCustomProfiles(profiles) {
+    this.customProfiles = {};
+    for (const profile of profiles) {
+      this.customProfiles[`profile:${profile.id}`] = {
+        name: profile.name,
+        standard: `自定义方案: ${profile.name}`,
+        reference: '用户自定义',
+        description: profile.description || `${profile.passes.length}次自定义覆盖`,
+        passes: profile.passes,
+        custom: true
+      };
+    }
+  }
+
+  /**
+   * 获取可用的粉碎方法列表（内置方法和自定义方案）
+   * @returns {Array} - 粉碎方法数组
+   */
+  getWipeMethods() {
+    const methods = { ...this.wipeMethods, ...this.customProfiles };
+    return Object.keys(methods).map(id => ({
+      id,
+      name: methods[id].name,
+      standard: methods[id].standard,
+      reference: methods[id].reference,
+      description: methods[id].description,
+      passes: methods[id].passes.length,
+      passDescriptions: methods[id].passes.map(pass => pass.description || pass.type),
+      custom: Boolean(methods[id].custom)
+    }));
+  }
+
+  /**
+   * 查找粉碎方法的定义
+   * @param {string} method - 粉碎方法
+   * @returns {object|null} - 方法定义或null
+   */
+  resolveMethod(method) {
+    if (Object.prototype.hasOwnProperty.call(this.wipeMethods, method)) {
+      return this.wipeMethods[method];
+    }
+    if (Object.prototype.hasOwnProperty.call(this.customProfiles, method)) {
+      return this.customProfiles[method];
+    }
+    return null;
+  }
+
+  /**
+   * 检查粉碎方法是否有效
+   * @param {string} method - 粉碎方法
+   * @returns {boolean} - 是否有效
+   */
+  isValidMethod(method) {
+    return this.resolveMethod(method) !== null;
+  }
+
   /**
    * 粉碎文件或文件夹
    * @param {string} filePath - 文件或文件夹路径
    * @param {boolean} isDirectory - 是否为文件夹
    * @param {function} progressCallback - 进度回调函数
-   * @returns {Promise} - 返回Promise对象
+   * @param {object} options - 粉碎选项
+   * @param {string} options.method - 粉碎方法（内置方法ID或 profile:<方案ID>）
+   * @param {object} options.verification - 回读校验设置（mode为none、full或sampled，samplePercent为抽样比例）
+   * @param {JobController} options.controller - 任务控制器，用于暂停、继续和取消
+   * @param {object} options.resume - 从检查点继续（path、passIndex、offset、passCount、originalSize）
+   * @param {function} options.onCheckpoint - 检查点回调，定期报告当前文件、覆盖步骤和偏移量
+   * @param {number} options.concurrency - 粉碎文件夹时同时粉碎的文件数
+   * @param {string} options.linkPolicy - 链接处理策略（unlink仅删除链接、skip跳过、refuse拒绝粉碎）
+   * @param {boolean} options.coverSlack - 是否覆盖最后一个块的松弛空间（默认只覆盖文件大小范围）
+   * @param {boolean} options.checkOpenHandles - 打开每个文件前检查是否有其他进程打开了该文件
+   * @param {string} options.openHandlePolicy - 文件被其他进程打开时的处理方式（proceed仍然粉碎，其他值跳过该文件）
+   * @param {object} options.assurance - 存储评估结果（StorageInfo.assess），记录在粉碎日志中
+   * @param {string} options.jobId - 粉碎任务编号，记录在粉碎日志中，用于对照销毁证书
+   * @param {object} options.pathPolicy - 受保护路径策略选项（appPaths、denyList、allowList，见PathPolicy）
+   * @returns {Promise<object>} - 粉碎结果（children为文件夹中子项目的结果，最多保留MAX_CHILD_RESULTS项，
+   *   childSummary为全部子项目的统计，粉碎文件时都为null；unlinked为true时只按链接处理策略删除了链接，没有覆盖任何数据）
+   * @throws {Error} - 粉碎失败时抛出，error.children、error.childSummary为已有的子项目结果；文件夹部分粉碎时code为EPARTIAL
    */
-  async shredFile(filePath, isDirectory, progressCallback) {
+  async shredFile(filePath, isDirectory, progressCallback, options = {}) {
     const startTime = new Date().toISOString();
+    const method = options.method || this.defaultMethod;
+    const methodDefinition = this.resolveMethod(method);
+    const report = FileShredder.createReport(options.verification);
+    // 粉碎后文件已不存在，在开始前确定所在的文件系统
+    const filesystem = FileShredder.getFilesystem(filePath, options.assurance);
     let originalSize = 0;
     let result = 'success';
     let failureReason = null;
     
     try {
+      // 验证粉碎方法
+      if (!methodDefinition) {
+        throw new Error(`未知的粉碎方法: ${method}`);
+      }
+      
       // 验证文件路径
-      const validation = Utils.validateFilePath(filePath);
+      const validation = Utils.validateFilePath(filePath, options.pathPolicy);
       if (!validation.isValid) {
         throw new Error(`文件验证失败: ${validation.errors.join(', ')}`);
       }
       
-      // 检查文件是否存在
-      if (!fs.existsSync(filePath)) {
+      // 检查文件是否存在（不跟随符号链接）
+      let entryStats;
+      try {
+        entryStats = fs.lstatSync(filePath);
+      } catch (error) {
         throw new Error(`文件不存在: ${filePath}`);
       }
       
+      // 符号链接、硬链接文件和特殊文件按链接处理策略处理，不覆盖链接指向的数据
+      const entryType = FileShredder.classifyEntry(entryStats);
+      if (entryType) {
+        const [decision] = this.applyLinkPolicy([{ path: filePath, type: entryType, nlink: entryStats.nlink }], options.linkPolicy, report);
+        if (decision.action === 'skipped') {
+          throw new Error(`已按链接处理策略跳过: ${filePath}`);
+        }
+        // 只删除了链接，不能记录为粉碎成功
+        result = 'unlinked';
+        return { ...FileShredder.summarizeChildren(report.children), unlinked: true };
+      }
+      
       // 检查文件是否被锁定
       if (Utils.isFileLocked(filePath)) {
         throw new Error(`文件被锁定，无法粉碎: ${filePath}`);
       }
       
-      // 获取原始文件大小
+      // 获取原始文件大小（覆盖按数据块流式写入，内存占用与文件大小无关，不限制文件大小）
       originalSize = Utils.calculateTotalSize(filePath);
       
-      // 检查文件大小，防止处理过大文件导致系统问题
-      const maxFileSize = 5 * 1024 * 1024 * 1024; // 5GB
-      if (!isDirectory && originalSize > maxFileSize) {
-        throw new Error(`文件过大，无法粉碎: ${Utils.formatFileSize(originalSize)}`);
-      }
-      
+      const shredOptions = {
+        verification: options.verification,
+        controller: options.controller || null,
+        resume: options.resume || null,
+        onCheckpoint: options.onCheckpoint || null,
+        concurrency: options.concurrency || 1,
+        linkPolicy: options.linkPolicy,
+        coverSlack: options.coverSlack,
+        openFiles: options.checkOpenHandles ? FileShredder.createOpenFilesScanner() : null,
+        openHandlePolicy: options.openHandlePolicy || null,
+        report
+      };
       if (isDirectory) {
-        await this.shredDirectory(filePath, progressCallback);
+        await this.shredDirectory(filePath, progressCallback, method, shredOptions);
       } else {
-        await this.shredSingleFile(filePath, progressCallback);
+        await this.shredSingleFile(filePath, progressCallback, method, shredOptions);
       }
     } catch (error) {
-      result = 'failed';
-      failureReason = error.message;
+      if (JobController.isCancelError(error)) {
+        // 取消不同于失败：记录被中断的文件仍在磁盘上
+        result = 'cancelled';
+        failureReason = report.partialFile
+          ? `粉碎已取消：${report.partialFile} 已被部分覆盖，仍保留在磁盘上`
+          : '粉碎已取消：文件尚未被覆盖，仍保留在磁盘上';
+      } else {
+        result = error.code === 'EPARTIAL' ? 'partial' : error.code === 'ESKIPPED' ? 'skipped' : 'failed';
+        failureReason = error.message;
+      }
+      Object.assign(error, FileShredder.summarizeChildren(report.children));
       throw error;
     } finally {
+      // 覆盖次数按实际执行的覆盖步骤计算（取消、失败或只删除链接时少于粉碎方法的步骤数）
+      const passes = report.passes.filter(Boolean);
+      
       // 记录粉碎日志
       if (this.logger) {
         this.logger.logShredding({
@@ -124,248 +387,711 @@ class FileShredder {
           path: filePath,
           originalSize,
           result,
-          failureReason
+          failureReason,
+          method,
+          standard: methodDefinition && passes.length > 0 ? methodDefinition.standard : null,
+          passCount: passes.length,
+          passes,
+          filesystem,
+          verification: report.verification,
+          metadataScrub: report.metadataScrub,
+          linkDecisions: report.linkDecisions,
+          ...FileShredder.summarizeChildren(report.children),
+          coverage: report.coverage,
+          assurance: options.assurance || null,
+          jobId: options.jobId || null
         });
       }
     }
+    
+    return FileShredder.summarizeChildren(report.children);
+  }
+
+  /**
+   * 创建粉碎过程报告，用于收集写入日志的信息
+   * @param {object} verification - 回读校验设置
+   * @returns {object} - 粉碎过程报告
+   */
+  static createReport(verification = null) {
+    const mode = verification && verification.mode ? verification.mode : 'none';
+    return {
+      verification: {
+        mode,
+        passesVerified: 0,
+        blocksChecked: 0,
+        passed: null,
+        mismatch: null
+      },
+      // 元数据清除情况（按文件计数，文件夹汇总所有文件）
+      metadataScrub: {
+        files: 0,
+        truncated: 0,
+        timestampsReset: 0,
+        xattrsRemoved: 0,
+        xattrsUnsupported: 0,
+        renames: 0,
+        directories: 0,
+        directoryRenames: 0
+      },
+      // 对符号链接、硬链接文件和特殊文件的处理决定
+      linkDecisions: [],
+      // 粉碎文件夹时每个子项目的结果
+      children: null,
+      // 覆盖范围：文件大小、实际覆盖的字节数、松弛空间和假定为空洞而未写入的全零区域（按文件累计）
+      coverage: { logicalSize: 0, bytesOverwritten: 0, slackBytes: 0, holeBytes: 0 },
+      // 每一步覆盖的耗时（包括回读校验）和写入的字节数（文件夹按步骤汇总所有文件）
+      passes: [],
+      // 被取消时已部分覆盖但未删除的文件
+      partialFile: null
+    };
   }
 
   /**
    * 粉碎单个文件
    * @param {string} filePath - 文件路径
    * @param {function} progressCallback - 进度回调函数
+   * @param {string} method - 粉碎方法
+   * @param {object} options - 粉碎选项（verification、controller、resume、onCheckpoint、report）
    * @returns {Promise} - 返回Promise对象
    */
-  async shredSingleFile(filePath, progressCallback) {
+  async shredSingleFile(filePath, progressCallback, method = this.defaultMethod, options = {}) {
     try {
       // 检查文件是否存在
       if (!fs.existsSync(filePath)) {
         throw new Error(`文件不存在: ${filePath}`);
       }
 
-      // 执行DoD 5220.22-M标准的三次覆盖
-      await this.performDoDWipe(filePath, progressCallback);
+      // 打开文件前检查是否有其他进程打开了该文件
+      if (options.openFiles) {
+        await this.checkOpenHandles(filePath, options.openFiles, options.openHandlePolicy);
+      }
+
+      // 按照所选方法覆盖文件数据
+      await this.wipeWithMethod(filePath, method, progressCallback, options);
+      
+      // 清除大小、时间戳和扩展属性等元数据
+      const metadata = await FileShredder.scrubMetadata(filePath);
       
       // 安全措施：多次重命名后再删除
-      this.secureDeleteFileName(filePath);
+      const renames = this.secureDeleteFileName(filePath);
+      
+      if (options.report) {
+        const scrub = options.report.metadataScrub;
+        scrub.files++;
+        scrub.truncated += metadata.truncated ? 1 : 0;
+        scrub.timestampsReset += metadata.timestampsReset ? 1 : 0;
+        if (metadata.xattrsRemoved === null) {
+          scrub.xattrsUnsupported++;
+        } else {
+          scrub.xattrsRemoved += metadata.xattrsRemoved;
+        }
+        scrub.renames += renames;
+      }
     } catch (error) {
       throw error;
     }
   }
 
   /**
-   * 覆盖文件数据
-   * @param {number} fileDescriptor - 文件描述符
-   * @param {number} fileSize - 文件大小
-   * @param {Buffer} buffer - 缓冲区
-   * @param {number|null} byteValue - 覆盖字节值（null表示随机数据）
+   * 检查是否有其他进程打开了文件（进程仍可能读到或写回原数据）
+   * 用户选择仍然粉碎时只记录警告，否则跳过该文件
+   * @param {string} filePath - 文件路径
+   * @param {function} openFiles - 进程扫描函数（createOpenFilesScanner）
+   * @param {string|null} policy - 用户选择的处理方式（proceed仍然粉碎）
    * @returns {Promise<void>}
+   * @throws {Error} - 文件被其他进程打开且用户没有选择仍然粉碎时抛出，code为ESKIPPED
    */
-  async overwriteFile(fileDescriptor, fileSize, buffer, byteValue) {
-    // 重置文件指针到开头
-    fs.fsyncSync(fileDescriptor);
-    
-    // 使用更大的缓冲区提高性能
-    const bufferSize = Math.min(buffer.length, 1024 * 1024); // 最大1MB缓冲区
-    const fullBuffers = Math.floor(fileSize / bufferSize);
-    const remainingBytes = fileSize % bufferSize;
-    
-    // 准备覆盖数据
-    let overwriteBuffer;
-    if (byteValue === null) {
-      // 随机数据 - 使用Utils生成安全随机数据提高性能和安全性
-      overwriteBuffer = Utils.generateSecureRandomData(bufferSize);
-    } else {
-      // 固定值数据
-      overwriteBuffer = Buffer.alloc(bufferSize, byteValue);
-    }
-    
-    // 写入完整缓冲区
-    for (let i = 0; i < fullBuffers; i++) {
-      // 如果是随机数据，每次生成新的随机数据以提高安全性
-      if (byteValue === null) {
-        overwriteBuffer = Utils.generateSecureRandomData(bufferSize);
-      }
-      
-      fs.writeSync(fileDescriptor, overwriteBuffer, 0, bufferSize, i * bufferSize);
+  async checkOpenHandles(filePath, openFiles, policy) {
+    const { holders } = ProcessInfo.findHolders(filePath, await openFiles());
+    if (holders.length === 0) {
+      return;
     }
-    
-    // 写入剩余字节
-    if (remainingBytes > 0) {
-      let remainingBuffer;
-      if (byteValue === null) {
-        // 为剩余字节生成新的随机数据
-        remainingBuffer = Utils.generateSecureRandomData(remainingBytes);
-      } else {
-        remainingBuffer = overwriteBuffer.slice(0, remainingBytes);
+
+    const names = holders.map(holder => `${holder.pid} ${holder.command}`);
+    if (policy === 'proceed') {
+      if (this.logger) {
+        this.logger.warn(`文件仍被其他进程打开，按用户选择继续粉碎: ${filePath}`, { holders: names });
       }
-      fs.writeSync(fileDescriptor, remainingBuffer, 0, remainingBytes, fullBuffers * bufferSize);
+      return;
     }
-    
-    // 同步到磁盘
-    fs.fsyncSync(fileDescriptor);
+
+    const error = new Error(`文件被其他进程打开，已跳过: ${filePath}（${names.join('、')}）`);
+    error.code = 'ESKIPPED';
+    throw error;
   }
 
   /**
-   * 执行快速粉碎（1次随机覆盖）
-   * @param {string} filePath - 文件路径
-   * @param {function} progressCallback - 进度回调函数
-   * @returns {Promise<void>}
+   * 创建进程扫描函数：开始扫描超过OPEN_FILES_MAX_AGE_MS后重新扫描，同时粉碎的文件共用正在进行的扫描
+   * @returns {function} - 返回ProcessInfo.listOpenFiles扫描结果（Promise）的函数
    */
-  async performQuickWipe(filePath, progressCallback = null) {
-    try {
-      // 使用随机数据覆盖文件
-      await FileShredder.overwriteFileWithPattern(filePath, null, progressCallback, 0, 100);
-    } catch (error) {
-      throw error;
-    }
+  static createOpenFilesScanner() {
+    let scan = null;
+    let scannedAt = 0;
+    return () => {
+      if (!scan || Date.now() - scannedAt > OPEN_FILES_MAX_AGE_MS) {
+        scannedAt = Date.now();
+        scan = ProcessInfo.listOpenFiles();
+      }
+      return scan;
+    };
   }
 
   /**
-   * 执行DoD 5220.22-M标准粉碎（3次覆盖）
+   * 按照指定方法覆盖文件数据
    * @param {string} filePath - 文件路径
+   * @param {string} method - 粉碎方法
    * @param {function} progressCallback - 进度回调函数
+   * @param {object} options - 粉碎选项（verification、controller、resume、onCheckpoint、report）
    * @returns {Promise<void>}
    */
-  async performDoDWipe(filePath, progressCallback = null) {
-    try {
-      await this.performDoDWipeInternal(filePath, progressCallback);
-    } catch (error) {
-      throw error;
+  async wipeWithMethod(filePath, method, progressCallback = null, options = {}) {
+    const methodDefinition = this.resolveMethod(method);
+    if (!methodDefinition) {
+      throw new Error('未知的粉碎方法');
     }
+    
+    await this.runPasses(filePath, methodDefinition.passes, progressCallback, options);
   }
 
   /**
-   * 执行DoD 5220.22-M标准的三次覆盖（内部方法）
+   * 依次执行覆盖步骤
+   * 标记了verify的步骤，以及开启校验时的最后一步，在写入后回读校验
    * @param {string} filePath - 文件路径
-   * @param {function} progressCallback - 进度回调函数
-   * @returns {Promise} - 返回Promise对象
+   * @param {Array} passes - 覆盖步骤数组
+   * @param {function} progressCallback - 进度回调函数（progress, detail），detail包含bytesDone、bytesTotal、passIndex、passCount
+   * @param {object} options - 粉碎选项（verification、controller、resume、onCheckpoint、report、coverSlack）
+   * @returns {Promise<void>}
    */
-  async performDoDWipeInternal(filePath, progressCallback) {
-    // DoD 5220.22-M标准：3次覆盖
-    // 第一次：全零
-    // 第二次：全一
-    // 第三次：随机数据
-    const patterns = [
-      0, // 全零
-      255, // 全一
-      null // 随机数据
-    ];
+  async runPasses(filePath, passes, progressCallback = null, options = {}) {
+    const verification = options.verification || { mode: 'none' };
+    const controller = options.controller || null;
+    const report = options.report || null;
+    
+    // 只有检查点记录的正是当前文件且覆盖步骤数量一致时才从检查点继续
+    const resume = options.resume && options.resume.path === filePath &&
+      (options.resume.passCount === undefined || options.resume.passCount === passes.length) ? options.resume : null;
+    const firstPass = resume ? Math.min(resume.passIndex, passes.length) : 0;
+    
+    // 每一步的覆盖范围相同：开启时覆盖到最后一个块的边界，稀疏文件的空洞不写入
+    // 覆盖松弛空间会把文件延长到块边界，从检查点继续时按检查点记录的原始大小计算
+    const originalSize = resume && typeof resume.originalSize === 'number' ? resume.originalSize : null;
+    const coverage = await FileShredder.analyzeCoverage(filePath, options.coverSlack === true, originalSize);
+    const fileSize = coverage.coverSize;
+    
+    // 报告检查点（passIndex等于步骤总数表示覆盖已全部完成）
+    const reportCheckpoint = (passIndex, offset) => {
+      if (options.onCheckpoint) {
+        options.onCheckpoint({ path: filePath, passIndex, offset, passCount: passes.length, originalSize: coverage.logicalSize });
+      }
+    };
     
     // 计算总操作次数
-    const totalOperations = patterns.length;
+    const totalOperations = passes.length;
     
     // 执行覆盖操作
-    for (let i = 0; i < patterns.length; i++) {
-      const pattern = patterns[i];
+    for (let i = firstPass; i < passes.length; i++) {
       const progressStart = (i / totalOperations) * 100;
       const progressEnd = ((i + 1) / totalOperations) * 100;
       
-      await FileShredder.overwriteFileWithPattern(filePath, pattern, progressCallback, progressStart, progressEnd);
+      // 确定本步骤的校验方式：未开启校验时，标记了verify的步骤使用完整校验
+      let passVerification = null;
+      if (passes[i].verify || (verification.mode !== 'none' && i === passes.length - 1)) {
+        passVerification = verification.mode === 'sampled'
+          ? { mode: 'sampled', samplePercent: verification.samplePercent }
+          : { mode: 'full' };
+      }
+      
+      try {
+        // 每个覆盖步骤开始前检查是否暂停或取消
+        if (controller) {
+          await controller.checkpoint();
+        }
+        
+        // 进度详情按字节和覆盖步骤报告
+        const passProgressCallback = progressCallback ? (progress, bytesWritten) => progressCallback(progress, {
+          bytesDone: i * fileSize + bytesWritten,
+          bytesTotal: passes.length * fileSize,
+          passIndex: i + 1,
+          passCount: passes.length
+        }) : null;
+        
+        // 加密步骤的密钥只在本步骤中存在，写入并同步到磁盘后立即销毁（从检查点继续时使用新的密钥）
+        const pass = passes[i].type === 'encrypt' ? FileShredder.createEncryptionPass(passes[i]) : passes[i];
+        const passStartedAt = Date.now();
+        let passResult;
+        try {
+          passResult = await FileShredder.overwriteFileWithPattern(filePath, pass, passProgressCallback, progressStart, progressEnd, {
+            verification: passVerification,
+            controller,
+            startOffset: resume && i === resume.passIndex ? resume.offset : 0,
+            onCheckpoint: (offset) => reportCheckpoint(i, offset),
+            coverSize: coverage.coverSize,
+            holes: coverage.holes
+          });
+        } finally {
+          if (pass.type === 'encrypt') {
+            FileShredder.destroyEncryptionKey(pass);
+          }
+        }
+        
+        if (report) {
+          FileShredder.addPassStats(report, i, passes[i], Date.now() - passStartedAt, passResult.bytesWritten);
+        }
+        
+        if (report && passResult.verified) {
+          report.verification.passesVerified++;
+          report.verification.blocksChecked += passResult.blocksChecked;
+          if (report.verification.passed === null) {
+            report.verification.passed = true;
+          }
+        }
+      } catch (error) {
+        if (JobController.isCancelError(error) && report && (i > 0 || error.bytesWritten > 0 || resume)) {
+          report.partialFile = filePath;
+        }
+        if (error.code === 'EVERIFY') {
+          error.message = `校验失败: 第${i + 1}步覆盖（${passes[i].description || passes[i].type}）${error.message}`;
+          if (report) {
+            report.verification.passed = false;
+            report.verification.mismatch = { path: filePath, pass: i + 1, offset: error.offset };
+          }
+        }
+        throw error;
+      }
+      
+      // 步骤完成后记录下一步的起点
+      reportCheckpoint(i + 1, 0);
+    }
+    
+    // 覆盖松弛空间时文件被延长到块边界，全部步骤完成后恢复原始大小
+    if (coverage.coverSize > coverage.logicalSize) {
+      await fs.promises.truncate(filePath, coverage.logicalSize);
+    }
+    
+    if (report) {
+      report.coverage.logicalSize += coverage.logicalSize;
+      report.coverage.bytesOverwritten += coverage.bytesOverwritten;
+      report.coverage.slackBytes += coverage.slackBytes;
+      report.coverage.holeBytes += coverage.holeBytes;
+    }
+  }
+
+  /**
+   * 获取路径所在的文件系统类型
+   * @param {string} targetPath - 文件或目录路径
+   * @param {object|null} assurance - 已有的存储评估结果，其中记录了文件系统
+   * @returns {string|null} - 文件系统类型，无法判断时返回null
+   */
+  static getFilesystem(targetPath, assurance = null) {
+    if (assurance && assurance.filesystem) {
+      return assurance.filesystem;
+    }
+    const mountInfo = StorageInfo.getMountInfo(targetPath);
+    return mountInfo ? mountInfo.type : null;
+  }
+
+  /**
+   * 累计一步覆盖的耗时和写入字节数
+   * @param {object} report - 粉碎过程报告
+   * @param {number} index - 覆盖步骤序号（从0开始）
+   * @param {object} pass - 覆盖步骤
+   * @param {number} durationMs - 耗时（毫秒）
+   * @param {number} bytesWritten - 写入的字节数
+   */
+  static addPassStats(report, index, pass, durationMs, bytesWritten) {
+    if (!report.passes[index]) {
+      report.passes[index] = { pass: index + 1, description: pass.description || pass.type, durationMs: 0, bytesWritten: 0 };
     }
+    report.passes[index].durationMs += durationMs;
+    report.passes[index].bytesWritten += bytesWritten;
   }
 
   /**
-   * 执行Gutmann方法粉碎（35次覆盖）
+   * 计算文件的覆盖范围
+   * 根据st_blksize把覆盖范围延伸到最后一个块的边界（松弛空间）；st_blocks表明分配的空间少于文件大小时
+   * 按块查找全零的区域并假定为空洞，不写入，避免填充稀疏文件。这里只按内容判断，没有检查每个块是否真的已分配，
+   * 部分稀疏的文件中已分配的全零数据块也会被当作空洞跳过（其内容读出为全零），因此holes和holeBytes只是假定的空洞
    * @param {string} filePath - 文件路径
-   * @param {function} progressCallback - 进度回调函数
-   * @returns {Promise<void>}
+   * @param {boolean} coverSlack - 是否覆盖最后一个块的松弛空间
+   * @param {number|null} originalSize - 覆盖前的文件大小（从检查点继续时文件可能已被延长到块边界），为null时使用当前大小
+   * @returns {Promise<object>} - 覆盖范围（logicalSize、coverSize、holes、slackBytes、holeBytes、bytesOverwritten）
+   */
+  static async analyzeCoverage(filePath, coverSlack = false, originalSize = null) {
+    const stats = await fs.promises.stat(filePath);
+    const logicalSize = originalSize !== null ? originalSize : stats.size;
+    const coverage = { logicalSize, coverSize: logicalSize, holes: [], slackBytes: 0, holeBytes: 0, bytesOverwritten: logicalSize };
+    
+    // 没有st_blocks和st_blksize的平台无法判断松弛空间和稀疏文件，只覆盖文件大小范围
+    if (!Number.isFinite(stats.blocks) || !(stats.blksize > 0) || logicalSize === 0) {
+      return coverage;
+    }
+    
+    const blockSize = stats.blksize;
+    const slackEnd = Math.ceil(logicalSize / blockSize) * blockSize;
+    if (stats.blocks * 512 < slackEnd) {
+      coverage.holes = await FileShredder.findZeroRanges(filePath, logicalSize, blockSize);
+    }
+    
+    // 文件末尾是假定的空洞时不延伸覆盖范围
+    const lastHole = coverage.holes[coverage.holes.length - 1];
+    const tailIsData = !lastHole || lastHole[1] < logicalSize;
+    if (coverSlack && tailIsData) {
+      coverage.coverSize = slackEnd;
+      coverage.slackBytes = slackEnd - logicalSize;
+    }
+    
+    coverage.holeBytes = coverage.holes.reduce((sum, [start, end]) => sum + end - start, 0);
+    coverage.bytesOverwritten = coverage.coverSize - coverage.holeBytes;
+    return coverage;
+  }
+
+  /**
+   * 按块查找文件中全零的区域
+   * @param {string} filePath - 文件路径
+   * @param {number} fileSize - 文件大小
+   * @param {number} blockSize - 块大小
+   * @returns {Promise<Array>} - 全零区域（[起始偏移, 结束偏移)，相邻区域已合并）
    */
-  async performGutmannWipe(filePath, progressCallback = null) {
+  static async findZeroRanges(filePath, fileSize, blockSize) {
+    const ranges = [];
+    const chunkSize = Math.max(blockSize, Math.floor((1024 * 1024) / blockSize) * blockSize);
+    const buffer = Buffer.alloc(chunkSize);
+    const zeroBlock = Buffer.alloc(blockSize);
+    const fileHandle = await fs.promises.open(filePath, 'r');
+    
     try {
-      // 计算总操作次数
-      const totalOperations = this.gutmannPatterns.length;
-      
-      // 执行覆盖操作
-      for (let i = 0; i < this.gutmannPatterns.length; i++) {
-        const pattern = this.gutmannPatterns[i];
-        const progressStart = (i / totalOperations) * 100;
-        const progressEnd = ((i + 1) / totalOperations) * 100;
+      for (let offset = 0; offset < fileSize; offset += chunkSize) {
+        const length = Math.min(chunkSize, fileSize - offset);
+        await fileHandle.read(buffer, 0, length, offset);
         
-        // 提取模式值，如果是字符串'random'则传递null
-        const patternValue = pattern.pattern === 'random' ? null : pattern.pattern;
-        await FileShredder.overwriteFileWithPattern(filePath, patternValue, progressCallback, progressStart, progressEnd);
+        for (let start = 0; start < length; start += blockSize) {
+          const end = Math.min(start + blockSize, length);
+          if (!buffer.subarray(start, end).equals(zeroBlock.subarray(0, end - start))) {
+            continue;
+          }
+          
+          const last = ranges[ranges.length - 1];
+          if (last && last[1] === offset + start) {
+            last[1] = offset + end;
+          } else {
+            ranges.push([offset + start, offset + end]);
+          }
+        }
       }
-    } catch (error) {
-      throw error;
+    } finally {
+      await fileHandle.close();
+    }
+    
+    return ranges;
+  }
+
+  /**
+   * 把数据块中落在空洞里的部分清零
+   * @param {Buffer} block - 数据块
+   * @param {number} offset - 数据块在文件中的偏移量
+   * @param {Array} holes - 空洞（[起始偏移, 结束偏移)，按偏移排序）
+   * @returns {Array} - 数据块中需要写入的区域（相对于数据块的[起始, 结束)）
+   */
+  static maskHoles(block, offset, holes) {
+    const segments = [];
+    let position = 0;
+    
+    for (const [holeStart, holeEnd] of holes) {
+      if (holeEnd <= offset || holeStart >= offset + block.length) {
+        continue;
+      }
+      const start = Math.max(holeStart - offset, 0);
+      const end = Math.min(holeEnd - offset, block.length);
+      if (start > position) {
+        segments.push([position, start]);
+      }
+      block.fill(0, start, end);
+      position = end;
+    }
+    
+    if (position < block.length) {
+      segments.push([position, block.length]);
+    }
+    return segments;
+  }
+
+  /**
+   * 生成一个覆盖数据块
+   * @param {object} pass - 覆盖步骤
+   * @param {FileHandle} fileHandle - 文件句柄（complement步骤需要读取上一次的结果）
+   * @param {number} offset - 数据块在文件中的偏移量
+   * @param {number} length - 数据块长度
+   * @returns {Promise<Buffer>} - 覆盖数据
+   */
+  static async createPassBlock(pass, fileHandle, offset, length) {
+    switch (pass.type) {
+      case 'random':
+        // 随机数据 - 每个数据块生成新的随机数据以提高安全性
+        return Utils.generateSecureRandomData(length);
+      case 'fixed':
+        return Buffer.alloc(length, pass.value);
+      case 'pattern': {
+        // 多字节模式按文件偏移对齐，保证各数据块之间的模式连续
+        const phase = offset % pass.bytes.length;
+        return Buffer.alloc(length + pass.bytes.length, Buffer.from(pass.bytes)).subarray(phase, phase + length);
+      }
+      case 'complement': {
+        // 读取上一次覆盖写入的数据并按位取反
+        const block = Buffer.alloc(length);
+        await fileHandle.read(block, 0, length, offset);
+        for (let i = 0; i < length; i++) {
+          block[i] = ~block[i] & 0xFF;
+        }
+        return block;
+      }
+      case 'encrypt': {
+        // 读取当前数据并用CTR模式加密，计数器按文件偏移计算，各数据块可以独立加密
+        const block = Buffer.alloc(length);
+        await fileHandle.read(block, 0, length, offset);
+        const cipher = crypto.createCipheriv('aes-256-ctr', pass.key, FileShredder.createCounter(pass.iv, offset));
+        cipher.update(Buffer.alloc(offset % 16));
+        return Buffer.concat([cipher.update(block), cipher.final()]);
+      }
+      default:
+        throw new Error(`未知的覆盖类型: ${pass.type}`);
+    }
+  }
+
+  /**
+   * 为加密步骤生成只在内存中的随机密钥和初始计数器
+   * @param {object} pass - 加密步骤
+   * @returns {object} - 带密钥（key）和初始计数器（iv）的加密步骤，用完后需调用destroyEncryptionKey
+   */
+  static createEncryptionPass(pass) {
+    return { ...pass, key: crypto.randomBytes(32), iv: crypto.randomBytes(16) };
+  }
+
+  /**
+   * 销毁加密步骤的密钥：清零后丢弃
+   * @param {object} pass - 加密步骤
+   */
+  static destroyEncryptionKey(pass) {
+    pass.key.fill(0);
+    pass.iv.fill(0);
+    pass.key = null;
+    pass.iv = null;
+  }
+
+  /**
+   * 计算文件偏移量处的CTR计数器
+   * @param {Buffer} iv - 初始计数器（16字节）
+   * @param {number} offset - 文件偏移量
+   * @returns {Buffer} - 偏移量所在的16字节分组的计数器
+   */
+  static createCounter(iv, offset) {
+    const counter = Buffer.from(iv);
+    let carry = BigInt(Math.floor(offset / 16));
+    for (let i = counter.length - 1; i >= 0 && carry > 0n; i--) {
+      const sum = BigInt(counter[i]) + (carry & 0xFFn);
+      counter[i] = Number(sum & 0xFFn);
+      carry = (carry >> 8n) + (sum >> 8n);
+    }
+    return counter;
+  }
+
+  /**
+   * 选择需要回读校验的数据块
+   * @param {number} blockCount - 数据块总数
+   * @param {object} verification - 校验设置
+   * @returns {Set|null} - 需要校验的数据块序号，null表示全部校验
+   */
+  static selectVerifiedBlocks(blockCount, verification) {
+    if (verification.mode !== 'sampled') {
+      return null;
     }
+    
+    const percent = Math.min(100, Math.max(1, Number(verification.samplePercent) || 10));
+    const sampleCount = Math.max(1, Math.ceil(blockCount * percent / 100));
+    if (sampleCount >= blockCount) {
+      return null;
+    }
+    
+    // 始终校验首尾数据块，其余数据块随机抽取
+    const selected = new Set([0, blockCount - 1]);
+    while (selected.size < sampleCount) {
+      selected.add(crypto.randomInt(blockCount));
+    }
+    return selected;
+  }
+
+  /**
+   * 回读文件并校验写入的数据
+   * 固定字节和多字节模式逐字节比较，随机数据和补码覆盖比较写入时记录的哈希
+   * @param {FileHandle} fileHandle - 文件句柄
+   * @param {object} pass - 覆盖步骤
+   * @param {number} fileSize - 文件大小
+   * @param {number} bufferSize - 数据块大小
+   * @param {Set|null} selectedBlocks - 需要校验的数据块序号，null表示全部
+   * @param {object} written - 写入时记录的哈希（blockDigests、rollingHash）
+   * @param {Array} holes - 未写入的空洞，按全零比较
+   * @returns {Promise<number>} - 已校验的数据块数量
+   */
+  static async verifyPass(fileHandle, pass, fileSize, bufferSize, selectedBlocks, written, holes = []) {
+    const hasExpectedData = pass.type === 'fixed' || pass.type === 'pattern';
+    const rollingHash = crypto.createHash('sha256');
+    const readBuffer = Buffer.alloc(bufferSize);
+    let blocksChecked = 0;
+    
+    for (let offset = 0, blockIndex = 0; offset < fileSize; offset += bufferSize, blockIndex++) {
+      if (selectedBlocks && !selectedBlocks.has(blockIndex)) {
+        continue;
+      }
+      
+      const length = Math.min(bufferSize, fileSize - offset);
+      const block = readBuffer.subarray(0, length);
+      await fileHandle.read(block, 0, length, offset);
+      blocksChecked++;
+      
+      if (hasExpectedData) {
+        const expected = await FileShredder.createPassBlock(pass, null, offset, length);
+        FileShredder.maskHoles(expected, offset, holes);
+        if (!block.equals(expected)) {
+          let index = 0;
+          while (block[index] === expected[index]) index++;
+          throw FileShredder.createVerifyError(offset + index);
+        }
+      } else {
+        rollingHash.update(block);
+        const digest = crypto.createHash('sha256').update(block).digest();
+        if (!digest.equals(written.blockDigests.get(blockIndex))) {
+          throw FileShredder.createVerifyError(offset);
+        }
+      }
+    }
+    
+    if (!hasExpectedData && rollingHash.digest('hex') !== written.rollingHash) {
+      throw FileShredder.createVerifyError(0);
+    }
+    
+    return blocksChecked;
   }
 
   /**
-   * 使用特定模式覆盖文件
+   * 创建校验失败错误
+   * @param {number} offset - 数据不一致的偏移量
+   * @returns {Error} - 错误对象（code为EVERIFY）
+   */
+  static createVerifyError(offset) {
+    const error = new Error(`在偏移 ${offset} 处回读的数据与写入的数据不一致`);
+    error.code = 'EVERIFY';
+    error.offset = offset;
+    return error;
+  }
+
+  /**
+   * 使用特定覆盖步骤覆盖文件
    * @param {string} filePath - 文件路径
-   * @param {number|null} pattern - 覆盖模式（0x00, 0xFF或null表示随机）
-   * @param {function} progressCallback - 进度回调函数
+   * @param {object} pass - 覆盖步骤（type为fixed、pattern、random或complement）
+   * @param {function} progressCallback - 进度回调函数（progress, bytesWritten），bytesWritten为本步骤已写入的字节数
    * @param {number} startProgress - 起始进度
    * @param {number} endProgress - 结束进度
-   * @returns {Promise<void>}
+   * @param {object} options - 覆盖选项
+   * @param {object|null} options.verification - 回读校验设置（mode为full或sampled），null表示不校验
+   * @param {JobController} options.controller - 任务控制器，每个数据块写入前检查是否暂停或取消
+   * @param {number} options.startOffset - 从该偏移量开始写入（从检查点继续时使用）
+   * @param {function} options.onCheckpoint - 检查点回调，数据同步到磁盘后以已完成的偏移量调用
+   * @param {number} options.checkpointIntervalMs - 检查点间隔（毫秒）
+   * @param {number} options.coverSize - 覆盖范围（超过文件大小时覆盖最后一个块的松弛空间），默认为文件大小
+   * @param {Array} options.holes - 不写入的空洞（[起始偏移, 结束偏移)），校验时按全零比较
+   * @returns {Promise<object>} - 覆盖结果（verified、blocksChecked、bytesWritten为本次实际写入的字节数）
    */
-  static async overwriteFileWithPattern(filePath, pattern, progressCallback, startProgress, endProgress) {
-    const stats = fs.statSync(filePath);
-    const fileSize = stats.size;
+  static async overwriteFileWithPattern(filePath, pass, progressCallback, startProgress, endProgress, options = {}) {
+    const stats = await fs.promises.stat(filePath);
+    const fileSize = options.coverSize !== undefined ? options.coverSize : stats.size;
+    const holes = options.holes || [];
+    const verification = options.verification || null;
+    const controller = options.controller || null;
+    const onCheckpoint = options.onCheckpoint || null;
+    const checkpointIntervalMs = options.checkpointIntervalMs || 2000;
     
     // 使用更大的缓冲区提高性能
     const bufferSize = Math.min(1024 * 1024, fileSize); // 最大1MB缓冲区
-    const fileDescriptor = fs.openSync(filePath, 'r+');
+    const fileHandle = await fs.promises.open(filePath, 'r+');
     
     try {
-      // 计算需要写入的完整缓冲区次数和剩余字节数
-      const fullBuffers = Math.floor(fileSize / bufferSize);
-      const remainingBytes = fileSize % bufferSize;
-      
-      // 准备覆盖缓冲区
-      let overwriteBuffer;
-      if (pattern === null) {
-        // 随机数据 - 使用Utils生成安全随机数据提高性能和安全性
-        overwriteBuffer = Utils.generateSecureRandomData(bufferSize);
-      } else {
-        // 固定值数据
-        overwriteBuffer = Buffer.alloc(bufferSize, pattern);
+      // 检查点偏移量按数据块对齐
+      const startOffset = bufferSize > 0 ? Math.floor((options.startOffset || 0) / bufferSize) * bufferSize : 0;
+      let blockIndex = bufferSize > 0 ? startOffset / bufferSize : 0;
+      let lastCheckpointAt = Date.now();
+      let bytesWritten = 0;
+      
+      // 随机数据和补码覆盖无法重新生成，写入时记录需要校验的数据块的哈希
+      const blockCount = bufferSize > 0 ? Math.ceil(fileSize / bufferSize) : 0;
+      let selectedBlocks = verification ? FileShredder.selectVerifiedBlocks(blockCount, verification) : null;
+      const recordDigests = verification && pass.type !== 'fixed' && pass.type !== 'pattern';
+      const written = { blockDigests: new Map(), rollingHash: null };
+      const rollingHash = crypto.createHash('sha256');
+      
+      // 从检查点继续时，之前写入的随机数据没有记录哈希，只校验本次写入的数据块
+      if (recordDigests && startOffset > 0) {
+        const candidates = selectedBlocks ? [...selectedBlocks] : Array.from({ length: blockCount }, (_, index) => index);
+        selectedBlocks = new Set(candidates.filter(index => index >= blockIndex));
       }
       
-      // 写入完整的缓冲区
-      for (let i = 0; i < fullBuffers; i++) {
-        // 如果是随机数据，每次生成新的随机数据以提高安全性
-        if (pattern === null) {
-          overwriteBuffer = Utils.generateSecureRandomData(bufferSize);
+      // 按数据块写入覆盖数据（最后一个数据块可能不足一个缓冲区）
+      for (let offset = startOffset; offset < fileSize; offset += bufferSize) {
+        // 写入数据块前检查是否暂停或取消，并记录本步骤已写入的字节数
+        if (controller) {
+          try {
+            await controller.checkpoint();
+          } catch (error) {
+            error.bytesWritten = offset;
+            throw error;
+          }
+        }
+        
+        const length = Math.min(bufferSize, fileSize - offset);
+        const block = await FileShredder.createPassBlock(pass, fileHandle, offset, length);
+        const segments = FileShredder.maskHoles(block, offset, holes);
+        
+        if (recordDigests && (!selectedBlocks || selectedBlocks.has(blockIndex))) {
+          rollingHash.update(block);
+          written.blockDigests.set(blockIndex, crypto.createHash('sha256').update(block).digest());
         }
         
-        fs.writeSync(fileDescriptor, overwriteBuffer, 0, bufferSize, i * bufferSize);
+        for (const [start, end] of segments) {
+          await fileHandle.write(block, start, end - start, offset + start);
+          bytesWritten += end - start;
+        }
         
         // 更新进度
         if (progressCallback) {
-          const progress = startProgress + (endProgress - startProgress) * ((i + 1) * bufferSize / fileSize);
-          progressCallback(Math.round(progress));
+          const progress = startProgress + (endProgress - startProgress) * ((offset + length) / fileSize);
+          progressCallback(Math.round(progress), offset + length);
         }
         
-        // 每写入一定量数据后短暂休息，避免系统负载过高
-        if (i % 10 === 0) {
-          await new Promise(resolve => setTimeout(resolve, 1));
-        }
-      }
-      
-      // 写入剩余字节
-      if (remainingBytes > 0) {
-        let remainingBuffer;
-        if (pattern === null) {
-          // 为剩余字节生成新的随机数据
-          remainingBuffer = Utils.generateSecureRandomData(remainingBytes);
-        } else {
-          remainingBuffer = overwriteBuffer.slice(0, remainingBytes);
+        // 定期记录检查点，记录前先同步到磁盘，保证检查点之前的数据已落盘
+        if (onCheckpoint && Date.now() - lastCheckpointAt >= checkpointIntervalMs) {
+          await fileHandle.sync();
+          onCheckpoint(offset + length);
+          lastCheckpointAt = Date.now();
         }
         
-        fs.writeSync(fileDescriptor, remainingBuffer, 0, remainingBytes, fullBuffers * bufferSize);
+        blockIndex++;
       }
       
       // 确保数据写入磁盘
-      fs.fsyncSync(fileDescriptor);
+      await fileHandle.sync();
+      
+      // 回读校验
+      if (!verification) {
+        return { verified: false, blocksChecked: 0, bytesWritten };
+      }
+      written.rollingHash = rollingHash.digest('hex');
+      const blocksChecked = await FileShredder.verifyPass(fileHandle, pass, fileSize, bufferSize, selectedBlocks, written, holes);
+      return { verified: true, blocksChecked, bytesWritten };
     } finally {
-      fs.closeSync(fileDescriptor);
+      await fileHandle.close();
     }
   }
 
   /**
-   * 粉碎文件
+   * 静态方法：粉碎文件
    * @param {string} filePath - 文件路径
    * @param {string} method - 粉碎方法
    * @param {function} progressCallback - 进度回调函数
@@ -373,75 +1099,12 @@ class FileShredder {
    */
   static async shredFile(filePath, method = 'dod', progressCallback = null) {
     try {
-      // 验证文件路径
-      if (!Utils.validateFilePath(filePath)) {
-        throw new Error('文件路径包含非法字符');
-      }
-
-      // 检查文件是否存在
-      if (!fs.existsSync(filePath)) {
-        throw new Error('文件不存在');
-      }
-
-      // 获取文件大小
-      const stats = fs.statSync(filePath);
-      const fileSize = stats.size;
-
-      // 检查文件大小限制（5GB）
-      const maxSize = 5 * 1024 * 1024 * 1024; // 5GB
-      if (fileSize > maxSize) {
-        throw new Error(`文件过大，超过${Utils.formatFileSize(maxSize)}限制`);
-      }
-
-      // 创建安全临时目录
-      const tempDir = await Utils.createSecureTempDir();
-      if (!tempDir) {
-        throw new Error('无法创建安全的临时目录');
-      }
-
       // 创建文件粉碎器实例
       const shredder = new FileShredder();
       
-      // 根据粉碎方法执行不同的覆盖策略
-      switch (method) {
-        case 'quick':
-          // 快速粉碎：1次随机覆盖
-          await shredder.performQuickWipe(filePath, progressCallback);
-          break;
-        case 'dod':
-          // DoD 5220.22-M标准：3次覆盖
-          await shredder.performDoDWipe(filePath, progressCallback);
-          break;
-        case 'gutmann':
-          // Gutmann方法：35次覆盖
-          await shredder.performGutmannWipe(filePath, progressCallback);
-          break;
-        default:
-          throw new Error('未知的粉碎方法');
-      }
-
-      // 多次重命名文件，增加恢复难度
-      const originalName = path.basename(filePath);
-      const dir = path.dirname(filePath);
+      // 调用实例方法
+      await shredder.shredFile(filePath, false, progressCallback, { method });
       
-      for (let i = 0; i < 10; i++) {
-        const randomName = Utils.generateSecureRandomData(16).toString('hex');
-        const newPath = path.join(dir, randomName);
-        fs.renameSync(filePath, newPath);
-        filePath = newPath;
-      }
-
-      // 最后一步：删除文件
-      fs.unlinkSync(filePath);
-
-      // 更新进度到100%
-      if (progressCallback) {
-        progressCallback(100);
-      }
-
-      // 清理临时目录
-      await Utils.cleanupTempDir(tempDir);
-
       return true;
     } catch (error) {
       console.error(`粉碎文件失败: ${error.message}`);
@@ -452,8 +1115,11 @@ class FileShredder {
   /**
    * 安全删除文件名（通过多次重命名）
    * @param {string} originalPath - 原始文件路径
+   * @returns {number} - 成功重命名的次数
    */
   secureDeleteFileName(originalPath) {
+    let renames = 0;
+    
     try {
       const dir = path.dirname(originalPath);
       const ext = path.extname(originalPath);
@@ -469,6 +1135,7 @@ class FileShredder {
         try {
           fs.renameSync(currentPath, newPath);
           currentPath = newPath;
+          renames++;
         } catch (error) {
           // 如果重命名失败，可能是文件已被删除或其他原因
           break;
@@ -484,111 +1151,600 @@ class FileShredder {
     } catch (error) {
       // 忽略文件名安全删除过程中的错误
     }
+    
+    return renames;
+  }
+
+  /**
+   * 识别需要按链接处理策略处理的目录项
+   * @param {fs.Stats} stats - lstat得到的文件信息
+   * @returns {string|null} - symlink、hardlink、fifo、socket、device，普通文件和目录返回null
+   */
+  static classifyEntry(stats) {
+    if (stats.isSymbolicLink()) return 'symlink';
+    if (stats.isFIFO()) return 'fifo';
+    if (stats.isSocket()) return 'socket';
+    if (stats.isBlockDevice() || stats.isCharacterDevice()) return 'device';
+    
+    // 有多个名称的文件，覆盖会破坏其他名称指向的数据
+    if (stats.isFile() && stats.nlink > 1) return 'hardlink';
+    
+    return null;
+  }
+
+  /**
+   * 按链接处理策略处理符号链接和硬链接文件，FIFO、套接字和设备文件始终拒绝
+   * @param {Array} entries - 目录项（path、type、nlink，可带子项目结果result）
+   * @param {string} policy - 链接处理策略（unlink仅删除链接、skip跳过、refuse拒绝粉碎）
+   * @param {object} report - 粉碎过程报告，记录每个处理决定
+   * @returns {Array} - 处理决定（path、type、nlink、action）
+   * @throws {Error} - 拒绝粉碎时抛出（code为EREFUSED）
+   */
+  applyLinkPolicy(entries, policy = 'unlink', report = null) {
+    const decisions = [];
+    const decide = (entry, action) => {
+      const decision = { path: entry.path, type: entry.type, nlink: entry.nlink, action };
+      decisions.push(decision);
+      if (entry.result) {
+        entry.result.status = action;
+      }
+      if (report) {
+        report.linkDecisions.push(decision);
+      }
+    };
+    
+    const specialEntries = entries.filter(entry => ['fifo', 'socket', 'device'].includes(entry.type));
+    const refusedEntries = policy === 'refuse' ? entries : specialEntries;
+    if (refusedEntries.length > 0) {
+      refusedEntries.forEach(entry => decide(entry, 'refused'));
+      const reason = specialEntries.length > 0 ? '包含FIFO、套接字或设备文件' : '包含符号链接或硬链接文件';
+      const error = new Error(`${reason}，已拒绝粉碎: ${refusedEntries.map(entry => entry.path).join(', ')}`);
+      error.code = 'EREFUSED';
+      throw error;
+    }
+    
+    for (const entry of entries) {
+      if (policy === 'skip') {
+        decide(entry, 'skipped');
+      } else {
+        // 只删除这个名称，不覆盖数据
+        fs.unlinkSync(entry.path);
+        decide(entry, 'unlinked');
+      }
+    }
+    
+    return decisions;
+  }
+
+  /**
+   * 安全删除目录：多次重命名为逐渐变短的随机名称后删除，避免原目录名留在文件系统元数据和日志中
+   * 调用前目录必须已为空
+   * @param {string} dirPath - 目录路径
+   * @returns {number} - 重命名的次数
+   * @throws {Error} - 重命名或删除失败时抛出，错误信息包含目录当前的路径
+   */
+  secureDeleteDirectory(dirPath) {
+    const parentDir = path.dirname(dirPath);
+    let currentPath = dirPath;
+    let renames = 0;
+    
+    // 目录中还有未粉碎的内容时不重命名，保留原路径便于查找和重新粉碎
+    if (fs.readdirSync(dirPath).length > 0) {
+      const error = new Error(`删除目录失败 ${dirPath}: 目录不为空`);
+      error.code = 'ENOTEMPTY';
+      throw error;
+    }
+    
+    // 名称长度依次为16、12、8、6、4个十六进制字符
+    for (const byteLength of [8, 6, 4, 3, 2]) {
+      let newPath;
+      do {
+        newPath = path.join(parentDir, crypto.randomBytes(byteLength).toString('hex'));
+      } while (fs.existsSync(newPath));
+      
+      try {
+        fs.renameSync(currentPath, newPath);
+      } catch (error) {
+        const renameError = new Error(`重命名目录失败 ${currentPath}: ${error.message}`);
+        renameError.code = error.code;
+        throw renameError;
+      }
+      currentPath = newPath;
+      renames++;
+    }
+    
+    try {
+      fs.rmdirSync(currentPath);
+    } catch (error) {
+      const removeError = new Error(`删除目录失败 ${currentPath}（原路径 ${dirPath}）: ${error.message}`);
+      removeError.code = error.code;
+      throw removeError;
+    }
+    
+    return renames;
+  }
+
+  /**
+   * 清除文件元数据：截断为空文件、把访问和修改时间设为中性时间、删除所有扩展属性
+   * 覆盖完成后、重命名和删除前调用，避免inode被重用前仍保留原始大小、时间和来源等信息
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<object>} - 各步骤结果（truncated、timestampsReset、xattrsRemoved，xattrsRemoved为null表示不支持）
+   */
+  static async scrubMetadata(filePath) {
+    const result = { truncated: false, timestampsReset: false, xattrsRemoved: null };
+    
+    // 先截断，截断会更新修改时间
+    try {
+      await fs.promises.truncate(filePath, 0);
+      result.truncated = true;
+    } catch (error) {
+      // 截断失败时仍继续清除其他元数据
+    }
+    
+    try {
+      await fs.promises.utimes(filePath, NEUTRAL_TIMESTAMP, NEUTRAL_TIMESTAMP);
+      result.timestampsReset = true;
+    } catch (error) {
+      // 部分文件系统不允许修改时间戳
+    }
+    
+    result.xattrsRemoved = await FileShredder.removeExtendedAttributes(filePath);
+    return result;
+  }
+
+  /**
+   * 删除文件的所有扩展属性（Linux使用getfattr/setfattr，macOS使用xattr）
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<number|null>} - 删除的扩展属性数量，平台、工具或文件系统不支持时返回null
+   */
+  static async removeExtendedAttributes(filePath) {
+    try {
+      if (process.platform === 'linux') {
+        const { stdout } = await execFileAsync('getfattr', ['--absolute-names', '--match=-', filePath]);
+        const names = stdout.split('\n').filter(line => line.trim() !== '' && !line.startsWith('#'));
+        for (const name of names) {
+          await execFileAsync('setfattr', ['--remove', name, filePath]);
+        }
+        return names.length;
+      }
+      
+      if (process.platform === 'darwin') {
+        const { stdout } = await execFileAsync('xattr', [filePath]);
+        const count = stdout.split('\n').filter(line => line.trim() !== '').length;
+        if (count > 0) {
+          await execFileAsync('xattr', ['-c', filePath]);
+        }
+        return count;
+      }
+    } catch (error) {
+      // 工具未安装或文件系统不支持扩展属性
+    }
+    
+    return null;
   }
 
   /**
    * 粉碎目录
    * @param {string} dirPath - 目录路径
    * @param {function} progressCallback - 进度回调函数
+   * @param {string} method - 粉碎方法，应用于目录中的每个文件
+   * @param {object} options - 粉碎选项（verification、controller、resume、onCheckpoint、report、concurrency、linkPolicy）
    * @returns {Promise} - 返回Promise对象
    */
-  async shredDirectory(dirPath, progressCallback) {
+  async shredDirectory(dirPath, progressCallback, method = this.defaultMethod, options = {}) {
     try {
       // 检查目录是否存在
       if (!fs.existsSync(dirPath)) {
         throw new Error(`目录不存在: ${dirPath}`);
       }
 
-      // 获取目录中所有文件和子目录
-      const items = fs.readdirSync(dirPath);
-      
-      // 计算总项目数，用于进度计算
-      let totalItems = 0;
-      const countItems = (currentPath) => {
-        const stats = fs.statSync(currentPath);
-        if (stats.isDirectory()) {
-          const subItems = fs.readdirSync(currentPath);
-          totalItems++; // 计算目录本身
-          for (const item of subItems) {
-            countItems(path.join(currentPath, item));
+      // 收集目录中的所有文件和子目录（子目录按先深后浅的顺序排列，便于最后逐级删除）
+      // 使用lstat，不跟随符号链接，避免覆盖目录以外的文件
+      // 每个子项目的结果按目录树顺序记录在children中，写入日志并显示在文件列表中
+      const files = [];
+      const directories = [];
+      const links = [];
+      const children = [];
+      const addChild = (itemPath, type, bytes) => {
+        const result = FileShredder.createChildResult(path.relative(dirPath, itemPath) || '.', type, bytes);
+        children.push(result);
+        return result;
+      };
+      const rootResult = addChild(dirPath, 'directory', 0);
+      const collectItems = (currentPath) => {
+        for (const item of fs.readdirSync(currentPath)) {
+          const itemPath = path.join(currentPath, item);
+          const stats = fs.lstatSync(itemPath);
+          const entryType = FileShredder.classifyEntry(stats);
+          if (entryType) {
+            links.push({ path: itemPath, type: entryType, nlink: stats.nlink, result: addChild(itemPath, entryType, stats.size) });
+          } else if (stats.isDirectory()) {
+            const result = addChild(itemPath, 'directory', 0);
+            collectItems(itemPath);
+            directories.push({ path: itemPath, result });
+          } else {
+            files.push({ path: itemPath, size: stats.size, result: addChild(itemPath, 'file', stats.size) });
           }
-        } else {
-          totalItems++; // 计算文件
         }
       };
-      
-      for (const item of items) {
-        countItems(path.join(dirPath, item));
+      collectItems(dirPath);
+      directories.push({ path: dirPath, result: rootResult });
+      if (options.report) {
+        options.report.children = children;
       }
       
-      // 递归处理每个项目
-      let processedItems = 0;
-      const processItems = async (currentPath) => {
-        const stats = fs.statSync(currentPath);
-        
-        if (stats.isDirectory()) {
-          // 处理子目录
-          const subItems = fs.readdirSync(currentPath);
-          for (const item of subItems) {
-            await processItems(path.join(currentPath, item));
-          }
-          
-          // 删除空目录
+      // 开始覆盖前处理链接和特殊文件，拒绝时目录中的任何文件都不会被改动
+      this.applyLinkPolicy(links, options.linkPolicy, options.report || null);
+      
+      // 按文件大小计算总体进度（空文件也计入，避免大量小文件时进度停滞）
+      const weightOf = (file) => Math.max(file.size, 1);
+      const totalWeight = files.reduce((sum, file) => sum + weightOf(file), 0);
+      const methodDefinition = this.resolveMethod(method);
+      const passCount = methodDefinition ? methodDefinition.passes.length : 1;
+      const bytesTotal = files.reduce((sum, file) => sum + file.size, 0) * passCount;
+      const fileProgress = new Map();
+      let completedWeight = 0;
+      let completedBytes = 0;
+      let filesDone = 0;
+      const reportProgress = () => {
+        if (!progressCallback || totalWeight === 0) {
+          return;
+        }
+        let inProgressWeight = 0;
+        let inProgressBytes = 0;
+        for (const [file, state] of fileProgress) {
+          inProgressWeight += weightOf(file) * state.progress / 100;
+          inProgressBytes += state.bytesDone;
+        }
+        progressCallback(Math.floor(((completedWeight + inProgressWeight) / totalWeight) * 100), {
+          bytesDone: completedBytes + inProgressBytes,
+          bytesTotal,
+          filesDone,
+          fileCount: files.length
+        });
+      };
+      
+      // 同时粉碎多个文件，单个文件失败时记录结果后继续粉碎其他文件，被取消后不再开始新的文件
+      // 并行时检查点只记录最近报告的文件，其他文件恢复时从头覆盖
+      const concurrency = Math.max(1, Math.min(options.concurrency || 1, files.length));
+      let nextIndex = 0;
+      let cancelError = null;
+      const processFiles = async () => {
+        while (!cancelError && nextIndex < files.length) {
+          const file = files[nextIndex++];
+          const startedAt = Date.now();
           try {
-            fs.rmdirSync(currentPath);
+            // 处理每个文件前检查是否暂停或取消
+            if (options.controller) {
+              await options.controller.checkpoint();
+            }
+            
+            file.result.method = method;
+            fileProgress.set(file, { progress: 0, bytesDone: 0 });
+            await this.shredSingleFile(file.path, (progress, detail) => {
+              fileProgress.set(file, { progress, bytesDone: detail ? detail.bytesDone : 0 });
+              reportProgress();
+            }, method, options);
+            
+            file.result.status = 'shredded';
+            completedWeight += weightOf(file);
+            completedBytes += file.size * passCount;
           } catch (error) {
-            // 忽略删除错误
-          }
-        } else {
-          // 处理文件
-          await this.shredSingleFile(currentPath, (fileProgress) => {
-            // 计算总体进度
-            if (progressCallback) {
-              const overallProgress = Math.floor(((processedItems + fileProgress / 100) / totalItems) * 100);
-              progressCallback(overallProgress);
+            if (JobController.isCancelError(error)) {
+              cancelError = cancelError || error;
+              // 尚未开始覆盖的文件保持等待状态
+              if (file.result.method) {
+                file.result.status = 'cancelled';
+              }
+            } else {
+              file.result.status = 'failed';
+              file.result.errorCode = error.code || 'EUNKNOWN';
+              file.result.error = error.message;
+              completedWeight += weightOf(file);
             }
-          });
-        }
-        
-        processedItems++;
-        
-        // 更新进度
-        if (progressCallback) {
-          const overallProgress = Math.floor((processedItems / totalItems) * 100);
-          progressCallback(overallProgress);
+          } finally {
+            if (file.result.method) {
+              file.result.durationMs = Date.now() - startedAt;
+            }
+            fileProgress.delete(file);
+          }
+          filesDone++;
+          reportProgress();
         }
       };
+      await Promise.all(Array.from({ length: concurrency }, processFiles));
+      
+      if (cancelError) {
+        throw cancelError;
+      }
+      
+      // 先深后浅地重命名并删除子目录，最后处理主目录；失败的目录逐个记录
+      for (const directory of directories) {
+        const startedAt = Date.now();
+        try {
+          const renames = this.secureDeleteDirectory(directory.path);
+          directory.result.status = 'removed';
+          if (options.report) {
+            options.report.metadataScrub.directories++;
+            options.report.metadataScrub.directoryRenames += renames;
+          }
+        } catch (error) {
+          directory.result.status = 'failed';
+          directory.result.errorCode = error.code || 'EUNKNOWN';
+          directory.result.error = error.message;
+        }
+        directory.result.durationMs = Date.now() - startedAt;
+      }
+      
+      // 有子项目失败时整个文件夹只被部分粉碎
+      const failedChildren = children.filter(child => child.status === 'failed');
+      if (failedChildren.length > 0) {
+        const failedFiles = failedChildren.filter(child => child.type !== 'directory');
+        const failedDirectories = failedChildren.filter(child => child.type === 'directory');
+        const reasons = [
+          ...failedFiles.map(child => child.error),
+          ...(failedDirectories.length > 0 ? [`删除目录失败: ${failedDirectories.map(child => child.error).join('; ')}`] : [])
+        ];
+        const error = new Error(`部分完成，${failedFiles.length}个文件和${failedDirectories.length}个目录失败: ${reasons.join('; ')}`);
+        error.code = children.some(child => ['shredded', 'removed'].includes(child.status)) ? 'EPARTIAL' : 'EDIRREMOVE';
+        throw error;
+      }
+      
+      if (progressCallback) {
+        progressCallback(100);
+      }
+    } catch (error) {
+      if (JobController.isCancelError(error)) {
+        throw error;
+      }
+      const wrappedError = new Error(`粉碎目录失败: ${error.message}`);
+      wrappedError.code = error.code;
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * 创建文件夹中单个子项目的粉碎结果
+   * @param {string} relativePath - 相对于文件夹的路径（文件夹本身为.）
+   * @param {string} type - file、directory或链接类型（symlink、hardlink、fifo、socket、device）
+   * @param {number} bytes - 文件大小（字节）
+   * @returns {object} - 子项目结果（status为pending、shredded、removed、unlinked、skipped、refused、cancelled或failed）
+   */
+  static createChildResult(relativePath, type, bytes) {
+    return {
+      path: relativePath,
+      type,
+      status: 'pending',
+      bytes,
+      method: null,
+      durationMs: null,
+      errorCode: null,
+      error: null
+    };
+  }
+
+  /**
+   * 统计文件夹中子项目的结果，并限制保留的子项目数
+   * 子项目很多时只保留MAX_CHILD_RESULTS项：优先保留失败、未完成和按链接策略处理的子项目，
+   * 剩余名额按目录树顺序保留成功的子项目，避免队列状态、IPC消息和日志条目随文件数增长
+   * @param {Array|null} children - 全部子项目结果
+   * @returns {object} - children为保留的子项目结果（按目录树顺序），childSummary为统计（total、files、filesShredded、
+   *   directories、directoriesRemoved、incomplete、failed、omitted），粉碎文件时都为null
+   */
+  static summarizeChildren(children) {
+    if (!children) {
+      return { children: null, childSummary: null };
+    }
+    
+    const files = children.filter(child => child.type !== 'directory');
+    const directories = children.filter(child => child.type === 'directory');
+    const childSummary = {
+      total: children.length,
+      files: files.length,
+      filesShredded: files.filter(child => child.status === 'shredded').length,
+      directories: directories.length,
+      directoriesRemoved: directories.filter(child => child.status === 'removed').length,
+      incomplete: children.filter(child => child.status === 'pending' || child.status === 'cancelled').length,
+      failed: children.filter(child => child.status === 'failed').length,
+      omitted: 0
+    };
+    if (children.length <= MAX_CHILD_RESULTS) {
+      return { children, childSummary };
+    }
+    
+    const succeeded = (child) => child.status === 'shredded' || child.status === 'removed';
+    const kept = new Set(children.filter(child => !succeeded(child)).slice(0, MAX_CHILD_RESULTS));
+    for (const child of children) {
+      if (kept.size >= MAX_CHILD_RESULTS) {
+        break;
+      }
+      kept.add(child);
+    }
+    const keptChildren = children.filter(child => kept.has(child));
+    childSummary.omitted = children.length - keptChildren.length;
+    return { children: keptChildren, childSummary };
+  }
+
+  /**
+   * 擦除目录所在文件系统的剩余空间
+   * 在目录下创建临时目录，用随机数据文件填满剩余空间（保留安全余量），同步到磁盘后粉碎这些文件，
+   * 覆盖以前删除的文件留在未分配空间中的数据
+   * @param {string} dirPath - 目录路径
+   * @param {function} progressCallback - 进度回调函数（progress, detail），detail为bytesDone、bytesTotal
+   * @param {object} options - 擦除选项
+   * @param {JobController} options.controller - 任务控制器，用于暂停、继续和取消
+   * @param {number} options.reserveBytes - 保留不填充的剩余空间（字节）
+   * @param {object} options.pathPolicy - 受保护路径策略选项（appPaths、denyList、allowList，见PathPolicy）
+   * @param {object} options.assurance - 存储评估结果（StorageInfo.assess），记录在粉碎日志中
+   * @param {string} options.jobId - 粉碎任务编号，记录在粉碎日志中，用于对照销毁证书
+   * @returns {Promise<object>} - 擦除结果（bytesCovered、filesCreated、reserveBytes）
+   */
+  async wipeFreeSpace(dirPath, progressCallback = null, options = {}) {
+    const startTime = new Date().toISOString();
+    const reserveBytes = options.reserveBytes !== undefined ? options.reserveBytes : DEFAULT_FREE_SPACE_RESERVE;
+    const freeSpace = { bytesCovered: 0, filesCreated: 0, reserveBytes };
+    let tempDir = null;
+    let wipeError = null;
+    
+    try {
+      if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+        throw new Error(`目录不存在: ${dirPath}`);
+      }
+      
+      // 检查是否为受保护的路径（系统目录、主目录、程序自身的目录等）
+      const protection = new PathPolicy(options.pathPolicy).check(dirPath);
+      if (!protection.allowed) {
+        throw new Error(`不能在${protection.reason}中擦除剩余空间`);
+      }
+      
+      // 上次擦除被中断（如程序崩溃）时留下的填充文件先删除，否则剩余空间已被占满
+      for (const item of fs.readdirSync(dirPath)) {
+        const staleDir = path.join(dirPath, item);
+        if (FREE_SPACE_TEMP_DIR_PATTERN.test(item) && FileShredder.isFreeSpaceTempDir(staleDir)) {
+          await this.removeFreeSpaceFiles(staleDir);
+        }
+      }
       
-      // 处理目录中的所有项目
-      for (const item of items) {
-        await processItems(path.join(dirPath, item));
+      // 临时目录建在所选目录下，保证填充文件和目录在同一个文件系统上
+      tempDir = Utils.createSecureTempDir(dirPath);
+      if (!tempDir) {
+        throw new Error('无法创建安全的临时目录');
       }
+      fs.writeFileSync(path.join(tempDir, FREE_SPACE_MARKER_FILE), JSON.stringify({ createdAt: startTime }));
       
-      // 最后删除主目录
+      const availableBytes = () => Utils.getDiskSpaceInfo(tempDir).freeBytes - reserveBytes;
+      const bytesTotal = Math.max(availableBytes(), 0);
+      const reportProgress = (bytesDone) => {
+        if (progressCallback && bytesTotal > 0) {
+          progressCallback(Math.min(99, Math.floor((bytesDone / bytesTotal) * 100)), { bytesDone, bytesTotal });
+        }
+      };
+      
+      // 逐个创建填充文件并用随机数据覆盖，直到只剩保留空间或磁盘已满
+      let diskFull = false;
+      while (!diskFull) {
+        const fileSize = Math.min(availableBytes(), FREE_SPACE_FILE_SIZE);
+        if (fileSize <= 0) {
+          break;
+        }
+        
+        const fillPath = path.join(tempDir, Utils.generateRandomString(16));
+        let fileBytes = 0;
+        try {
+          await fs.promises.writeFile(fillPath, '');
+          freeSpace.filesCreated++;
+          await fs.promises.truncate(fillPath, fileSize);
+          await FileShredder.overwriteFileWithPattern(fillPath, { type: 'random' }, (progress, bytesWritten) => {
+            fileBytes = bytesWritten;
+            reportProgress(freeSpace.bytesCovered + fileBytes);
+          }, 0, 100, { controller: options.controller || null });
+        } catch (error) {
+          // 其他程序同时写入时可能早于预期写满，已写入的部分仍然有效
+          if (error.code !== 'ENOSPC') {
+            throw error;
+          }
+          diskFull = true;
+        } finally {
+          freeSpace.bytesCovered += fileBytes;
+        }
+      }
+    } catch (error) {
+      wipeError = error;
+    }
+    
+    // 无论成功、失败还是取消，都要删除填充文件，释放剩余空间
+    if (tempDir) {
       try {
-        fs.rmdirSync(dirPath);
+        await this.removeFreeSpaceFiles(tempDir);
       } catch (error) {
-        // 忽略删除错误
+        wipeError = wipeError || new Error(`删除填充文件失败，请手动删除 ${tempDir}: ${error.message}`);
       }
-      
+    }
+    
+    let result = 'success';
+    let failureReason = null;
+    if (wipeError) {
+      result = JobController.isCancelError(wipeError) ? 'cancelled' : 'failed';
+      failureReason = result === 'cancelled' ? '剩余空间擦除已取消，已写入的填充文件已删除' : wipeError.message;
+    } else if (progressCallback) {
+      progressCallback(100, { bytesDone: freeSpace.bytesCovered, bytesTotal: freeSpace.bytesCovered });
+    }
+    
+    if (this.logger) {
+      this.logger.logShredding({
+        startTime,
+        endTime: new Date().toISOString(),
+        path: dirPath,
+        originalSize: freeSpace.bytesCovered,
+        result,
+        failureReason,
+        method: 'free-space',
+        standard: '剩余空间擦除（1次随机覆盖）',
+        passCount: freeSpace.bytesCovered > 0 ? 1 : 0,
+        filesystem: FileShredder.getFilesystem(dirPath, options.assurance),
+        freeSpace,
+        assurance: options.assurance || null,
+        jobId: options.jobId || null
+      });
+    }
+    
+    if (wipeError) {
+      throw wipeError;
+    }
+    return freeSpace;
+  }
+
+  /**
+   * 判断目录是否为本工具创建的剩余空间擦除临时目录（不跟随符号链接，且目录中有标记文件）
+   * @param {string} dirPath - 目录路径
+   * @returns {boolean}
+   */
+  static isFreeSpaceTempDir(dirPath) {
+    try {
+      return fs.lstatSync(dirPath).isDirectory() &&
+        fs.lstatSync(path.join(dirPath, FREE_SPACE_MARKER_FILE)).isFile();
     } catch (error) {
-      throw new Error(`粉碎目录失败: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 粉碎剩余空间擦除的填充文件并删除临时目录
+   * 填充文件已被随机数据覆盖，只需清除元数据、重命名后删除
+   * 标记文件最后删除，删除中途被中断时下次擦除仍能识别并清理该目录
+   * @param {string} tempDir - 临时目录路径
+   * @returns {Promise<void>}
+   */
+  async removeFreeSpaceFiles(tempDir) {
+    const markerPath = path.join(tempDir, FREE_SPACE_MARKER_FILE);
+    for (const item of fs.readdirSync(tempDir)) {
+      if (item === FREE_SPACE_MARKER_FILE) {
+        continue;
+      }
+      const fillPath = path.join(tempDir, item);
+      await FileShredder.scrubMetadata(fillPath);
+      this.secureDeleteFileName(fillPath);
+    }
+    if (fs.existsSync(markerPath)) {
+      fs.unlinkSync(markerPath);
     }
+    this.secureDeleteDirectory(tempDir);
   }
 
   /**
    * 静态方法：粉碎目录
    * @param {string} dirPath - 目录路径
    * @param {function} progressCallback - 进度回调函数
+   * @param {string} method - 粉碎方法
    * @returns {Promise<boolean>} - 返回是否成功
    */
-  static async shredDirectory(dirPath, progressCallback = null) {
+  static async shredDirectory(dirPath, progressCallback = null, method = 'dod') {
     try {
       // 创建文件粉碎器实例
       const shredder = new FileShredder();
       
       // 调用实例方法
-      await shredder.shredDirectory(dirPath, progressCallback);
+      await shredder.shredDirectory(dirPath, progressCallback, method);
       
       return true;
     } catch (error) {
@@ -0,0 +1,118 @@
+// 任务状态在共享内存中的取值
+const STATE_RUNNING = 0;
+const STATE_PAUSED = 1;
+const STATE_CANCELLED = 2;
+const STATE_NAMES = ['running', 'paused', 'cancelled'];
+
+/**
+ * 粉碎任务控制模块
+ * 提供暂停、继续和取消的协作式控制，粉碎引擎在写入数据块之间和覆盖步骤之间调用checkpoint()
+ * 任务状态保存在SharedArrayBuffer中，主线程的控制器和工作线程中用同一缓冲区创建的控制器看到的是同一个状态
+ */
+class JobController {
+  /**
+   * @param {SharedArrayBuffer} sharedBuffer - 状态缓冲区（工作线程中传入主线程控制器的buffer）
+   */
+  constructor(sharedBuffer = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT)) {
+    this.buffer = sharedBuffer;
+    this.stateArray = new Int32Array(sharedBuffer);
+  }
+
+  /**
+   * 任务状态（running、paused或cancelled）
+   * @returns {string}
+   */
+  get state() {
+    return STATE_NAMES[Atomics.load(this.stateArray, 0)];
+  }
+
+  /**
+   * 暂停任务
+   * @returns {boolean} - 是否成功暂停
+   */
+  pause() {
+    return Atomics.compareExchange(this.stateArray, 0, STATE_RUNNING, STATE_PAUSED) === STATE_RUNNING;
+  }
+
+  /**
+   * 继续任务
+   * @returns {boolean} - 是否成功继续
+   */
+  resume() {
+    if (Atomics.compareExchange(this.stateArray, 0, STATE_PAUSED, STATE_RUNNING) !== STATE_PAUSED) {
+      return false;
+    }
+    this.releaseWaiters();
+    return true;
+  }
+
+  /**
+   * 取消任务
+   */
+  cancel() {
+    Atomics.store(this.stateArray, 0, STATE_CANCELLED);
+    this.releaseWaiters();
+  }
+
+  /**
+   * 唤醒所有等待继续的调用（包括其他线程中的调用）
+   */
+  releaseWaiters() {
+    Atomics.notify(this.stateArray, 0);
+  }
+
+  /**
+   * 是否已暂停
+   * @returns {boolean}
+   */
+  isPaused() {
+    return Atomics.load(this.stateArray, 0) === STATE_PAUSED;
+  }
+
+  /**
+   * 是否已取消
+   * @returns {boolean}
+   */
+  isCancelled() {
+    return Atomics.load(this.stateArray, 0) === STATE_CANCELLED;
+  }
+
+  /**
+   * 检查点：暂停时等待继续，取消时抛出取消错误
+   * @returns {Promise<void>}
+   */
+  async checkpoint() {
+    while (this.isPaused()) {
+      // 异步等待，不阻塞所在线程的事件循环
+      const wait = Atomics.waitAsync(this.stateArray, 0, STATE_PAUSED);
+      if (wait.async) {
+        await wait.value;
+      }
+    }
+
+    if (this.isCancelled()) {
+      throw JobController.createCancelError();
+    }
+  }
+
+  /**
+   * 创建取消错误
+   * @returns {Error} - 错误对象（code为ECANCELLED）
+   */
+  static createCancelError() {
+    const error = new Error('粉碎操作已取消');
+    error.code = 'ECANCELLED';
+    return error;
+  }
+
+  /**
+   * 判断错误是否为取消错误
+   * @param {Error} error - 错误对象
+   * @returns {boolean}
+   */
+  static isCancelError(error) {
+    return Boolean(error) && error.code === 'ECANCELLED';
+  }
+}
+
+module.exports = JobController;
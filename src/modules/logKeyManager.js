@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// 密钥设置文件（保存在日志目录中，只包含盐值、参数和校验值，不包含密钥本身）
+const KEY_CONFIG_FILE = 'log-key.json';
+
+// 更换密钥时暂存的新密钥设置：写入时所有日志文件都已用新密钥重新加密，替换完日志文件后才保存为正式设置
+const STAGED_CONFIG_FILE = 'log-key.pending.json';
+
+// scrypt参数：N=2^15时在普通电脑上派生一次约需100毫秒
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+// 用派生的密钥对该标签计算HMAC，用于检查密码或密钥文件是否正确
+const KEY_CHECK_LABEL = 'file-shredder-log-key-check';
+
+// 旧版本使用的固定密钥种子，只用于读取和迁移旧日志
+const LEGACY_KEY_SEED = 'file-shredder-encryption-key';
+
+// 密码的最短长度和密钥文件的大小上限
+const MIN_PASSPHRASE_LENGTH = 8;
+const MAX_KEYFILE_SIZE = 1024 * 1024;
+
+/**
+ * 日志密钥管理模块
+ * 用用户的密码或密钥文件经scrypt派生粉碎日志的加密密钥，盐值保存在日志目录中，密钥只保存在内存中
+ */
+class LogKeyManager {
+  /**
+   * @param {string} logsDir - 日志目录
+   */
+  constructor(logsDir) {
+    this.configPath = path.join(logsDir, KEY_CONFIG_FILE);
+    this.stagedConfigPath = path.join(logsDir, STAGED_CONFIG_FILE);
+    this.configError = null;
+    this.config = this.loadConfig();
+    this.key = null;
+  }
+
+  /**
+   * 读取密钥设置
+   * @returns {object|null} - 密钥设置（mode、salt、params、check、keyfilePath），未设置时返回null
+   */
+  loadConfig() {
+    try {
+      if (!fs.existsSync(this.configPath)) {
+        return null;
+      }
+      return LogKeyManager.readConfigFile(this.configPath);
+    } catch (error) {
+      // 设置文件损坏时不能退回旧密钥，保持锁定并报告错误
+      this.configError = error.message;
+      return null;
+    }
+  }
+
+  /**
+   * 读取并检查密钥设置文件
+   * @param {string} filePath - 设置文件路径
+   * @returns {object} - 密钥设置
+   */
+  static readConfigFile(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!['passphrase', 'keyfile'].includes(config.mode) || !config.salt || !config.check || !config.params) {
+      throw new Error('密钥设置文件格式不正确');
+    }
+    return config;
+  }
+
+  /**
+   * 报告密钥设置不可用（例如更换密钥未完成），此后保持锁定，不能解锁
+   * @param {string} message - 原因
+   */
+  setConfigError(message) {
+    this.configError = message;
+    this.setKey(null);
+  }
+
+  /**
+   * 是否已设置密码或密钥文件
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.config !== null || this.configError !== null;
+  }
+
+  /**
+   * 是否已设置密钥但还没有解锁（此时无法读写粉碎日志）
+   * @returns {boolean}
+   */
+  isLocked() {
+    return this.isConfigured() && this.key === null;
+  }
+
+  /**
+   * 获取密钥状态
+   * @returns {object} - 状态（configured、unlocked、mode、keyfilePath、error）
+   */
+  getStatus() {
+    return {
+      configured: this.isConfigured(),
+      unlocked: this.key !== null,
+      mode: this.config ? this.config.mode : null,
+      keyfilePath: this.config && this.config.keyfilePath ? this.config.keyfilePath : null,
+      error: this.configError
+    };
+  }
+
+  /**
+   * 获取当前密钥
+   * @returns {Buffer|null} - 已解锁时返回密钥
+   */
+  getKey() {
+    return this.key;
+  }
+
+  /**
+   * 获取旧版本使用的固定密钥
+   * @returns {Buffer} - 旧密钥
+   */
+  static getLegacyKey() {
+    return crypto.createHash('sha256').update(LEGACY_KEY_SEED).digest();
+  }
+
+  /**
+   * 读取用户提供的密码或密钥文件
+   * @param {object} secret - 密码（type为passphrase，passphrase）或密钥文件（type为keyfile，keyfilePath）
+   * @returns {Promise<Buffer>} - 用于派生密钥的原始数据
+   */
+  static async readSecret(secret) {
+    if (secret && secret.type === 'passphrase') {
+      if (typeof secret.passphrase !== 'string' || secret.passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw LogKeyManager.createError(`密码至少需要${MIN_PASSPHRASE_LENGTH}个字符`, 'EINVAL');
+      }
+      return Buffer.from(secret.passphrase, 'utf8');
+    }
+
+    if (secret && secret.type === 'keyfile') {
+      let stats;
+      try {
+        stats = await fs.promises.stat(secret.keyfilePath);
+      } catch (error) {
+        throw LogKeyManager.createError(`无法读取密钥文件: ${secret.keyfilePath}`, 'ENOENT');
+      }
+      if (!stats.isFile() || stats.size === 0 || stats.size > MAX_KEYFILE_SIZE) {
+        throw LogKeyManager.createError('密钥文件必须是大小不超过1MB的非空文件', 'EINVAL');
+      }
+      return fs.promises.readFile(secret.keyfilePath);
+    }
+
+    throw LogKeyManager.createError('请提供密码或密钥文件', 'EINVAL');
+  }
+
+  /**
+   * 用scrypt派生密钥
+   * @param {Buffer} secretData - 密码或密钥文件内容
+   * @param {Buffer} salt - 盐值
+   * @param {object} params - scrypt参数（N、r、p）
+   * @returns {Promise<Buffer>} - 32字节密钥
+   */
+  static deriveKey(secretData, salt, params) {
+    return scrypt(secretData, salt, 32, { ...params, maxmem: SCRYPT_MAXMEM });
+  }
+
+  /**
+   * 计算密钥的校验值
+   * @param {Buffer} key - 密钥
+   * @returns {string} - 校验值（十六进制）
+   */
+  static computeCheck(key) {
+    return crypto.createHmac('sha256', key).update(KEY_CHECK_LABEL).digest('hex');
+  }
+
+  /**
+   * 用密码或密钥文件解锁
+   * @param {object} secret - 密码或密钥文件
+   * @returns {Promise<object>} - 解锁后的状态
+   */
+  async unlock(secret) {
+    if (this.configError) {
+      throw LogKeyManager.createError(`无法读取密钥设置: ${this.configError}`, 'EBADCONFIG');
+    }
+    if (!this.config) {
+      throw LogKeyManager.createError('尚未设置日志密码或密钥文件', 'ENOKEY');
+    }
+    if (secret && secret.type !== this.config.mode) {
+      throw LogKeyManager.createError(this.config.mode === 'keyfile' ? '日志使用密钥文件加密，请选择密钥文件' : '日志使用密码加密，请输入密码', 'EINVAL');
+    }
+
+    const secretData = await LogKeyManager.readSecret(secret);
+    const key = await LogKeyManager.deriveKey(secretData, Buffer.from(this.config.salt, 'hex'), this.config.params);
+    secretData.fill(0);
+
+    const check = Buffer.from(LogKeyManager.computeCheck(key), 'hex');
+    const expected = Buffer.from(this.config.check, 'hex');
+    if (check.length !== expected.length || !crypto.timingSafeEqual(check, expected)) {
+      key.fill(0);
+      throw LogKeyManager.createError(this.config.mode === 'keyfile' ? '密钥文件不正确' : '密码不正确', 'EBADKEY');
+    }
+
+    this.setKey(key);
+    return this.getStatus();
+  }
+
+  /**
+   * 使用上次记住的密钥文件自动解锁（密钥文件不存在时保持锁定，例如U盘未插入）
+   * @returns {Promise<boolean>} - 是否已解锁
+   */
+  async tryAutoUnlock() {
+    const status = this.getStatus();
+    if (status.unlocked || status.mode !== 'keyfile' || !status.keyfilePath || !fs.existsSync(status.keyfilePath)) {
+      return status.unlocked;
+    }
+
+    try {
+      await this.unlock({ type: 'keyfile', keyfilePath: status.keyfilePath });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 用新的密码或密钥文件生成密钥（不保存，旧日志重新加密后依次调用stage和commit）
+   * @param {object} secret - 密码或密钥文件
+   * @returns {Promise<object>} - 新密钥（key）和对应的设置（config）
+   */
+  async createKey(secret) {
+    const secretData = await LogKeyManager.readSecret(secret);
+    const salt = crypto.randomBytes(16);
+    const key = await LogKeyManager.deriveKey(secretData, salt, SCRYPT_PARAMS);
+    secretData.fill(0);
+
+    const config = {
+      version: 1,
+      mode: secret.type,
+      salt: salt.toString('hex'),
+      params: { ...SCRYPT_PARAMS },
+      check: LogKeyManager.computeCheck(key),
+      // 记住密钥文件的位置，启动时自动解锁（密钥文件内容不保存）
+      keyfilePath: secret.type === 'keyfile' ? path.resolve(secret.keyfilePath) : null,
+      createdAt: new Date().toISOString()
+    };
+
+    return { key, config };
+  }
+
+  /**
+   * 暂存新的密钥设置（所有日志文件都已重新加密到临时文件后调用，此后中断时启动时可以继续完成更换）
+   * @param {object} config - 新的密钥设置
+   */
+  stage(config) {
+    LogKeyManager.writeConfigFile(this.stagedConfigPath, config);
+  }
+
+  /**
+   * 是否有暂存的新密钥设置（上次更换密钥在替换日志文件时被中断）
+   * @returns {boolean}
+   */
+  hasStagedConfig() {
+    return fs.existsSync(this.stagedConfigPath);
+  }
+
+  /**
+   * 保存新的密钥设置并使用新密钥，删除暂存的设置
+   * @param {Buffer} key - 新密钥
+   * @param {object} config - 新的密钥设置
+   */
+  commit(key, config) {
+    LogKeyManager.writeConfigFile(this.configPath, config);
+    fs.rmSync(this.stagedConfigPath, { force: true });
+
+    this.config = config;
+    this.configError = null;
+    this.setKey(key);
+  }
+
+  /**
+   * 把暂存的新密钥设置保存为正式设置（启动时完成上次被中断的更换），需要用新的密码或密钥文件解锁
+   */
+  commitStaged() {
+    const config = LogKeyManager.readConfigFile(this.stagedConfigPath);
+    fs.renameSync(this.stagedConfigPath, this.configPath);
+
+    this.config = config;
+    this.configError = null;
+    this.setKey(null);
+  }
+
+  /**
+   * 写入密钥设置文件（先写临时文件再替换，只有当前用户可读）
+   * @param {string} filePath - 设置文件路径
+   * @param {object} config - 密钥设置
+   */
+  static writeConfigFile(filePath, config) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(config, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * 替换内存中的密钥，旧密钥清零
+   * @param {Buffer|null} key - 新密钥
+   */
+  setKey(key) {
+    if (this.key && this.key !== key) {
+      this.key.fill(0);
+    }
+    this.key = key;
+  }
+
+  /**
+   * 锁定：清除内存中的密钥
+   */
+  lock() {
+    this.setKey(null);
+  }
+
+  /**
+   * 创建带错误码的错误
+   * @param {string} message - 错误信息
+   * @param {string} code - 错误码
+   * @returns {Error}
+   */
+  static createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = LogKeyManager;
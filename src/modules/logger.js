@@ -2,6 +2,21 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { app } = require('electron');
+const LogKeyManager = require('./logKeyManager');
+const FileShredder = require('./fileShredder');
+
+// 使用AES-256-GCM加密的日志条目前缀（没有前缀的是旧版本的AES-256-CBC条目）
+const GCM_ENTRY_PREFIX = 'v2:';
+
+// AES-256-GCM条目的IV和认证标签长度（字节），长度不符的条目不解密，避免接受截短的认证标签
+const GCM_IV_LENGTH = 12;
+const GCM_TAG_LENGTH = 16;
+
+// 用日志密钥对该标签计算HMAC，得到哈希链使用的密钥
+const CHAIN_KEY_LABEL = 'file-shredder-log-chain';
+
+// 更换密钥时重新加密的日志先写入的临时文件后缀
+const REKEY_SUFFIX = '.rekey';
 
 /**
  * 日志系统模块
@@ -30,11 +45,20 @@ class Logger {
     // 应用程序日志文件路径
     this.appLogPath = path.join(this.logsDir, 'INFO-log.txt');
     
-    // 加密密钥（在实际应用中应该从安全的地方获取）
-    this.encryptionKey = crypto.createHash('sha256').update('file-shredder-encryption-key').digest();
+    // 粉碎日志的加密密钥由用户的密码或密钥文件派生，未设置时沿用旧的固定密钥
+    this.keyManager = new LogKeyManager(this.logsDir);
+    
+    // 粉碎日志锁定期间产生的记录，解锁后写入
+    this.pendingEntries = [];
+    
+    // 哈希链末端（最后一个条目的哈希），undefined表示还没有从日志文件中读取
+    this.chainHead = undefined;
     
     // 初始化应用程序日志
     this.initAppLog();
+    
+    // 完成或撤销上次被中断的密钥更换
+    this.recoverKeyChange();
   }
 
   /**
@@ -51,6 +75,34 @@ class Logger {
     }
   }
 
+  /**
+   * 处理上次更换密钥时被中断留下的临时文件
+   * 有暂存的新密钥设置时，所有日志文件都已重新加密，继续替换日志文件并保存新设置（需要用新的密码或密钥文件解锁）；
+   * 没有时说明重新加密还没有完成，旧的日志文件和密钥设置都没有改动，删除临时文件即可
+   */
+  recoverKeyChange() {
+    try {
+      const tempPaths = fs.readdirSync(this.logsDir)
+        .filter(file => /^\d{4}-\d{2}-\d{2}-log\.txt\.rekey$/.test(file))
+        .map(file => path.join(this.logsDir, file));
+      
+      if (this.keyManager.hasStagedConfig()) {
+        for (const tempPath of tempPaths) {
+          fs.renameSync(tempPath, tempPath.slice(0, -REKEY_SUFFIX.length));
+        }
+        this.keyManager.commitStaged();
+        this.warn('上次更换粉碎日志密钥时被中断，已完成更换，请用新的密码或密钥文件解锁', { files: tempPaths.length });
+      } else if (tempPaths.length > 0) {
+        tempPaths.forEach(tempPath => fs.rmSync(tempPath, { force: true }));
+        this.warn('上次更换粉碎日志密钥时被中断，日志仍使用原来的密钥', { files: tempPaths.length });
+      }
+    } catch (error) {
+      // 日志文件可能一部分已换成新密钥，不能再用任何一个密钥写入，保持锁定直到问题解决
+      this.keyManager.setConfigError(`上次更换密钥未完成: ${error.message}`);
+      this.error('完成上次被中断的密钥更换失败', { error: error.message });
+    }
+  }
+
   /**
    * 获取当前日期的文件粉碎日志路径
    * @returns {string} - 日志文件路径
@@ -151,47 +203,259 @@ class Logger {
   }
 
   /**
-   * 加密文本
+   * 获取写入粉碎日志使用的密钥
+   * @returns {Buffer|null} - 密钥；已设置密码但未解锁时返回null，未设置时使用旧的固定密钥
+   */
+  getEncryptionKey() {
+    if (this.keyManager.isLocked()) {
+      return null;
+    }
+    return this.keyManager.getKey() || LogKeyManager.getLegacyKey();
+  }
+
+  /**
+   * 获取读取粉碎日志时使用的密钥
+   * 旧固定密钥是公开的，只在未设置密码或密钥文件时使用；设置后用它加密的条目任何人都能伪造，不再接受
+   * @returns {Array} - 密钥数组（未设置时为旧固定密钥，已锁定时为空）
+   */
+  getDecryptionKeys() {
+    const key = this.getEncryptionKey();
+    return key ? [key] : [];
+  }
+
+  /**
+   * 加密文本（AES-256-GCM，认证标签可以发现条目被篡改或损坏）
+   * 加密失败时抛出错误，不会把明文写入日志
    * @param {string} text - 要加密的文本
-   * @returns {string} - 加密后的文本（Base64编码）
+   * @param {Buffer} key - 密钥（默认为当前密钥）
+   * @returns {string} - 加密后的文本（v2:IV:认证标签:密文，均为十六进制）
+   */
+  encryptText(text, key = this.getEncryptionKey()) {
+    const iv = crypto.randomBytes(GCM_IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv, { authTagLength: GCM_TAG_LENGTH });
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return `${GCM_ENTRY_PREFIX}${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted.toString('hex')}`;
+  }
+
+  /**
+   * 解密文本
+   * @param {string} encryptedText - 加密的文本
+   * @param {Array} keys - 依次尝试的密钥
+   * @returns {string|null} - 解密后的文本，未通过完整性校验时返回null
    */
-  encryptText(text) {
+  decryptText(encryptedText, keys = this.getDecryptionKeys()) {
+    return this.decryptEntry(encryptedText, keys).text;
+  }
+
+  /**
+   * 依次用各个密钥解密日志条目
+   * @param {string} encryptedText - 加密的条目
+   * @param {Array} keys - 依次尝试的密钥
+   * @returns {object} - 解密结果（text为解密后的文本；所有密钥都失败时text为null，integrityError为原因）
+   */
+  decryptEntry(encryptedText, keys) {
+    const isGcm = encryptedText.startsWith(GCM_ENTRY_PREFIX);
+    const parts = (isGcm ? encryptedText.slice(GCM_ENTRY_PREFIX.length) : encryptedText).split(':');
+    if (parts.length !== (isGcm ? 3 : 2)) {
+      return { text: null, integrityError: isGcm ? '条目格式不完整' : '无法识别的条目格式' };
+    }
+    if (isGcm && (!Logger.isHexOfLength(parts[0], GCM_IV_LENGTH) || !Logger.isHexOfLength(parts[1], GCM_TAG_LENGTH))) {
+      return { text: null, integrityError: `IV或认证标签长度不正确（应为${GCM_IV_LENGTH}和${GCM_TAG_LENGTH}字节），条目被篡改或损坏` };
+    }
+
+    const decrypt = (key) => isGcm ? this.decryptGcm(parts, key) : this.decryptCbc(parts, key);
+    for (const key of keys) {
+      const text = decrypt(key);
+      if (text !== null) {
+        return { text, integrityError: null };
+      }
+    }
+
+    // 设置密钥后仍用公开的旧固定密钥加密的条目，不是本程序写入的
+    const legacyKey = LogKeyManager.getLegacyKey();
+    if (!keys.some(key => key.equals(legacyKey)) && decrypt(legacyKey) !== null) {
+      return { text: null, integrityError: '条目使用公开的旧固定密钥加密，设置日志密钥后不再接受，可能是伪造的' };
+    }
+
+    return {
+      text: null,
+      integrityError: isGcm
+        ? '认证失败，条目被篡改、损坏或不是用当前密钥加密的'
+        : '旧格式条目无法解密，条目已损坏或不是用当前密钥加密的'
+    };
+  }
+
+  /**
+   * 用AES-256-GCM解密条目
+   * @param {Array} parts - IV、认证标签和密文（十六进制）
+   * @param {Buffer} key - 密钥
+   * @returns {string|null} - 解密后的文本，认证失败或IV、认证标签长度不正确时返回null
+   */
+  decryptGcm(parts, key) {
+    if (!Logger.isHexOfLength(parts[0], GCM_IV_LENGTH) || !Logger.isHexOfLength(parts[1], GCM_TAG_LENGTH)) {
+      return null;
+    }
     try {
-      const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipheriv('aes-256-cbc', this.encryptionKey, iv);
-      let encrypted = cipher.update(text, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      return iv.toString('hex') + ':' + encrypted;
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(parts[0], 'hex'), { authTagLength: GCM_TAG_LENGTH });
+      decipher.setAuthTag(Buffer.from(parts[1], 'hex'));
+      return Buffer.concat([decipher.update(Buffer.from(parts[2], 'hex')), decipher.final()]).toString('utf8');
     } catch (error) {
-      console.error('加密文本失败:', error);
-      return text; // 如果加密失败，返回原始文本
+      return null;
     }
   }
 
   /**
-   * 解密文本
-   * @param {string} encryptedText - 加密的文本
-   * @returns {string} - 解密后的文本
+   * 判断文本是否为指定字节数的十六进制数据
+   * @param {string} text - 文本
+   * @param {number} length - 字节数
+   * @returns {boolean}
+   */
+  static isHexOfLength(text, length) {
+    return text.length === length * 2 && /^[0-9a-f]*$/i.test(text);
+  }
+
+  /**
+   * 用AES-256-CBC解密旧版本的条目
+   * 旧条目没有认证，错误的密钥偶尔也能通过填充检查，因此解密结果必须是有效的JSON
+   * @param {Array} parts - IV和密文（十六进制）
+   * @param {Buffer} key - 密钥
+   * @returns {string|null} - 解密后的文本，无法解密时返回null
    */
-  decryptText(encryptedText) {
+  decryptCbc(parts, key) {
     try {
-      const parts = encryptedText.split(':');
-      if (parts.length !== 2) {
-        return encryptedText; // 如果不是加密格式，返回原始文本
-      }
-      
-      const iv = Buffer.from(parts[0], 'hex');
-      const encrypted = parts[1];
-      const decipher = crypto.createDecipheriv('aes-256-cbc', this.encryptionKey, iv);
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+      const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(parts[0], 'hex'));
+      let decrypted = decipher.update(parts[1], 'hex', 'utf8');
       decrypted += decipher.final('utf8');
+      JSON.parse(decrypted);
       return decrypted;
     } catch (error) {
-      console.error('解密文本失败:', error);
-      return encryptedText; // 如果解密失败，返回原始文本
+      return null;
     }
   }
 
+  /**
+   * 粉碎日志是否已锁定（已设置密码或密钥文件但尚未解锁）
+   * @returns {boolean}
+   */
+  isLocked() {
+    return this.keyManager.isLocked();
+  }
+
+  /**
+   * 获取日志密钥状态
+   * @returns {object} - 状态（configured、unlocked、mode、keyfilePath、error、pendingEntries）
+   */
+  getKeyStatus() {
+    return { ...this.keyManager.getStatus(), pendingEntries: this.pendingEntries.length };
+  }
+
+  /**
+   * 用密码或密钥文件解锁粉碎日志，并写入锁定期间产生的记录
+   * @param {object} secret - 密码（type为passphrase）或密钥文件（type为keyfile）
+   * @returns {Promise<object>} - 解锁后的状态
+   */
+  async unlock(secret) {
+    await this.keyManager.unlock(secret);
+    this.flushPendingEntries();
+    this.info('粉碎日志已解锁');
+    return this.getKeyStatus();
+  }
+
+  /**
+   * 使用上次记住的密钥文件自动解锁
+   * @returns {Promise<boolean>} - 是否已解锁
+   */
+  async tryAutoUnlock() {
+    const unlocked = await this.keyManager.tryAutoUnlock();
+    if (unlocked) {
+      this.flushPendingEntries();
+    }
+    return unlocked;
+  }
+
+  /**
+   * 设置或更换粉碎日志的密码或密钥文件，并用新密钥重新加密已有的日志文件
+   * 用旧固定密钥写入的日志也在这里迁移到新密钥
+   * @param {object} secret - 新的密码或密钥文件
+   * @returns {Promise<object>} - 重新加密的统计（files、entries，failed为无法解密而保留原样的条目数）
+   */
+  async changeKey(secret) {
+    if (this.keyManager.isLocked()) {
+      const error = new Error('请先解锁粉碎日志再更换密钥');
+      error.code = 'ELOCKED';
+      throw error;
+    }
+
+    const oldKeys = this.getDecryptionKeys();
+    const oldKey = oldKeys[0];
+    const { key, config } = await this.keyManager.createKey(secret);
+    const summary = { files: 0, entries: 0, failed: 0 };
+    const rewritten = [];
+    let previousOldHash = null;
+    let previousNewHash = null;
+
+    try {
+      // 先把每个日志文件重新加密到临时文件，全部成功后再替换；按日期从早到晚处理，以便重建哈希链
+      for (const date of this.getAvailableLogDates().reverse()) {
+        const logPath = this.getShreddingLogPathByDate(date);
+        const lines = fs.readFileSync(logPath, 'utf8').split('\n').map(line => {
+          if (line.trim() === '' || line.startsWith('#')) {
+            return line;
+          }
+
+          // 未通过完整性校验的条目保留原样，以后查看时仍会报告
+          const oldHash = this.hashEntry(line, oldKey);
+          const entry = this.parseEntry(line, oldKeys);
+          let newLine = line;
+          if (entry) {
+            // 原本连续的链接用新密钥重建；原本断开的链接保持断开，不会因为更换密钥而被掩盖
+            if (entry.prevHash !== undefined) {
+              entry.prevHash = entry.prevHash === previousOldHash ? previousNewHash : entry.prevHash;
+            }
+            newLine = this.encryptText(JSON.stringify(entry), key);
+            summary.entries++;
+          } else {
+            summary.failed++;
+          }
+
+          previousOldHash = oldHash;
+          previousNewHash = this.hashEntry(newLine, key);
+          return newLine;
+        });
+
+        const tempPath = `${logPath}${REKEY_SUFFIX}`;
+        fs.writeFileSync(tempPath, lines.join('\n'));
+        rewritten.push({ logPath, tempPath });
+        summary.files++;
+      }
+      
+      // 所有临时文件都写完后暂存新的密钥设置，此后被中断时启动时会继续完成更换
+      this.keyManager.stage(config);
+    } catch (error) {
+      rewritten.forEach(({ tempPath }) => fs.rmSync(tempPath, { force: true }));
+      key.fill(0);
+      throw error;
+    }
+
+    // 先替换全部日志文件，最后保存新的密钥设置，任何时候中断都不会出现设置与日志文件不一致
+    try {
+      for (const { logPath, tempPath } of rewritten) {
+        fs.renameSync(tempPath, logPath);
+      }
+      this.keyManager.commit(key, config);
+    } catch (error) {
+      key.fill(0);
+      this.keyManager.setConfigError(`更换密钥未完成，请重新启动程序完成更换: ${error.message}`);
+      this.error('替换重新加密的日志文件失败', { error: error.message });
+      throw error;
+    }
+    this.chainHead = previousNewHash;
+
+    this.flushPendingEntries();
+    this.info(`粉碎日志密钥已更换为${config.mode === 'keyfile' ? '密钥文件' : '密码'}`, summary);
+    return summary;
+  }
+
   /**
    * 记录信息级别日志
    * @param {string} message - 日志消息
@@ -241,45 +505,260 @@ class Logger {
   /**
    * 记录文件粉碎日志
    * @param {object} shredInfo - 粉碎信息
+   * @returns {object|null} - 写入粉碎日志的条目（生成销毁证书时与日志对照），记录失败时返回null
    */
   logShredding(shredInfo) {
     try {
-      const logPath = this.getShreddingLogPath();
-      
-      // 如果日志文件不存在，创建它
-      if (!fs.existsSync(logPath)) {
-        fs.writeFileSync(logPath, `# 文件粉碎日志\n# 日期: ${new Date().toISOString().split('T')[0]}\n\n`);
-      }
-      
       // 准备日志条目
       const logEntry = {
         timestamp: new Date().toISOString(),
+        jobId: shredInfo.jobId || null,
         startTime: shredInfo.startTime,
         endTime: shredInfo.endTime,
         path: shredInfo.path,
         originalSize: shredInfo.originalSize,
         result: shredInfo.result,
-        failureReason: shredInfo.failureReason || null
+        failureReason: shredInfo.failureReason || null,
+        method: shredInfo.method || null,
+        standard: shredInfo.standard || null,
+        passCount: typeof shredInfo.passCount === 'number' ? shredInfo.passCount : null,
+        passes: shredInfo.passes && shredInfo.passes.length > 0 ? shredInfo.passes : null,
+        ...this.summarizeWrites(shredInfo),
+        filesystem: shredInfo.filesystem || null,
+        renameCount: shredInfo.metadataScrub ? shredInfo.metadataScrub.renames + shredInfo.metadataScrub.directoryRenames : null,
+        verification: shredInfo.verification || null,
+        metadataScrub: shredInfo.metadataScrub || null,
+        linkDecisions: shredInfo.linkDecisions && shredInfo.linkDecisions.length > 0 ? shredInfo.linkDecisions : null,
+        children: shredInfo.children || null,
+        childSummary: shredInfo.childSummary || null,
+        freeSpace: shredInfo.freeSpace || null,
+        coverage: shredInfo.coverage || null,
+        assurance: shredInfo.assurance || null
       };
       
-      // 加密日志条目
-      const encryptedEntry = this.encryptText(JSON.stringify(logEntry));
-      
-      // 写入日志文件
-      fs.appendFileSync(logPath, `${encryptedEntry}\n`);
+      // 日志已锁定时没有密钥，先保存在内存中，解锁后写入
+      const key = this.getEncryptionKey();
+      if (key) {
+        this.appendShreddingEntry(logEntry, key);
+      } else {
+        this.pendingEntries.push(logEntry);
+        this.warn(`粉碎日志已锁定，记录将在解锁后写入: ${shredInfo.path}`);
+      }
       
       // 同时记录到应用程序日志
       if (shredInfo.result === 'success') {
         this.info(`文件粉碎成功: ${shredInfo.path}`, { size: shredInfo.originalSize });
+      } else if (shredInfo.result === 'cancelled') {
+        this.warn(`文件粉碎已取消: ${shredInfo.path}`, { reason: shredInfo.failureReason });
+      } else if (shredInfo.result === 'unlinked') {
+        this.warn(`只删除了链接，没有覆盖数据: ${shredInfo.path}`);
       } else {
         this.error(`文件粉碎失败: ${shredInfo.path}`, { 
           reason: shredInfo.failureReason,
           size: shredInfo.originalSize 
         });
       }
+      
+      return logEntry;
     } catch (error) {
       console.error('记录文件粉碎日志失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 汇总写入量和平均写入速度
+   * 按各覆盖步骤的写入字节数和耗时计算；剩余空间擦除按覆盖的字节数和总耗时计算
+   * @param {object} shredInfo - 粉碎信息
+   * @returns {object} - 汇总（bytesOverwritten为所有步骤写入的总字节数，throughput为字节/秒），无法计算时为null
+   */
+  summarizeWrites(shredInfo) {
+    const passes = shredInfo.passes && shredInfo.passes.length > 0 ? shredInfo.passes : null;
+    let bytesOverwritten = null;
+    let durationMs = 0;
+    
+    if (passes) {
+      bytesOverwritten = passes.reduce((total, pass) => total + pass.bytesWritten, 0);
+      durationMs = passes.reduce((total, pass) => total + pass.durationMs, 0);
+    } else if (shredInfo.freeSpace) {
+      bytesOverwritten = shredInfo.freeSpace.bytesCovered;
+      durationMs = new Date(shredInfo.endTime) - new Date(shredInfo.startTime);
+    }
+    
+    return {
+      bytesOverwritten,
+      throughput: bytesOverwritten !== null && durationMs > 0 ? Math.round(bytesOverwritten / durationMs * 1000) : null
+    };
+  }
+
+  /**
+   * 加密并追加一条粉碎日志记录到当天的日志文件
+   * 记录中保存上一个条目的哈希（当天第一个条目保存前一天最后一个条目的哈希），删除、插入或调换条目都会使链接断开
+   * @param {object} logEntry - 日志条目
+   * @param {Buffer} key - 密钥
+   */
+  appendShreddingEntry(logEntry, key) {
+    const logPath = this.getShreddingLogPath();
+    const prevHash = this.getChainHead(key);
+    
+    // 如果日志文件不存在，创建它
+    if (!fs.existsSync(logPath)) {
+      fs.writeFileSync(logPath, `# 文件粉碎日志\n# 日期: ${path.basename(logPath).slice(0, 10)}\n\n`);
     }
+    
+    const line = this.encryptText(JSON.stringify({ ...logEntry, prevHash }), key);
+    fs.appendFileSync(logPath, `${line}\n`);
+    this.chainHead = this.hashEntry(line, key);
+  }
+
+  /**
+   * 写入日志锁定期间保存在内存中的记录（写入当天的日志文件，保持哈希链按写入顺序连接）
+   */
+  flushPendingEntries() {
+    const key = this.getEncryptionKey();
+    if (!key) {
+      return;
+    }
+    
+    const pending = this.pendingEntries.splice(0);
+    for (const logEntry of pending) {
+      try {
+        this.appendShreddingEntry(logEntry, key);
+      } catch (error) {
+        console.error('写入文件粉碎日志失败:', error);
+      }
+    }
+  }
+
+  /**
+   * 计算日志条目在哈希链中的哈希（对加密后的整行计算HMAC）
+   * @param {string} line - 加密后的日志条目
+   * @param {Buffer} key - 日志密钥
+   * @returns {string} - 哈希（十六进制）
+   */
+  hashEntry(line, key) {
+    const chainKey = crypto.createHmac('sha256', key).update(CHAIN_KEY_LABEL).digest();
+    return crypto.createHmac('sha256', chainKey).update(line).digest('hex');
+  }
+
+  /**
+   * 获取哈希链末端，即最近的日志文件中最后一个条目的哈希
+   * @param {Buffer} key - 日志密钥
+   * @returns {string|null} - 哈希，还没有任何条目时返回null
+   */
+  getChainHead(key) {
+    if (this.chainHead === undefined) {
+      this.chainHead = null;
+      for (const date of this.getAvailableLogDates()) {
+        const entryLines = this.readEntryLines(this.getShreddingLogPathByDate(date));
+        if (entryLines.length > 0) {
+          this.chainHead = this.hashEntry(entryLines[entryLines.length - 1].line, key);
+          break;
+        }
+      }
+    }
+    return this.chainHead;
+  }
+
+  /**
+   * 读取日志文件中的条目行（跳过注释行和空行）
+   * @param {string} logPath - 日志文件路径
+   * @returns {Array} - 条目数组（line、lineNumber）
+   */
+  readEntryLines(logPath) {
+    return fs.readFileSync(logPath, 'utf8').split('\n')
+      .map((line, index) => ({ line, lineNumber: index + 1 }))
+      .filter(({ line }) => line.trim() !== '' && !line.startsWith('#'));
+  }
+
+  /**
+   * 解密并解析日志条目
+   * @param {string} line - 加密后的日志条目
+   * @param {Array} keys - 依次尝试的密钥
+   * @returns {object|null} - 日志条目，未通过完整性校验或内容无效时返回null
+   */
+  parseEntry(line, keys) {
+    const { text } = this.decryptEntry(line, keys);
+    if (text === null) {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 查找某次粉碎任务的全部粉碎日志记录
+   * @param {string} jobId - 任务编号
+   * @returns {Array} - 日志条目数组
+   */
+  findJobRecords(jobId) {
+    const keys = this.getDecryptionKeys();
+    const records = [];
+    for (const date of this.getAvailableLogDates()) {
+      for (const { line } of this.readEntryLines(this.getShreddingLogPathByDate(date))) {
+        const entry = this.parseEntry(line, keys);
+        if (entry && entry.jobId === jobId) {
+          records.push(entry);
+        }
+      }
+    }
+    return records;
+  }
+
+  /**
+   * 验证粉碎日志的哈希链：按日期从早到晚检查每个条目记录的上一条目哈希，遇到第一个断开的链接时停止
+   * 哈希链之前的旧条目没有链接，只校验能否解密；最后几个条目被整体删除无法从链本身发现，可以对照上次验证的lastHash
+   * @returns {object} - 验证结果（valid、dates、entries、chainedEntries、lastHash，断开时broken为date、line、reason）
+   */
+  verifyIntegrity() {
+    const key = this.getEncryptionKey();
+    if (!key) {
+      const error = new Error('请先解锁粉碎日志再验证完整性');
+      error.code = 'ELOCKED';
+      throw error;
+    }
+
+    const keys = this.getDecryptionKeys();
+    const dates = this.getAvailableLogDates().reverse();
+    const result = { valid: true, dates: dates.length, entries: 0, chainedEntries: 0, lastHash: null, broken: null };
+    let previousHash = null;
+    let chainStarted = false;
+
+    for (const date of dates) {
+      const entryLines = this.readEntryLines(this.getShreddingLogPathByDate(date));
+      for (const [index, { line, lineNumber }] of entryLines.entries()) {
+        const entry = this.parseEntry(line, keys);
+        let reason = null;
+        if (!entry) {
+          reason = this.decryptEntry(line, keys).integrityError || '条目内容无效';
+        } else if (entry.prevHash === undefined) {
+          reason = chainStarted ? '条目没有链接到上一个条目，可能是在哈希链之外插入的' : null;
+        } else if (entry.prevHash !== previousHash) {
+          reason = index === 0
+            ? '没有链接到前一天的最后一个条目，之前的日志文件或条目可能被删除'
+            : '没有链接到上一个条目，中间的条目可能被删除、插入或调换了顺序';
+        }
+
+        if (reason) {
+          result.valid = false;
+          result.broken = { date, line: lineNumber, reason };
+          return result;
+        }
+
+        if (entry.prevHash !== undefined) {
+          chainStarted = true;
+          result.chainedEntries++;
+        }
+        result.entries++;
+        previousHash = this.hashEntry(line, key);
+      }
+    }
+
+    result.lastHash = previousHash;
+    return result;
   }
 
   /**
@@ -326,10 +805,16 @@ class Logger {
    */
   processShreddingLogs(logContent) {
     try {
-      const lines = logContent.split('\n').filter(line => line.trim() !== '');
+      const lines = logContent.split('\n');
       const processedLogs = [];
+      const keys = this.getDecryptionKeys();
+      let integrityErrors = 0;
       
-      for (const line of lines) {
+      for (const [index, line] of lines.entries()) {
+        if (line.trim() === '') {
+          continue;
+        }
+        
         // 跳过注释行
         if (line.startsWith('#')) {
           processedLogs.push(line);
@@ -337,17 +822,36 @@ class Logger {
         }
         
         try {
-          // 解密日志条目
-          const decryptedEntry = this.decryptText(line);
-          const logEntry = JSON.parse(decryptedEntry);
+          // 解密日志条目，未通过认证的条目作为完整性错误报告，不能当作普通的无法解析的行
+          const { text, integrityError } = this.decryptEntry(line, keys);
+          if (integrityError) {
+            integrityErrors++;
+            processedLogs.push(`完整性错误: 第 ${index + 1} 行，${integrityError}`);
+            continue;
+          }
+          const logEntry = JSON.parse(text);
           
           // 格式化日志条目
           const formattedEntry = [
             `时间: ${new Date(logEntry.timestamp).toLocaleString()}`,
             `路径: ${logEntry.path}`,
+            logEntry.jobId ? `任务编号: ${logEntry.jobId}` : '',
+            logEntry.standard ? `粉碎标准: ${logEntry.standard}` : '',
+            typeof logEntry.passCount === 'number' ? `覆盖次数: ${logEntry.passCount}` : '',
+            logEntry.passes ? `每步耗时: ${this.formatPasses(logEntry.passes)}` : '',
+            typeof logEntry.bytesOverwritten === 'number' ? `写入量: ${this.formatWrites(logEntry)}` : '',
+            logEntry.filesystem ? `文件系统: ${logEntry.filesystem}` : '',
+            typeof logEntry.renameCount === 'number' ? `重命名次数: ${logEntry.renameCount}` : '',
             `大小: ${this.formatFileSize(logEntry.originalSize)}`,
-            `结果: ${logEntry.result === 'success' ? '粉碎成功' : '失败'}`,
+            `结果: ${this.formatResult(logEntry.result)}`,
             logEntry.failureReason ? `失败原因: ${logEntry.failureReason}` : '',
+            logEntry.verification ? `校验: ${this.formatVerification(logEntry.verification)}` : '',
+            logEntry.metadataScrub && (logEntry.metadataScrub.files > 0 || logEntry.metadataScrub.directories > 0) ? `元数据: ${this.formatMetadataScrub(logEntry.metadataScrub)}` : '',
+            logEntry.linkDecisions ? `链接处理: ${this.formatLinkDecisions(logEntry.linkDecisions)}` : '',
+            logEntry.children ? `子项目: ${this.formatChildren(logEntry.children, logEntry.childSummary)}` : '',
+            logEntry.assurance ? `存储评估: ${this.formatAssurance(logEntry.assurance)}` : '',
+            logEntry.coverage && logEntry.coverage.logicalSize > 0 ? `覆盖范围: ${this.formatCoverage(logEntry.coverage)}` : '',
+            logEntry.freeSpace ? `剩余空间: 已覆盖 ${this.formatFileSize(logEntry.freeSpace.bytesCovered)}（${logEntry.freeSpace.filesCreated} 个填充文件，保留 ${this.formatFileSize(logEntry.freeSpace.reserveBytes)}）` : '',
             `开始时间: ${new Date(logEntry.startTime).toLocaleString()}`,
             `结束时间: ${new Date(logEntry.endTime).toLocaleString()}`,
             '---'
@@ -355,11 +859,16 @@ class Logger {
           
           processedLogs.push(formattedEntry);
         } catch (error) {
-          // 如果解密或解析失败，保留原始行
-          processedLogs.push(`无法解析的日志条目: ${line}`);
+          // 通过了认证但内容不是有效的日志条目
+          integrityErrors++;
+          processedLogs.push(`完整性错误: 第 ${index + 1} 行，条目内容无效（${error.message}）`);
         }
       }
       
+      if (integrityErrors > 0) {
+        this.warn(`粉碎日志中有 ${integrityErrors} 个条目未通过完整性校验`);
+      }
+      
       return processedLogs.join('\n');
     } catch (error) {
       console.error('处理文件粉碎日志失败:', error);
@@ -367,6 +876,184 @@ class Logger {
     }
   }
 
+  /**
+   * 格式化粉碎结果
+   * @param {string} result - 粉碎结果（success、cancelled、partial、unlinked或failed）
+   * @returns {string} - 结果文本
+   */
+  formatResult(result) {
+    switch (result) {
+      case 'success': return '粉碎成功';
+      case 'cancelled': return '已取消';
+      case 'partial': return '部分完成';
+      case 'unlinked': return '仅删除链接（数据未覆盖）';
+      case 'skipped': return '已跳过（文件被其他进程打开，未修改）';
+      default: return '失败';
+    }
+  }
+
+  /**
+   * 格式化每一步覆盖的耗时和写入量
+   * @param {Array} passes - 覆盖步骤统计（pass、description、durationMs、bytesWritten）
+   * @returns {string} - 格式化后的文本
+   */
+  formatPasses(passes) {
+    return passes.map(pass => `第${pass.pass}步 ${this.formatDuration(pass.durationMs)}（${this.formatFileSize(pass.bytesWritten)}）`).join('，');
+  }
+
+  /**
+   * 格式化写入总量和平均写入速度
+   * @param {object} logEntry - 日志条目（bytesOverwritten、throughput）
+   * @returns {string} - 格式化后的文本
+   */
+  formatWrites(logEntry) {
+    const total = `共 ${this.formatFileSize(logEntry.bytesOverwritten)}`;
+    return logEntry.throughput ? `${total}，平均 ${this.formatFileSize(logEntry.throughput)}/秒` : total;
+  }
+
+  /**
+   * 格式化耗时
+   * @param {number} durationMs - 耗时（毫秒）
+   * @returns {string} - 格式化后的耗时
+   */
+  formatDuration(durationMs) {
+    return durationMs < 1000 ? `${durationMs} 毫秒` : `${(durationMs / 1000).toFixed(2)} 秒`;
+  }
+
+  /**
+   * 格式化回读校验结果
+   * @param {object} verification - 校验结果
+   * @returns {string} - 格式化后的校验结果
+   */
+  formatVerification(verification) {
+    const modeText = verification.mode === 'sampled' ? '抽样校验' : '完整校验';
+    
+    if (verification.passed === false && verification.mismatch) {
+      const { mismatch } = verification;
+      return `失败（第${mismatch.pass}步覆盖，偏移 ${mismatch.offset}，文件 ${mismatch.path}）`;
+    }
+    
+    if (verification.passed === true) {
+      return `通过（${modeText}，${verification.passesVerified}次覆盖，${verification.blocksChecked}个数据块）`;
+    }
+    
+    return '未校验';
+  }
+
+  /**
+   * 格式化存储评估结果
+   * @param {object} assurance - 存储评估结果（level、filesystem、rotational、trim、warning、suggestion）
+   * @returns {string} - 存储评估文本
+   */
+  formatAssurance(assurance) {
+    const levelNames = { high: '高', medium: '中', low: '低', unknown: '未知' };
+    const details = [
+      assurance.filesystem || '未知文件系统',
+      assurance.rotational === true ? '机械硬盘' : assurance.rotational === false ? '固态硬盘或闪存' : '未知介质'
+    ];
+    if (assurance.trim) {
+      details.push('支持TRIM');
+    }
+    
+    const notes = [assurance.warning, assurance.suggestion].filter(Boolean);
+    return `覆盖有效性${levelNames[assurance.level] || '未知'}（${details.join('，')}）${notes.length > 0 ? `：${notes.join('。')}` : ''}`;
+  }
+
+  /**
+   * 格式化覆盖范围
+   * @param {object} coverage - 覆盖范围（logicalSize、bytesOverwritten、slackBytes、holeBytes）
+   * holeBytes是按内容判断的全零区域，没有检查这些块是否真的未分配，只记录为假定的空洞
+   * @returns {string} - 覆盖范围文本
+   */
+  formatCoverage(coverage) {
+    const details = [];
+    if (coverage.slackBytes > 0) {
+      details.push(`含松弛空间 ${this.formatFileSize(coverage.slackBytes)}`);
+    }
+    if (coverage.holeBytes > 0) {
+      details.push(`全零区域 ${this.formatFileSize(coverage.holeBytes)} 假定为空洞，未写入`);
+    }
+    
+    const text = `文件大小 ${this.formatFileSize(coverage.logicalSize)}，实际覆盖 ${this.formatFileSize(coverage.bytesOverwritten)}`;
+    return details.length > 0 ? `${text}（${details.join('，')}）` : text;
+  }
+
+  /**
+   * 格式化文件夹中子项目的粉碎结果摘要
+   * @param {Array} children - 子项目结果（path、type、status、bytes、method、durationMs、errorCode）
+   * @param {object|null} childSummary - 全部子项目的统计（FileShredder.summarizeChildren），旧日志中没有时按children统计
+   * @returns {string} - 子项目结果文本
+   */
+  formatChildren(children, childSummary = null) {
+    const summary = childSummary || FileShredder.summarizeChildren(children).childSummary;
+    const failed = children.filter(child => child.status === 'failed');
+    const parts = [
+      `文件 ${summary.filesShredded}/${summary.files} 已粉碎`,
+      `目录 ${summary.directoriesRemoved}/${summary.directories} 已删除`
+    ];
+    
+    if (summary.incomplete > 0) {
+      parts.push(`${summary.incomplete} 个未完成`);
+    }
+    if (failed.length > 0) {
+      const more = summary.failed > failed.length ? `等 ${summary.failed} 项` : '';
+      parts.push(`失败: ${failed.map(child => `${child.path}（${child.errorCode}）`).join('、')}${more}`);
+    }
+    if (summary.omitted > 0) {
+      parts.push(`另有 ${summary.omitted} 个已成功的子项目未逐项记录`);
+    }
+    
+    return parts.join('，');
+  }
+
+  /**
+   * 格式化符号链接、硬链接文件和特殊文件的处理决定
+   * @param {Array} decisions - 处理决定（path、type、nlink、action）
+   * @returns {string} - 处理决定文本
+   */
+  formatLinkDecisions(decisions) {
+    const typeNames = {
+      symlink: '符号链接',
+      hardlink: '硬链接文件',
+      fifo: 'FIFO',
+      socket: '套接字',
+      device: '设备文件'
+    };
+    const actionNames = {
+      unlinked: '仅删除链接',
+      skipped: '已跳过',
+      refused: '拒绝粉碎'
+    };
+    
+    return decisions.map(decision => {
+      const names = decision.type === 'hardlink' ? `，${decision.nlink} 个名称` : '';
+      return `${typeNames[decision.type] || decision.type} ${decision.path}${names}（${actionNames[decision.action] || decision.action}）`;
+    }).join('; ');
+  }
+
+  /**
+   * 格式化元数据清除情况
+   * @param {object} scrub - 元数据清除情况（按文件计数）
+   * @returns {string} - 元数据清除文本
+   */
+  formatMetadataScrub(scrub) {
+    const parts = [];
+    if (scrub.files > 0) {
+      parts.push(
+        `已截断 ${scrub.truncated}/${scrub.files}`,
+        `时间戳已重置 ${scrub.timestampsReset}/${scrub.files}`,
+        scrub.xattrsUnsupported === scrub.files
+          ? '扩展属性不支持'
+          : `扩展属性已删除 ${scrub.xattrsRemoved} 个${scrub.xattrsUnsupported > 0 ? `（${scrub.xattrsUnsupported} 个文件不支持）` : ''}`,
+        `重命名 ${scrub.renames} 次`
+      );
+    }
+    if (scrub.directories > 0) {
+      parts.push(`已删除 ${scrub.directories} 个目录（重命名 ${scrub.directoryRenames} 次）`);
+    }
+    return parts.join('，');
+  }
+
   /**
    * 格式化文件大小
    * @param {number} bytes - 字节数
@@ -381,35 +1068,6 @@ class Logger {
     
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
-
-  /**
-   * 清理旧日志（保留最近30天）
-   */
-  cleanupOldLogs() {
-    try {
-      const files = fs.readdirSync(this.logsDir);
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      
-      for (const file of files) {
-        // 跳过应用程序日志文件
-        if (file === 'INFO-log.txt') continue;
-        
-        // 检查是否是文件粉碎日志文件
-        const match = file.match(/^(\d{4}-\d{2}-\d{2})-log\.txt$/);
-        if (match) {
-          const fileDate = new Date(match[1]);
-          if (fileDate < thirtyDaysAgo) {
-            const filePath = path.join(this.logsDir, file);
-            fs.unlinkSync(filePath);
-            this.info(`已删除旧日志文件: ${file}`);
-          }
-        }
-      }
-    } catch (error) {
-      console.error('清理旧日志失败:', error);
-    }
-  }
 }
 
 module.exports = Logger;
\ No newline at end of file
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// 各平台内置的受保护目录：目录本身、其中的所有内容以及包含它的上级目录都不能粉碎
+// （Linux的/root是root用户的主目录，以root运行时按主目录处理，见getBuiltinRules）
+const PROTECTED_TREES = {
+  linux: [
+    '/bin', '/boot', '/dev', '/etc', '/lib', '/lib32', '/lib64', '/libx32', '/opt', '/proc', '/root', '/run', '/sbin', '/snap', '/srv',
+    '/sys', '/usr', '/var'
+  ],
+  darwin: ['/Applications', '/Library', '/System', '/bin', '/cores', '/dev', '/etc', '/private', '/sbin', '/usr', '/var'],
+  win32: [
+    'C:\\Windows',
+    'C:\\Program Files',
+    'C:\\Program Files (x86)',
+    'C:\\ProgramData',
+    'C:\\Users\\Default',
+    'C:\\Users\\Public',
+    'C:\\Recovery',
+    'C:\\System Volume Information'
+  ]
+};
+
+// 各平台存放用户主目录的目录
+const HOME_PARENTS = {
+  linux: '/home',
+  darwin: '/Users',
+  win32: 'C:\\Users'
+};
+
+/**
+ * 受保护路径策略模块
+ * 根据平台内置的受保护目录、程序自身的目录以及用户设置的禁止和允许列表，判断路径是否可以粉碎
+ * 文件系统根目录和用户主目录本身（及包含它们的目录）始终不能粉碎，允许列表也不能放行
+ */
+class PathPolicy {
+  /**
+   * @param {object} options - 策略选项
+   * @param {string} options.platform - 平台（默认当前平台）
+   * @param {string} options.homeDir - 当前用户的主目录
+   * @param {Array} options.appPaths - 程序自身的目录（用户数据、日志、安装目录）
+   * @param {Array} options.denyList - 用户设置的禁止列表
+   * @param {Array} options.allowList - 用户设置的允许列表，可以放行内置规则
+   */
+  constructor(options = {}) {
+    this.platform = options.platform || process.platform;
+    this.pathApi = this.platform === 'win32' ? path.win32 : path.posix;
+    // Windows和macOS的文件系统默认不区分大小写
+    this.caseInsensitive = this.platform === 'win32' || this.platform === 'darwin';
+    this.allowList = (options.allowList || []).map(entry => ({ path: entry, normalizedPath: this.normalize(entry) }));
+    this.rules = PathPolicy.getBuiltinRules(this.platform, options.homeDir || os.homedir());
+
+    for (const appPath of options.appPaths || []) {
+      this.rules.push({ path: appPath, tree: true, overridable: false, reason: '程序自身的数据、日志或安装目录' });
+    }
+    for (const entry of options.denyList || []) {
+      // 禁止列表是用户明确设置的，优先于允许列表
+      this.rules.push({ path: entry, tree: true, overridable: false, reason: '在禁止列表中' });
+    }
+
+    this.rules = this.rules.map(rule => ({ ...rule, normalizedPath: this.normalize(rule.path) }));
+  }
+
+  /**
+   * 获取平台内置的保护规则
+   * @param {string} platform - 平台
+   * @param {string} homeDir - 当前用户的主目录
+   * @returns {Array} - 规则数组（path、tree为true时保护整个目录、children为true时保护直接子目录本身、overridable是否可被允许列表放行、reason）
+   */
+  static getBuiltinRules(platform, homeDir) {
+    // 受保护目录正是当前用户的主目录时（以root运行时的/root），只保护主目录本身，其中的文件可以粉碎
+    const rules = (PROTECTED_TREES[platform] || PROTECTED_TREES.linux)
+      .filter(protectedPath => !homeDir || protectedPath !== homeDir)
+      .map(protectedPath => ({
+        path: protectedPath,
+        tree: true,
+        overridable: true,
+        reason: '系统目录'
+      }));
+
+    // 各用户的主目录本身不能粉碎，其中的文件可以
+    const homeParent = HOME_PARENTS[platform] || HOME_PARENTS.linux;
+    rules.push({ path: homeParent, tree: false, children: true, overridable: false, reason: '用户主目录' });
+    if (homeDir) {
+      rules.push({ path: homeDir, tree: false, overridable: false, reason: '用户主目录' });
+    }
+
+    return rules;
+  }
+
+  /**
+   * 规范化路径用于比较：解析为绝对路径，去掉末尾的分隔符，不区分大小写的平台转为小写
+   * @param {string} targetPath - 路径
+   * @returns {string} - 规范化后的路径
+   */
+  normalize(targetPath) {
+    const resolved = this.pathApi.resolve(targetPath);
+    return this.caseInsensitive ? resolved.toLowerCase() : resolved;
+  }
+
+  /**
+   * 解析路径所在目录中的符号链接（路径本身是符号链接时不解析，粉碎只删除链接）
+   * @param {string} targetPath - 路径
+   * @returns {string} - 解析后的路径
+   */
+  resolveTarget(targetPath) {
+    const resolved = this.pathApi.resolve(targetPath);
+    if (this.platform !== process.platform) {
+      return resolved;
+    }
+
+    try {
+      const parent = this.pathApi.dirname(resolved);
+      return parent === resolved ? resolved : this.pathApi.join(fs.realpathSync(parent), this.pathApi.basename(resolved));
+    } catch (error) {
+      return resolved;
+    }
+  }
+
+  /**
+   * 判断路径是否在目录之中（或就是该目录）
+   * @param {string} childPath - 规范化后的路径
+   * @param {string} parentPath - 规范化后的目录
+   * @returns {boolean}
+   */
+  isWithin(childPath, parentPath) {
+    if (childPath === parentPath) {
+      return true;
+    }
+    const prefix = parentPath.endsWith(this.pathApi.sep) ? parentPath : parentPath + this.pathApi.sep;
+    return childPath.startsWith(prefix);
+  }
+
+  /**
+   * 检查路径是否可以粉碎
+   * @param {string} targetPath - 要粉碎的文件或目录
+   * @returns {object} - 检查结果（allowed、reason、rule，被允许列表放行时override为放行的规则和允许列表项）
+   */
+  check(targetPath) {
+    const target = this.normalize(this.resolveTarget(targetPath));
+
+    // 文件系统根目录（包括Windows的各个盘符）
+    if (this.pathApi.dirname(target) === target) {
+      return { allowed: false, reason: `文件系统根目录（${target}）`, rule: target, override: null };
+    }
+
+    // 粉碎目录会删除其中的所有内容，因此包含受保护路径的目录也受保护
+    const matches = this.rules.filter(rule =>
+      this.isWithin(rule.normalizedPath, target) ||
+      (rule.tree && this.isWithin(target, rule.normalizedPath)) ||
+      (rule.children && this.pathApi.dirname(target) === rule.normalizedPath)
+    );
+    if (matches.length === 0) {
+      return { allowed: true, reason: null, rule: null, override: null };
+    }
+
+    const blocking = matches.find(rule => !rule.overridable);
+    const allowedBy = this.allowList.find(entry => this.isWithin(target, entry.normalizedPath));
+    if (blocking || !allowedBy) {
+      const rule = blocking || matches[0];
+      return { allowed: false, reason: `受保护的路径（${rule.reason}: ${rule.path}）`, rule: rule.path, override: null };
+    }
+
+    return {
+      allowed: true,
+      reason: null,
+      rule: matches[0].path,
+      override: { rules: matches.map(rule => rule.path), allowedBy: allowedBy.path }
+    };
+  }
+}
+
+module.exports = PathPolicy;
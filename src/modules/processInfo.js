@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 进程信息模块
+ * 查找打开了指定文件的进程，粉碎被其他进程打开的文件时，进程仍可能读到或写回原数据
+ */
+class ProcessInfo {
+  /**
+   * 列出所有进程打开的文件
+   * 目前只能通过Linux的 /proc/<pid>/fd 获取；没有权限读取的进程（其他用户的进程）会跳过
+   * 进程和文件描述符很多时扫描需要较长时间，全部使用异步读取，不阻塞调用的线程
+   * @returns {Promise<object>} - 扫描结果（supported是否支持扫描，incomplete是否有进程无法读取，entries为pid、command、path数组）
+   */
+  static async listOpenFiles() {
+    const result = { supported: process.platform === 'linux', incomplete: false, entries: [] };
+    if (!result.supported) {
+      return result;
+    }
+
+    let pids;
+    try {
+      pids = (await fs.promises.readdir('/proc')).filter(name => /^\d+$/.test(name));
+    } catch (error) {
+      result.supported = false;
+      return result;
+    }
+
+    for (const pid of pids) {
+      // 本程序自己打开的文件（如粉碎过程中的文件）不算
+      if (Number(pid) === process.pid) {
+        continue;
+      }
+
+      const fdDir = path.join('/proc', pid, 'fd');
+      let fds;
+      try {
+        fds = await fs.promises.readdir(fdDir);
+      } catch (error) {
+        // 进程已退出时忽略，没有权限时记录扫描不完整
+        if (error.code === 'EACCES' || error.code === 'EPERM') {
+          result.incomplete = true;
+        }
+        continue;
+      }
+
+      const command = await ProcessInfo.getCommandName(pid);
+      for (const fd of fds) {
+        try {
+          const target = await fs.promises.readlink(path.join(fdDir, fd));
+          // 管道、套接字等显示为 pipe:[...]、socket:[...]，不是文件路径
+          if (target.startsWith('/')) {
+            result.entries.push({ pid: Number(pid), command, path: target });
+          }
+        } catch (error) {
+          // 文件描述符已关闭
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取进程的命令名
+   * @param {string|number} pid - 进程ID
+   * @returns {Promise<string>} - 命令名，无法读取时返回空字符串
+   */
+  static async getCommandName(pid) {
+    try {
+      return (await fs.promises.readFile(path.join('/proc', String(pid), 'comm'), 'utf8')).trim();
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * 查找打开了文件（或文件夹中任何文件）的进程
+   * @param {string} targetPath - 文件或文件夹路径
+   * @param {object} openFiles - listOpenFiles的结果，检查多个路径时可以共用一次扫描
+   * @returns {object} - 检查结果（supported、incomplete，holders为pid、command、paths数组）
+   */
+  static findHolders(targetPath, openFiles) {
+    const target = ProcessInfo.resolveTarget(targetPath);
+    const prefix = target.endsWith(path.sep) ? target : target + path.sep;
+    const holders = new Map();
+
+    for (const entry of openFiles.entries) {
+      if (entry.path !== target && !entry.path.startsWith(prefix)) {
+        continue;
+      }
+
+      if (!holders.has(entry.pid)) {
+        holders.set(entry.pid, { pid: entry.pid, command: entry.command, paths: [] });
+      }
+      const holder = holders.get(entry.pid);
+      if (!holder.paths.includes(entry.path)) {
+        holder.paths.push(entry.path);
+      }
+    }
+
+    return {
+      supported: openFiles.supported,
+      incomplete: openFiles.incomplete,
+      holders: [...holders.values()].sort((a, b) => a.pid - b.pid)
+    };
+  }
+
+  /**
+   * 解析路径所在目录中的符号链接，与 /proc 中显示的路径一致
+   * 路径本身是符号链接时不解析（粉碎只删除链接，不影响链接指向的文件）
+   * @param {string} targetPath - 路径
+   * @returns {string} - 解析后的绝对路径
+   */
+  static resolveTarget(targetPath) {
+    const resolved = path.resolve(targetPath);
+    try {
+      const parent = path.dirname(resolved);
+      return parent === resolved ? resolved : path.join(fs.realpathSync(parent), path.basename(resolved));
+    } catch (error) {
+      return resolved;
+    }
+  }
+}
+
+module.exports = ProcessInfo;
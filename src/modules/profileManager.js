@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Utils = require('./utils');
+const { app } = require('electron');
+
+/**
+ * 粉碎方案管理模块
+ * 负责保存、读取和验证用户自定义的粉碎方案（有序的覆盖步骤列表）
+ */
+class ProfileManager {
+  constructor(logger = null) {
+    // 获取用户数据目录，确保在打包后的应用程序中也能正确保存方案
+    const userDataPath = app ? app.getPath('userData') : path.join(__dirname, '../../logs');
+    this.profilesDir = userDataPath;
+    this.profilesFilePath = path.join(this.profilesDir, 'wipe-profiles.json');
+
+    // 确保方案目录存在
+    Utils.ensureDirectoryExists(this.profilesDir);
+
+    // 日志记录器
+    this.logger = logger;
+
+    // 单个方案的覆盖步骤数量上限
+    this.maxPasses = 100;
+
+    // 多字节模式的长度上限
+    this.maxPatternLength = 16;
+
+    // 当前方案列表
+    this.profiles = this.loadProfiles();
+  }
+
+  /**
+   * 加载自定义方案，跳过验证失败的方案
+   * @returns {Array} - 有效的方案数组
+   */
+  loadProfiles() {
+    try {
+      if (!fs.existsSync(this.profilesFilePath)) {
+        return [];
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.profilesFilePath, 'utf8'));
+      const profiles = Array.isArray(data.profiles) ? data.profiles : [];
+      const validProfiles = [];
+
+      for (const profile of profiles) {
+        const validation = this.validateProfile(profile);
+        if (validation.isValid) {
+          validProfiles.push(this.normalizeProfile(profile));
+        } else if (this.logger) {
+          this.logger.warn(`已跳过无效的粉碎方案: ${profile && profile.name}`, { errors: validation.errors });
+        }
+      }
+
+      return validProfiles;
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error('加载粉碎方案失败', { error: error.message });
+      }
+      return [];
+    }
+  }
+
+  /**
+   * 保存方案列表到文件
+   */
+  saveProfiles() {
+    fs.writeFileSync(this.profilesFilePath, JSON.stringify({ profiles: this.profiles }, null, 2));
+  }
+
+  /**
+   * 验证粉碎方案
+   * @param {object} profile - 粉碎方案
+   * @returns {object} - 验证结果
+   */
+  validateProfile(profile) {
+    const result = {
+      isValid: true,
+      errors: []
+    };
+
+    if (!profile || typeof profile !== 'object') {
+      result.isValid = false;
+      result.errors.push('方案格式不正确');
+      return result;
+    }
+
+    if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+      result.errors.push('方案名称不能为空');
+    }
+
+    if (!Array.isArray(profile.passes) || profile.passes.length === 0) {
+      result.errors.push('方案至少需要一个覆盖步骤');
+    } else if (profile.passes.length > this.maxPasses) {
+      result.errors.push(`覆盖步骤不能超过${this.maxPasses}个`);
+    } else {
+      profile.passes.forEach((pass, index) => {
+        const passErrors = this.validatePass(pass, index);
+        result.errors.push(...passErrors);
+      });
+    }
+
+    result.isValid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * 验证单个覆盖步骤
+   * @param {object} pass - 覆盖步骤
+   * @param {number} index - 步骤序号
+   * @returns {Array} - 错误信息数组
+   */
+  validatePass(pass, index) {
+    const errors = [];
+    const label = `第${index + 1}步`;
+    const isByte = (value) => Number.isInteger(value) && value >= 0 && value <= 0xFF;
+
+    if (!pass || typeof pass !== 'object') {
+      return [`${label}格式不正确`];
+    }
+
+    switch (pass.type) {
+      case 'fixed':
+        if (!isByte(pass.value)) {
+          errors.push(`${label}的固定字节必须是0-255之间的整数`);
+        }
+        break;
+      case 'pattern':
+        if (!Array.isArray(pass.bytes) || pass.bytes.length === 0 || pass.bytes.length > this.maxPatternLength) {
+          errors.push(`${label}的模式长度必须为1-${this.maxPatternLength}个字节`);
+        } else if (!pass.bytes.every(isByte)) {
+          errors.push(`${label}的模式字节必须是0-255之间的整数`);
+        }
+        break;
+      case 'random':
+        break;
+      case 'complement':
+        if (index === 0) {
+          errors.push(`${label}不能是补码覆盖，补码覆盖需要上一步的结果`);
+        }
+        break;
+      default:
+        errors.push(`${label}的覆盖类型无效: ${pass.type}`);
+    }
+
+    if (pass.verify !== undefined && typeof pass.verify !== 'boolean') {
+      errors.push(`${label}的校验标志必须是布尔值`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * 规范化方案，只保留已知字段
+   * @param {object} profile - 已通过验证的方案
+   * @returns {object} - 规范化后的方案
+   */
+  normalizeProfile(profile) {
+    return {
+      id: profile.id || crypto.randomBytes(8).toString('hex'),
+      name: profile.name.trim(),
+      description: typeof profile.description === 'string' ? profile.description.trim() : '',
+      passes: profile.passes.map(pass => {
+        const normalizedPass = { type: pass.type, verify: Boolean(pass.verify) };
+        if (pass.type === 'fixed') {
+          normalizedPass.value = pass.value;
+        } else if (pass.type === 'pattern') {
+          normalizedPass.bytes = [...pass.bytes];
+        }
+        normalizedPass.description = ProfileManager.describePass(normalizedPass);
+        return normalizedPass;
+      })
+    };
+  }
+
+  /**
+   * 生成覆盖步骤的描述
+   * @param {object} pass - 覆盖步骤
+   * @returns {string} - 描述
+   */
+  static describePass(pass) {
+    const toHex = (value) => `0x${value.toString(16).toUpperCase().padStart(2, '0')}`;
+
+    switch (pass.type) {
+      case 'fixed': return `固定字节 ${toHex(pass.value)}`;
+      case 'pattern': return `模式 ${pass.bytes.map(toHex).join(' ')}`;
+      case 'random': return '随机覆盖';
+      case 'complement': return '上一步的补码';
+      default: return '未知';
+    }
+  }
+
+  /**
+   * 获取所有方案
+   * @returns {Array} - 方案数组
+   */
+  getProfiles() {
+    return this.profiles.map(profile => ({ ...profile, passes: profile.passes.map(pass => ({ ...pass })) }));
+  }
+
+  /**
+   * 新建或更新方案
+   * @param {object} profile - 粉碎方案（带id时更新已有方案）
+   * @returns {object} - 保存后的方案
+   */
+  saveProfile(profile) {
+    const validation = this.validateProfile(profile);
+    if (!validation.isValid) {
+      throw new Error(`方案验证失败: ${validation.errors.join(', ')}`);
+    }
+
+    const normalizedProfile = this.normalizeProfile(profile);
+    const index = this.profiles.findIndex(existing => existing.id === normalizedProfile.id);
+
+    if (index >= 0) {
+      this.profiles[index] = normalizedProfile;
+    } else {
+      this.profiles.push(normalizedProfile);
+    }
+
+    this.saveProfiles();
+
+    if (this.logger) {
+      this.logger.info(`粉碎方案已保存: ${normalizedProfile.name}`, { passes: normalizedProfile.passes.length });
+    }
+
+    return normalizedProfile;
+  }
+
+  /**
+   * 删除方案
+   * @param {string} profileId - 方案ID
+   * @returns {boolean} - 是否删除成功
+   */
+  deleteProfile(profileId) {
+    const index = this.profiles.findIndex(profile => profile.id === profileId);
+    if (index < 0) {
+      return false;
+    }
+
+    const [removed] = this.profiles.splice(index, 1);
+    this.saveProfiles();
+
+    if (this.logger) {
+      this.logger.info(`粉碎方案已删除: ${removed.name}`);
+    }
+
+    return true;
+  }
+}
+
+module.exports = ProfileManager;
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const Utils = require('./utils');
+const { app } = require('electron');
+
+/**
+ * 设置管理模块
+ * 负责保存和读取用户设置（默认粉碎方法等）
+ */
+class SettingsManager {
+  constructor(logger = null) {
+    // 获取用户数据目录，确保在打包后的应用程序中也能正确保存设置
+    const userDataPath = app ? app.getPath('userData') : path.join(__dirname, '../../logs');
+    this.settingsDir = userDataPath;
+    this.settingsFilePath = path.join(this.settingsDir, 'settings.json');
+
+    // 确保设置目录存在
+    Utils.ensureDirectoryExists(this.settingsDir);
+
+    // 日志记录器
+    this.logger = logger;
+
+    // 当前设置
+    this.settings = this.loadSettings();
+  }
+
+  /**
+   * 获取默认设置
+   * @returns {object} - 默认设置
+   */
+  getDefaultSettings() {
+    return {
+      // 新加入队列的文件使用的粉碎方法
+      defaultMethod: 'dod',
+
+      // 回读校验方式（none、full或sampled）
+      verificationMode: 'none',
+
+      // 抽样校验时检查的数据块比例（百分比）
+      verificationSamplePercent: 10,
+
+      // 同时粉碎的文件数（0表示根据CPU核心数自动确定）
+      concurrency: 0,
+
+      // 超过该大小（GB）的文件加入队列时提醒粉碎耗时较长（0表示不提醒）
+      largeFileWarningThresholdGB: 5,
+
+      // 符号链接和硬链接文件的处理策略（unlink仅删除链接、skip跳过、refuse拒绝粉碎）
+      linkPolicy: 'unlink',
+
+      // 擦除剩余空间时保留不填充的空间（MB），避免系统和其他程序遇到磁盘已满
+      freeSpaceReserveMB: 256,
+
+      // 覆盖文件最后一个块中文件末尾之后的松弛空间（覆盖期间会把文件延长到块边界，默认关闭）
+      coverSlack: false,
+
+      // 用户设置的禁止粉碎的路径（包括其中的所有内容）
+      protectedPathDenyList: [],
+
+      // 用户设置的允许粉碎的路径，可以放行内置的受保护系统目录（根目录、主目录和程序自身的目录除外）
+      protectedPathAllowList: []
+    };
+  }
+
+  /**
+   * 加载用户设置
+   * @returns {object} - 用户设置（缺失的项使用默认值）
+   */
+  loadSettings() {
+    try {
+      if (fs.existsSync(this.settingsFilePath)) {
+        const settingsData = fs.readFileSync(this.settingsFilePath, 'utf8');
+        const settings = JSON.parse(settingsData);
+        return { ...this.getDefaultSettings(), ...settings };
+      }
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error('加载用户设置失败', { error: error.message });
+      }
+    }
+
+    return this.getDefaultSettings();
+  }
+
+  /**
+   * 保存用户设置
+   */
+  saveSettings() {
+    try {
+      fs.writeFileSync(this.settingsFilePath, JSON.stringify(this.settings, null, 2));
+
+      if (this.logger) {
+        this.logger.info('用户设置已保存');
+      }
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error('保存用户设置失败', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * 获取当前设置
+   * @returns {object} - 当前设置
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * 获取单项设置
+   * @param {string} key - 设置项名称
+   * @returns {*} - 设置值
+   */
+  get(key) {
+    return this.settings[key];
+  }
+
+  /**
+   * 更新设置
+   * @param {object} newSettings - 要更新的设置项
+   * @returns {object} - 更新后的设置
+   */
+  updateSettings(newSettings) {
+    this.settings = { ...this.settings, ...newSettings };
+    this.saveSettings();
+    return this.getSettings();
+  }
+}
+
+module.exports = SettingsManager;
@@ -0,0 +1,78 @@
+/**
+ * 粉碎任务调度模块
+ * 按并行数上限同时执行多个粉碎任务，同一设备上的任务数不超过该设备的上限，避免机械硬盘来回寻道
+ */
+class ShredScheduler {
+  /**
+   * @param {number} concurrency - 同时执行的任务槽位上限
+   */
+  constructor(concurrency = 1) {
+    this.concurrency = Math.max(1, concurrency);
+  }
+
+  /**
+   * 执行任务
+   * 每个任务占用slots个槽位（目录任务内部并行粉碎时占用多个槽位），任务按顺序启动，
+   * 前面的任务因设备繁忙无法启动时，其他设备上的任务可以先启动
+   * @param {Array} tasks - 任务数组（device、deviceLimit、slots以及任务数据）
+   * @param {function} handler - 执行单个任务的异步函数
+   * @param {function} shouldStop - 返回true时不再启动新任务（已启动的任务继续执行完）
+   * @returns {Promise<void>} - 所有已启动的任务结束后完成
+   */
+  run(tasks, handler, shouldStop = () => false) {
+    const pending = [...tasks];
+    const deviceSlots = new Map();
+    let usedSlots = 0;
+    let activeTasks = 0;
+
+    return new Promise((resolve) => {
+      const start = (task) => {
+        activeTasks++;
+        usedSlots += task.slots;
+        deviceSlots.set(task.device, (deviceSlots.get(task.device) || 0) + task.slots);
+
+        Promise.resolve()
+          .then(() => handler(task))
+          .catch(() => {
+            // 单个任务的错误由handler自行处理，不影响其他任务
+          })
+          .finally(() => {
+            activeTasks--;
+            usedSlots -= task.slots;
+            deviceSlots.set(task.device, deviceSlots.get(task.device) - task.slots);
+            schedule();
+          });
+      };
+
+      const schedule = () => {
+        if (shouldStop()) {
+          pending.length = 0;
+        }
+
+        for (let i = 0; i < pending.length;) {
+          const task = pending[i];
+          const deviceUsed = deviceSlots.get(task.device) || 0;
+
+          // 槽位全空时总能启动一个任务，避免占用槽位多于上限的任务永远等待
+          const fitsTotal = usedSlots === 0 || usedSlots + task.slots <= this.concurrency;
+          const fitsDevice = deviceUsed === 0 || deviceUsed + task.slots <= task.deviceLimit;
+
+          if (fitsTotal && fitsDevice) {
+            pending.splice(i, 1);
+            start(task);
+          } else {
+            i++;
+          }
+        }
+
+        if (activeTasks === 0 && pending.length === 0) {
+          resolve();
+        }
+      };
+
+      schedule();
+    });
+  }
+}
+
+module.exports = ShredScheduler;
@@ -0,0 +1,59 @@
+const { parentPort, workerData } = require('worker_threads');
+const FileShredder = require('./fileShredder');
+const JobController = require('./jobController');
+
+/**
+ * 粉碎工作线程
+ * 在独立线程中执行覆盖和删除，日志、进度和检查点通过消息发回主线程
+ */
+
+/**
+ * 把日志附加信息转换为可以跨线程传递的对象
+ * @param {*} meta - 日志附加信息
+ * @returns {*} - 可传递的附加信息
+ */
+function serializeMeta(meta) {
+  if (meta instanceof Error) {
+    return { message: meta.message, code: meta.code, stack: meta.stack };
+  }
+  return meta;
+}
+
+// 日志代理：把日志调用转发给主线程的日志记录器
+const loggerProxy = {
+  info: (message, meta) => parentPort.postMessage({ type: 'log', level: 'info', message, meta: serializeMeta(meta) }),
+  warn: (message, meta) => parentPort.postMessage({ type: 'log', level: 'warn', message, meta: serializeMeta(meta) }),
+  error: (message, meta) => parentPort.postMessage({ type: 'log', level: 'error', message, meta: serializeMeta(meta) }),
+  logShredding: (shredInfo) => parentPort.postMessage({ type: 'record', shredInfo })
+};
+
+/**
+ * 执行粉碎任务
+ */
+async function run() {
+  const { job, filePath, isDirectory, options, customProfiles, controlBuffer } = workerData;
+  const shredder = new FileShredder(loggerProxy);
+  shredder.setCustomProfiles(customProfiles);
+  const progressCallback = (progress, detail) => {
+    parentPort.postMessage({ type: 'progress', progress, detail });
+  };
+  const controller = controlBuffer ? new JobController(controlBuffer) : null;
+
+  try {
+    const result = job === 'freeSpace'
+      ? await shredder.wipeFreeSpace(filePath, progressCallback, { ...options, controller })
+      : await shredder.shredFile(filePath, isDirectory, progressCallback, {
+        ...options,
+        controller,
+        onCheckpoint: (checkpoint) => parentPort.postMessage({ type: 'checkpoint', checkpoint })
+      });
+    parentPort.postMessage({ type: 'done', result });
+  } catch (error) {
+    parentPort.postMessage({
+      type: 'error',
+      error: { message: error.message, code: error.code, offset: error.offset, children: error.children, childSummary: error.childSummary }
+    });
+  }
+}
+
+run();
@@ -30,6 +30,10 @@ class StateManager {
     
     // 当前状态
     this.currentState = this.loadState();
+    
+    // 启动时记录上次是否异常退出，之后保存状态会覆盖粉碎进行中标志
+    this.abnormalExit = Boolean(this.currentState.shreddingInProgress);
+    this.recoveryState = this.abnormalExit ? JSON.parse(JSON.stringify(this.currentState)) : null;
   }
 
   /**
@@ -47,14 +51,15 @@ class StateManager {
         const now = new Date();
         const hoursDiff = (now - stateTime) / (1000 * 60 * 60);
         
-        if (hoursDiff < 24) {
+        // 异常退出时被部分覆盖的文件仍在磁盘上，未完成的粉碎状态不会过期
+        if (hoursDiff < 24 || state.shreddingInProgress) {
           if (this.logger) {
             this.logger.info('已加载应用程序状态', { 
               shreddingInProgress: state.shreddingInProgress,
               queueLength: state.shreddingQueue ? state.shreddingQueue.length : 0
             });
           }
-          return state;
+          return { checkpoints: {}, ...state };
         } else {
           // 状态过期，重置为默认状态
           if (this.logger) {
@@ -83,6 +88,7 @@ class StateManager {
     return {
       shreddingInProgress: false,
       shreddingQueue: [],
+      checkpoints: {},
       lastSaved: new Date().toISOString(),
       version: '1.0.0'
     };
@@ -91,8 +97,9 @@ class StateManager {
   /**
    * 保存应用程序状态
    * @param {object} state - 要保存的状态
+   * @param {boolean} silent - 是否不记录日志（频繁保存检查点时使用）
    */
-  saveState(state = null) {
+  saveState(state = null, silent = false) {
     try {
       const stateToSave = state || this.currentState;
       stateToSave.lastSaved = new Date().toISOString();
@@ -100,7 +107,7 @@ class StateManager {
       const stateData = JSON.stringify(stateToSave, null, 2);
       fs.writeFileSync(this.stateFilePath, stateData);
       
-      if (this.logger) {
+      if (this.logger && !silent) {
         this.logger.info('应用程序状态已保存');
       }
     } catch (error) {
@@ -127,6 +134,34 @@ class StateManager {
     return { ...this.currentState };
   }
 
+  /**
+   * 保存粉碎检查点
+   * @param {string|number} itemId - 队列项ID
+   * @param {object} checkpoint - 检查点（path、passIndex、offset、passCount、originalSize、method）
+   */
+  saveCheckpoint(itemId, checkpoint) {
+    this.currentState.checkpoints = {
+      ...this.currentState.checkpoints,
+      [itemId]: { ...checkpoint, savedAt: new Date().toISOString() }
+    };
+    this.saveState(null, true);
+  }
+
+  /**
+   * 清除粉碎检查点
+   * @param {string|number} itemId - 队列项ID
+   */
+  clearCheckpoint(itemId) {
+    if (!this.currentState.checkpoints || !this.currentState.checkpoints[itemId]) {
+      return;
+    }
+    
+    const checkpoints = { ...this.currentState.checkpoints };
+    delete checkpoints[itemId];
+    this.currentState.checkpoints = checkpoints;
+    this.saveState(null, true);
+  }
+
   /**
    * 检查是否有未完成的粉碎任务
    * @returns {boolean} - 是否有未完成的任务
@@ -139,13 +174,14 @@ class StateManager {
 
   /**
    * 获取未完成的任务
+   * @param {object} state - 要检查的状态（默认为当前状态）
    * @returns {array} - 未完成的任务列表
    */
-  getIncompleteTasks() {
-    if (!this.currentState.shreddingQueue) return [];
+  getIncompleteTasks(state = this.currentState) {
+    if (!state.shreddingQueue) return [];
     
-    return this.currentState.shreddingQueue.filter(item => 
-      item.status === 'processing' || item.status === 'pending'
+    return state.shreddingQueue.filter(item => 
+      item.status === 'processing' || item.status === 'pending' || item.status === 'paused'
     );
   }
 
@@ -155,7 +191,8 @@ class StateManager {
   resetShreddingState() {
     this.updateState({
       shreddingInProgress: false,
-      shreddingQueue: []
+      shreddingQueue: [],
+      checkpoints: {}
     });
   }
 
@@ -199,21 +236,30 @@ class StateManager {
 
   /**
    * 创建应用程序崩溃恢复信息
-   * @returns {object} - 恢复信息
+   * @returns {object} - 恢复信息（异常退出时基于启动时的状态）
    */
   createRecoveryInfo() {
-    const incompleteTasks = this.getIncompleteTasks();
+    const state = this.recoveryState || this.currentState;
+    const checkpoints = state.checkpoints || {};
+    const incompleteTasks = this.getIncompleteTasks(state);
     
     return {
+      hasAbnormalExit: this.abnormalExit,
       hasIncompleteTasks: incompleteTasks.length > 0,
       incompleteTasksCount: incompleteTasks.length,
       incompleteTasks: incompleteTasks.map(task => ({
+        id: task.id,
         path: task.path,
+        name: task.name,
         isDirectory: task.isDirectory,
+        jobType: task.jobType,
+        size: task.size,
+        method: task.method,
         status: task.status,
-        progress: task.progress
+        progress: task.progress,
+        checkpoint: checkpoints[task.id] || null
       })),
-      shreddingInProgress: this.currentState.shreddingInProgress
+      shreddingInProgress: state.shreddingInProgress
     };
   }
 
@@ -222,36 +268,40 @@ class StateManager {
    * @returns {boolean} - 是否异常退出
    */
   isAbnormalExit() {
-    // 始终返回 false，禁用异常退出检查
-    return false;
-    
-    // 原始代码：
-    // 如果上次状态显示粉碎正在进行中，但当前没有活动进程，则可能是异常退出
-    // return this.currentState.shreddingInProgress;
+    // 上次状态显示粉碎正在进行中，说明程序没有正常结束粉碎操作
+    return this.abnormalExit;
   }
 
   /**
    * 处理异常退出恢复
+   * @param {Array} resumeItemIds - 需要从检查点继续粉碎的队列项ID
    * @returns {object} - 恢复结果
    */
-  handleAbnormalExitRecovery() {
+  handleAbnormalExitRecovery(resumeItemIds = []) {
     if (!this.isAbnormalExit()) {
       return { recovered: false, reason: '未检测到异常退出' };
     }
     
     const recoveryInfo = this.createRecoveryInfo();
+    const resumeTasks = recoveryInfo.incompleteTasks.filter(task => resumeItemIds.includes(task.id));
     
-    // 重置粉碎状态
+    // 重置粉碎状态（包括检查点）
+    this.abnormalExit = false;
+    this.recoveryState = null;
     this.resetShreddingState();
     
     if (this.logger) {
-      this.logger.info('检测到异常退出，已重置状态', recoveryInfo);
+      this.logger.info('检测到异常退出，已重置状态', {
+        incompleteTasksCount: recoveryInfo.incompleteTasksCount,
+        resumeCount: resumeTasks.length
+      });
     }
     
     return {
       recovered: true,
       reason: '检测到异常退出，已重置粉碎状态',
-      previousTasks: recoveryInfo.incompleteTasks
+      previousTasks: recoveryInfo.incompleteTasks,
+      resumeTasks
     };
   }
 }
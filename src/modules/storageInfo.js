@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+
+// 写时复制文件系统：修改数据时写到新位置，原数据块保留到被回收（可能还在快照中）
+const COPY_ON_WRITE_FILESYSTEMS = ['btrfs', 'zfs', 'bcachefs', 'apfs'];
+
+// 日志结构文件系统：所有写入追加到日志末尾，不会在原位置覆盖
+const LOG_STRUCTURED_FILESYSTEMS = ['f2fs', 'nilfs2', 'jffs2', 'ubifs', 'yaffs2'];
+
+// 网络文件系统：数据保存在远程服务器上，服务器端可能有快照或缓存
+const NETWORK_FILESYSTEMS = ['nfs', 'nfs4', 'cifs', 'smb3', 'smbfs', 'fuse.sshfs', 'ceph', 'glusterfs', '9p'];
+
+// 内存文件系统：数据只在内存中，删除后不会留在持久存储上
+const MEMORY_FILESYSTEMS = ['tmpfs', 'ramfs'];
+
+/**
+ * 存储设备信息模块
+ * 识别文件所在的设备、文件系统以及设备类型，用于安排并行粉碎和评估覆盖是否有效
+ */
+class StorageInfo {
+  /**
+   * 获取文件所在设备的标识
+   * @param {string} filePath - 文件路径
+   * @returns {string} - 设备标识（同一设备上的文件相同）
+   */
+  static getDeviceId(filePath) {
+    return String(fs.statSync(filePath).dev);
+  }
+
+  /**
+   * 获取文件所在块设备在sysfs中的queue目录
+   * @param {string} filePath - 文件路径
+   * @returns {string|null} - queue目录路径，不是块设备或无法判断时返回null
+   */
+  static getDeviceQueuePath(filePath) {
+    // 目前只能通过Linux的sysfs判断
+    if (process.platform !== 'linux') {
+      return null;
+    }
+
+    try {
+      const dev = fs.statSync(filePath, { bigint: true }).dev;
+      const major = ((dev >> 8n) & 0xfffn) | ((dev >> 32n) & ~0xfffn);
+      const minor = (dev & 0xffn) | ((dev >> 12n) & ~0xffn);
+      const devicePath = fs.realpathSync(`/sys/dev/block/${major}:${minor}`);
+
+      // 分区没有queue目录，使用所属磁盘的设置
+      for (const candidate of [devicePath, path.dirname(devicePath)]) {
+        const queuePath = path.join(candidate, 'queue');
+        if (fs.existsSync(queuePath)) {
+          return queuePath;
+        }
+      }
+    } catch (error) {
+      // 虚拟文件系统、网络文件系统等没有对应的块设备
+    }
+
+    return null;
+  }
+
+  /**
+   * 判断文件所在设备是否为机械硬盘
+   * @param {string} filePath - 文件路径
+   * @returns {boolean|null} - 是否为机械硬盘，无法判断时返回null
+   */
+  static isRotational(filePath) {
+    const queuePath = StorageInfo.getDeviceQueuePath(filePath);
+    if (!queuePath) {
+      return null;
+    }
+
+    try {
+      return fs.readFileSync(path.join(queuePath, 'rotational'), 'utf8').trim() === '1';
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 判断文件所在设备是否支持TRIM（discard）
+   * @param {string} filePath - 文件路径
+   * @returns {boolean|null} - 是否支持TRIM，无法判断时返回null
+   */
+  static supportsTrim(filePath) {
+    const queuePath = StorageInfo.getDeviceQueuePath(filePath);
+    if (!queuePath) {
+      return null;
+    }
+
+    try {
+      return Number(fs.readFileSync(path.join(queuePath, 'discard_max_bytes'), 'utf8').trim()) > 0;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 获取文件所在的挂载点和文件系统类型
+   * @param {string} filePath - 文件路径
+   * @returns {object|null} - 挂载信息（device、mountPoint、type），无法判断时返回null
+   */
+  static getMountInfo(filePath) {
+    // 目前只能通过Linux的/proc/mounts判断
+    if (process.platform !== 'linux') {
+      return null;
+    }
+
+    try {
+      const realPath = fs.realpathSync(filePath);
+      let mountInfo = null;
+
+      for (const line of fs.readFileSync('/proc/mounts', 'utf8').split('\n')) {
+        const [device, escapedMountPoint, type] = line.split(' ');
+        if (!type) {
+          continue;
+        }
+
+        // 挂载点中的空格等字符以八进制转义
+        const mountPoint = escapedMountPoint.replace(/\\([0-7]{3})/g, (match, code) => String.fromCharCode(parseInt(code, 8)));
+        const prefix = mountPoint.endsWith('/') ? mountPoint : `${mountPoint}/`;
+        if (realPath !== mountPoint && !realPath.startsWith(prefix)) {
+          continue;
+        }
+
+        // 最长的挂载点生效，相同挂载点以后挂载的为准
+        if (!mountInfo || mountPoint.length >= mountInfo.mountPoint.length) {
+          mountInfo = { device, mountPoint, type };
+        }
+      }
+
+      return mountInfo;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 判断文件系统上的覆盖是否需要额外的可用空间
+   * 写时复制和日志结构文件系统把覆盖写到新的数据块，原数据块释放前需要同样大小的可用空间
+   * @param {string|null} filesystem - 文件系统类型
+   * @returns {boolean} - 是否需要与文件大小相同的可用空间
+   */
+  static overwriteNeedsFreeSpace(filesystem) {
+    return COPY_ON_WRITE_FILESYSTEMS.includes(filesystem) || LOG_STRUCTURED_FILESYSTEMS.includes(filesystem);
+  }
+
+  /**
+   * 评估覆盖粉碎在文件所在存储上的有效程度
+   * @param {string} filePath - 文件路径
+   * @returns {object} - 评估结果（level为high、medium、low或unknown，filesystem、rotational、trim、warning、suggestedMethod、suggestion）
+   */
+  static assess(filePath) {
+    const mountInfo = StorageInfo.getMountInfo(filePath);
+    const filesystem = mountInfo ? mountInfo.type : null;
+    const rotational = StorageInfo.isRotational(filePath);
+    const trim = StorageInfo.supportsTrim(filePath);
+    const assessment = {
+      level: 'unknown',
+      filesystem,
+      rotational,
+      trim,
+      warning: null,
+      suggestedMethod: null,
+      suggestion: null
+    };
+
+    if (COPY_ON_WRITE_FILESYSTEMS.includes(filesystem)) {
+      assessment.level = 'low';
+      assessment.warning = `${filesystem}是写时复制文件系统，覆盖写入新的数据块，原数据块（以及快照中的副本）不会被覆盖`;
+    } else if (LOG_STRUCTURED_FILESYSTEMS.includes(filesystem)) {
+      assessment.level = 'low';
+      assessment.warning = `${filesystem}是日志结构文件系统，覆盖追加到日志末尾，原数据不会在原位置被覆盖`;
+    } else if (NETWORK_FILESYSTEMS.includes(filesystem)) {
+      assessment.warning = `${filesystem}是网络文件系统，无法确认服务器端的存储介质，服务器上可能保留快照或备份`;
+    } else if (MEMORY_FILESYSTEMS.includes(filesystem)) {
+      assessment.level = 'high';
+    } else if (rotational === false) {
+      assessment.level = 'low';
+      assessment.warning = trim
+        ? '文件位于固态硬盘或闪存上，磨损均衡会把覆盖写到新的存储单元；删除后TRIM会通知设备回收旧数据块，但不保证立即擦除'
+        : '文件位于固态硬盘或闪存上，磨损均衡会把覆盖写到新的存储单元，且设备不支持TRIM，旧数据可能长期保留';
+    } else if (rotational === true) {
+      assessment.level = 'high';
+    } else if (filesystem) {
+      // 文件系统会原位覆盖，但无法判断存储介质（如虚拟磁盘、RAID、设备映射）
+      assessment.level = 'medium';
+      assessment.warning = '无法判断存储介质类型，如果是固态硬盘、虚拟磁盘或带快照的存储，覆盖可能无法清除原数据';
+    } else {
+      assessment.warning = '无法识别文件系统和存储介质，不能确认覆盖是否有效';
+    }
+
+    // 原位覆盖无效时多次覆盖不会更安全，只会增加写入量和闪存磨损
+    if (assessment.level === 'low') {
+      assessment.suggestedMethod = 'crypto-erase';
+      assessment.suggestion = '建议使用加密擦除（只写入1次，密钥用后销毁），并使用全盘加密、设备自带的安全擦除（Secure Erase）或删除快照来确保旧数据块无法恢复';
+    }
+
+    return assessment;
+  }
+}
+
+module.exports = StorageInfo;
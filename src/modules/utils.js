@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const PathPolicy = require('./pathPolicy');
 
 /**
  * 工具函数模块
@@ -99,7 +100,7 @@ class Utils {
   }
 
   /**
-   * 递归获取目录中的所有文件
+   * 递归获取目录中的所有文件（不跟随符号链接，链接本身作为文件返回）
    * @param {string} dirPath - 目录路径
    * @returns {array} - 文件路径数组
    */
@@ -111,7 +112,7 @@ class Utils {
       
       for (const item of items) {
         const itemPath = path.join(dirPath, item);
-        const stats = fs.statSync(itemPath);
+        const stats = fs.lstatSync(itemPath);
         
         if (stats.isDirectory()) {
           // 递归获取子目录中的文件
@@ -129,13 +130,13 @@ class Utils {
   }
 
   /**
-   * 计算文件或目录的总大小
+   * 计算文件或目录的总大小（不计算符号链接指向的文件）
    * @param {string} filePath - 文件或目录路径
    * @returns {number} - 总大小（字节）
    */
   static calculateTotalSize(filePath) {
     try {
-      const stats = fs.statSync(filePath);
+      const stats = fs.lstatSync(filePath);
       
       if (stats.isFile()) {
         return stats.size;
@@ -144,8 +145,10 @@ class Utils {
         const files = this.getAllFilesInDirectory(filePath);
         
         for (const file of files) {
-          const fileStats = fs.statSync(file);
-          totalSize += fileStats.size;
+          const fileStats = fs.lstatSync(file);
+          if (fileStats.isFile()) {
+            totalSize += fileStats.size;
+          }
         }
         
         return totalSize;
@@ -170,32 +173,38 @@ class Utils {
     return path.join(dir, `${randomName}${ext}`);
   }
 
+  /**
+   * 获取路径所在文件系统的空间和inode统计
+   * @param {string} targetPath - 文件或目录路径
+   * @returns {object} - 空间信息（freeBytes为当前用户可用空间，totalBytes、usedBytes、freeInodes、totalInodes；文件系统不统计inode时inode数为null）
+   */
+  static getDiskSpaceInfo(targetPath) {
+    const stats = fs.statfsSync(targetPath);
+    // btrfs等动态分配inode的文件系统报告的inode总数为0
+    const hasInodes = stats.files > 0;
+
+    return {
+      freeBytes: stats.bavail * stats.bsize,
+      totalBytes: stats.blocks * stats.bsize,
+      usedBytes: (stats.blocks - stats.bfree) * stats.bsize,
+      freeInodes: hasInodes ? stats.ffree : null,
+      totalInodes: hasInodes ? stats.files : null
+    };
+  }
+
   /**
    * 检查是否有足够的磁盘空间
    * @param {string} dirPath - 目录路径
    * @param {number} requiredSpace - 所需空间（字节）
+   * @param {number} requiredInodes - 所需inode数（文件系统不统计inode时不检查）
    * @returns {boolean} - 是否有足够空间
    */
-  static hasEnoughDiskSpace(dirPath, requiredSpace) {
+  static hasEnoughDiskSpace(dirPath, requiredSpace, requiredInodes = 0) {
     try {
-      // 在Windows上，我们可以使用statfs来检查磁盘空间
-      // 但Node.js没有内置的statfs支持，这里简化处理
-      // 在实际应用中，可能需要使用第三方库
-      
-      // 简单检查：尝试创建一个临时文件来测试空间
-      const testFile = path.join(dirPath, `.space-test-${Date.now()}`);
-      const testBuffer = Buffer.alloc(1024); // 1KB测试文件
-      
-      // 尝试写入测试文件
-      fs.writeFileSync(testFile, testBuffer);
-      
-      // 如果成功，删除测试文件并返回true
-      fs.unlinkSync(testFile);
-      
-      // 这是一个简化的检查，实际应用中可能需要更精确的方法
-      return true;
+      const space = this.getDiskSpaceInfo(dirPath);
+      return space.freeBytes >= requiredSpace && (space.freeInodes === null || space.freeInodes >= requiredInodes);
     } catch (error) {
-      // 如果无法创建测试文件，可能是空间不足
+      // 无法获取文件系统统计时按空间不足处理
       return false;
     }
   }
@@ -272,49 +281,11 @@ class Utils {
   /**
    * 获取磁盘剩余空间
    * @param {string} dirPath - 目录路径
-   * @returns {number} - 剩余空间（字节）
+   * @returns {number} - 当前用户可用的剩余空间（字节）
    */
   static getFreeDiskSpace(dirPath) {
     try {
-      const fs = require('fs');
-      const path = require('path');
-      const os = require('os');
-      
-      // 在Windows上，我们可以使用statfs来检查磁盘空间
-      // 但Node.js没有内置的statfs支持，这里使用一个近似方法
-      // 在实际应用中，可能需要使用第三方库如 'drivelist' 或 'diskusage'
-      
-      // 简单检查：尝试创建一个较大的临时文件来估算空间
-      // 注意：这种方法不精确，仅作为示例
-      const testFile = path.join(dirPath, `.space-test-${Date.now()}`);
-      const testSize = 1024 * 1024; // 1MB测试文件
-      
-      try {
-        // 尝试写入1MB数据
-        const testBuffer = Buffer.alloc(testSize);
-        fs.writeFileSync(testFile, testBuffer);
-        
-        // 如果成功，删除测试文件
-        fs.unlinkSync(testFile);
-        
-        // 假设至少有1MB空间，实际应用中需要更精确的方法
-        // 这里返回一个较大的值，表示有足够空间
-        return 1024 * 1024 * 1024; // 1GB
-      } catch (error) {
-        // 如果无法创建1MB文件，尝试更小的文件
-        try {
-          const smallTestSize = 1024; // 1KB
-          const smallTestBuffer = Buffer.alloc(smallTestSize);
-          fs.writeFileSync(testFile, smallTestBuffer);
-          fs.unlinkSync(testFile);
-          
-          // 假设只有少量空间
-          return 1024 * 100; // 100KB
-        } catch (smallError) {
-          // 连1KB都无法创建，假设没有空间
-          return 0;
-        }
-      }
+      return this.getDiskSpaceInfo(dirPath).freeBytes;
     } catch (error) {
       console.error(`获取磁盘空间失败: ${dirPath}`, error);
       return 0;
@@ -324,56 +295,20 @@ class Utils {
   /**
    * 检查文件是否为系统关键文件
    * @param {string} filePath - 文件路径
+   * @param {object} policyOptions - 受保护路径策略选项（appPaths、denyList、allowList）
    * @returns {boolean} - 是否为系统关键文件
    */
-  static isSystemCriticalFile(filePath) {
-    const normalizedPath = path.normalize(filePath).toLowerCase();
-    
-    // Windows系统关键路径
-    const systemPaths = [
-      'c:\\windows',
-      'c:\\program files',
-      'c:\\program files (x86)',
-      'c:\\programdata',
-      'c:\\users\\default',
-      'c:\\users\\public',
-      'c:\\recovery',
-      'c:\\system volume information'
-    ];
-    
-    // 检查是否在系统路径下
-    for (const sysPath of systemPaths) {
-      if (normalizedPath.startsWith(sysPath)) {
-        return true;
-      }
-    }
-    
-    // 检查是否为系统关键文件扩展名
-    const systemExtensions = [
-      '.sys', '.dll', '.exe', '.bat', '.cmd', '.com', '.scr',
-      '.cpl', '.msc', '.msp', '.msi', '.ps1', '.vbs', '.js',
-      '.reg', '.inf', '.ini', '.log', '.evt', '.evtx'
-    ];
-    
-    const ext = path.extname(normalizedPath);
-    if (systemExtensions.includes(ext)) {
-      // 进一步检查是否在系统目录中
-      for (const sysPath of systemPaths) {
-        if (normalizedPath.startsWith(sysPath)) {
-          return true;
-        }
-      }
-    }
-    
-    return false;
+  static isSystemCriticalFile(filePath, policyOptions = {}) {
+    return !new PathPolicy(policyOptions).check(filePath).allowed;
   }
 
   /**
    * 验证文件路径是否安全
    * @param {string} filePath - 文件路径
+   * @param {object} policyOptions - 受保护路径策略选项（appPaths、denyList、allowList）
    * @returns {object} - 验证结果
    */
-  static validateFilePath(filePath) {
+  static validateFilePath(filePath, policyOptions = {}) {
     const result = {
       isValid: true,
       errors: []
@@ -393,10 +328,11 @@ class Utils {
       return result;
     }
     
-    // 检查是否为系统关键文件
-    if (this.isSystemCriticalFile(filePath)) {
+    // 检查是否为受保护的路径（系统目录、主目录、程序自身的目录等）
+    const protection = new PathPolicy(policyOptions).check(filePath);
+    if (!protection.allowed) {
       result.isValid = false;
-      result.errors.push('不能粉碎系统关键文件');
+      result.errors.push(`不能粉碎${protection.reason}`);
       return result;
     }
     
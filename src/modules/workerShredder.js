@@ -0,0 +1,153 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * 工作线程粉碎模块
+ * 提供与FileShredder相同的shredFile和wipeFreeSpace接口，每个粉碎任务在单独的工作线程中执行，
+ * 覆盖操作不会阻塞主进程的IPC和窗口
+ */
+class WorkerShredder {
+  constructor(logger = null) {
+    // 日志记录器（工作线程中的日志转发到这里记录）
+    this.logger = logger;
+
+    // 自定义粉碎方案，启动工作线程时传入
+    this.customProfiles = [];
+
+    // 工作线程入口
+    this.workerPath = path.join(__dirname, 'shredWorker.js');
+  }
+
+  /**
+   * 设置自定义粉碎方案
+   * @param {Array} profiles - 方案数组
+   */
+  setCustomProfiles(profiles) {
+    this.customProfiles = profiles;
+  }
+
+  /**
+   * 在工作线程中粉碎文件或目录
+   * @param {string} filePath - 文件路径
+   * @param {boolean} isDirectory - 是否为目录
+   * @param {function} progressCallback - 进度回调函数
+   * @param {object} options - 粉碎选项（与FileShredder.shredFile相同，controller通过共享内存传给工作线程，onRecord接收写入粉碎日志的条目）
+   * @returns {Promise<object>} - 粉碎结果（与FileShredder.shredFile相同）
+   */
+  shredFile(filePath, isDirectory = false, progressCallback = null, options = {}) {
+    return this.runJob('shred', filePath, isDirectory, progressCallback, options);
+  }
+
+  /**
+   * 在工作线程中擦除目录所在文件系统的剩余空间
+   * @param {string} dirPath - 目录路径
+   * @param {function} progressCallback - 进度回调函数
+   * @param {object} options - 擦除选项（与FileShredder.wipeFreeSpace相同）
+   * @returns {Promise<object>} - 擦除结果（与FileShredder.wipeFreeSpace相同）
+   */
+  wipeFreeSpace(dirPath, progressCallback = null, options = {}) {
+    return this.runJob('freeSpace', dirPath, true, progressCallback, options);
+  }
+
+  /**
+   * 启动工作线程执行任务
+   * @param {string} job - 任务类型（shred或freeSpace）
+   * @param {string} filePath - 文件路径
+   * @param {boolean} isDirectory - 是否为目录
+   * @param {function} progressCallback - 进度回调函数
+   * @param {object} options - 任务选项
+   * @returns {Promise<object>} - 任务结果
+   */
+  runJob(job, filePath, isDirectory, progressCallback, options) {
+    const { controller, onCheckpoint, onRecord, ...workerOptions } = options;
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(this.workerPath, {
+        workerData: {
+          job,
+          filePath,
+          isDirectory,
+          options: workerOptions,
+          customProfiles: this.customProfiles,
+          controlBuffer: controller ? controller.buffer : null
+        }
+      });
+
+      let settled = false;
+      const settle = (error, result = null) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      worker.on('message', (message) => {
+        switch (message.type) {
+          case 'progress':
+            if (progressCallback) {
+              progressCallback(message.progress, message.detail);
+            }
+            break;
+          case 'checkpoint':
+            if (onCheckpoint) {
+              onCheckpoint(message.checkpoint);
+            }
+            break;
+          case 'log':
+            if (this.logger) {
+              this.logger[message.level](message.message, message.meta);
+            }
+            break;
+          case 'record': {
+            // onRecord收到写入粉碎日志的条目，与日志中的记录一致
+            const logEntry = this.logger ? this.logger.logShredding(message.shredInfo) : null;
+            if (onRecord) {
+              onRecord(logEntry || message.shredInfo);
+            }
+            break;
+          }
+          case 'done':
+            settle(null, message.result);
+            break;
+          case 'error':
+            settle(WorkerShredder.restoreError(message.error));
+            break;
+        }
+      });
+
+      worker.on('error', (error) => settle(error));
+
+      // 正常情况下退出前已收到done或error消息
+      worker.on('exit', (code) => settle(new Error(`粉碎工作线程意外退出，退出码: ${code}`)));
+    });
+  }
+
+  /**
+   * 还原工作线程传回的错误
+   * @param {object} errorInfo - 错误信息（message、code、offset、children、childSummary）
+   * @returns {Error} - 错误对象
+   */
+  static restoreError(errorInfo) {
+    const error = new Error(errorInfo.message);
+    if (errorInfo.code) {
+      error.code = errorInfo.code;
+    }
+    if (errorInfo.offset !== undefined) {
+      error.offset = errorInfo.offset;
+    }
+    if (errorInfo.children) {
+      error.children = errorInfo.children;
+    }
+    if (errorInfo.childSummary) {
+      error.childSummary = errorInfo.childSummary;
+    }
+    return error;
+  }
+}
+
+module.exports = WorkerShredder;
@@ -14,9 +14,45 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // 获取队列状态
   getQueueStatus: () => ipcRenderer.invoke('get-queue-status'),
   
+  // 设置队列中某一项的粉碎方法
+  setItemMethod: (itemId, method) => ipcRenderer.invoke('set-item-method', itemId, method),
+  
+  // 重新检查打开了队列项的进程
+  recheckOpenHandles: (itemId) => ipcRenderer.invoke('recheck-open-handles', itemId),
+  
+  // 设置文件被其他进程打开时的处理方式
+  setOpenHandlePolicy: (itemId, policy) => ipcRenderer.invoke('set-open-handle-policy', itemId, policy),
+  
+  // 获取可用的粉碎方法
+  getWipeMethods: () => ipcRenderer.invoke('get-wipe-methods'),
+  
+  // 获取自定义粉碎方案
+  getWipeProfiles: () => ipcRenderer.invoke('get-wipe-profiles'),
+  
+  // 新建或更新自定义粉碎方案
+  saveWipeProfile: (profile) => ipcRenderer.invoke('save-wipe-profile', profile),
+  
+  // 删除自定义粉碎方案
+  deleteWipeProfile: (profileId) => ipcRenderer.invoke('delete-wipe-profile', profileId),
+  
+  // 获取用户设置
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  
+  // 更新用户设置
+  updateSettings: (settings) => ipcRenderer.invoke('update-settings', settings),
+  
   // 开始粉碎
   startShredding: () => ipcRenderer.invoke('start-shredding'),
   
+  // 暂停粉碎
+  pauseShredding: () => ipcRenderer.invoke('pause-shredding'),
+  
+  // 继续粉碎
+  resumeShredding: () => ipcRenderer.invoke('resume-shredding'),
+  
+  // 取消粉碎
+  cancelShredding: () => ipcRenderer.invoke('cancel-shredding'),
+  
   // 清空队列
   clearQueue: () => ipcRenderer.invoke('clear-queue'),
   
@@ -24,7 +60,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
   showFileDialog: () => ipcRenderer.invoke('show-file-dialog'),
   
   // 显示文件夹对话框
-  showFolderDialog: () => ipcRenderer.invoke('show-folder-dialog'),
+  showFolderDialog: (title) => ipcRenderer.invoke('show-folder-dialog', title),
+  
+  // 添加剩余空间擦除任务
+  addFreeSpaceJob: (dirPath) => ipcRenderer.invoke('add-free-space-job', dirPath),
+  
+  // 获取磁盘空间和inode统计
+  getDiskSpace: (targetPath) => ipcRenderer.invoke('get-disk-space', targetPath),
   
   // 获取日志
   getLogs: (logType) => ipcRenderer.invoke('get-logs', logType),
@@ -35,11 +77,39 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // 获取所有可用的日志日期列表
   getAvailableLogDates: () => ipcRenderer.invoke('get-available-log-dates'),
   
-  // 移除异常退出相关IPC通信
-  // checkAbnormalExit: () => ipcRenderer.invoke('check-abnormal-exit'),
-  // recoverFromAbnormalExit: () => ipcRenderer.invoke('recover-from-abnormal-exit'),
-  // onAbnormalExitDetected: (callback) => ipcRenderer.on('abnormal-exit-detected', callback),
-  // removeAbnormalExitListener: (callback) => ipcRenderer.removeListener('abnormal-exit-detected', callback),
+  // 获取粉碎日志密钥状态
+  getLogKeyStatus: () => ipcRenderer.invoke('get-log-key-status'),
+  
+  // 用密码或密钥文件解锁粉碎日志
+  unlockLogs: (secret) => ipcRenderer.invoke('unlock-logs', secret),
+  
+  // 设置或更换粉碎日志的密码或密钥文件
+  changeLogKey: (secret) => ipcRenderer.invoke('change-log-key', secret),
+  
+  // 验证粉碎日志的哈希链
+  verifyLogIntegrity: () => ipcRenderer.invoke('verify-log-integrity'),
+  
+  // 对照签名和粉碎日志验证销毁证书
+  verifyCertificate: (filePath) => ipcRenderer.invoke('verify-certificate', filePath),
+  
+  // 选择要验证的销毁证书
+  showCertificateDialog: () => ipcRenderer.invoke('show-certificate-dialog'),
+  
+  // 打开销毁证书
+  openCertificate: (filePath) => ipcRenderer.invoke('open-certificate', filePath),
+  
+  // 选择密钥文件
+  showKeyfileDialog: () => ipcRenderer.invoke('show-keyfile-dialog'),
+  
+  // 检查异常退出
+  checkAbnormalExit: () => ipcRenderer.invoke('check-abnormal-exit'),
+  
+  // 恢复异常退出状态（resumeItemIds为需要从检查点继续粉碎的队列项）
+  recoverFromAbnormalExit: (resumeItemIds) => ipcRenderer.invoke('recover-from-abnormal-exit', resumeItemIds),
+  
+  // 监听异常退出检测
+  onAbnormalExitDetected: (callback) => ipcRenderer.on('abnormal-exit-detected', callback),
+  removeAbnormalExitListener: (callback) => ipcRenderer.removeListener('abnormal-exit-detected', callback),
   
   // 监听队列更新
   onQueueUpdated: (callback) => ipcRenderer.on('queue-updated', callback),
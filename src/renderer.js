@@ -8,18 +8,68 @@ const elements = {
     dropZone: document.getElementById('dropZone'),
     addFilesBtn: document.getElementById('addFilesBtn'),
     addFoldersBtn: document.getElementById('addFoldersBtn'),
+    addFreeSpaceBtn: document.getElementById('addFreeSpaceBtn'),
     clearQueueBtn: document.getElementById('clearQueueBtn'),
     startShreddingBtn: document.getElementById('startShreddingBtn'),
+    defaultMethodSelect: document.getElementById('defaultMethodSelect'),
+    manageProfilesBtn: document.getElementById('manageProfilesBtn'),
+    verificationModeSelect: document.getElementById('verificationModeSelect'),
+    verificationSamplePercentInput: document.getElementById('verificationSamplePercentInput'),
+    verificationSamplePercentUnit: document.getElementById('verificationSamplePercentUnit'),
+    concurrencyInput: document.getElementById('concurrencyInput'),
+    linkPolicySelect: document.getElementById('linkPolicySelect'),
+    protectedPathDenyInput: document.getElementById('protectedPathDenyInput'),
+    protectedPathAllowInput: document.getElementById('protectedPathAllowInput'),
+    freeSpaceReserveInput: document.getElementById('freeSpaceReserveInput'),
+    coverSlackCheckbox: document.getElementById('coverSlackCheckbox'),
+    largeFileThresholdInput: document.getElementById('largeFileThresholdInput'),
+    progressDetailText: document.getElementById('progressDetailText'),
+    profileModal: document.getElementById('profileModal'),
+    profileModalClose: document.getElementById('profileModalClose'),
+    profileSelect: document.getElementById('profileSelect'),
+    profileNameInput: document.getElementById('profileNameInput'),
+    profileDescriptionInput: document.getElementById('profileDescriptionInput'),
+    profilePassList: document.getElementById('profilePassList'),
+    addPassBtn: document.getElementById('addPassBtn'),
+    deleteProfileBtn: document.getElementById('deleteProfileBtn'),
+    cancelProfileBtn: document.getElementById('cancelProfileBtn'),
+    saveProfileBtn: document.getElementById('saveProfileBtn'),
     fileListBody: document.getElementById('fileListBody'),
     emptyState: document.getElementById('emptyState'),
     progressSection: document.getElementById('progressSection'),
     overallProgressBar: document.getElementById('overallProgressBar'),
     progressText: document.getElementById('progressText'),
     currentFileText: document.getElementById('currentFileText'),
+    pauseShreddingBtn: document.getElementById('pauseShreddingBtn'),
+    resumeShreddingBtn: document.getElementById('resumeShreddingBtn'),
+    cancelShreddingBtn: document.getElementById('cancelShreddingBtn'),
     logContainer: document.getElementById('logContainer'),
     logTypeSelect: document.getElementById('logTypeSelect'),
     logDateSelect: document.getElementById('logDateSelect'),
     refreshLogsBtn: document.getElementById('refreshLogsBtn'),
+    verifyLogsBtn: document.getElementById('verifyLogsBtn'),
+    verifyCertificateBtn: document.getElementById('verifyCertificateBtn'),
+    logKeyBtn: document.getElementById('logKeyBtn'),
+    logKeyModal: document.getElementById('logKeyModal'),
+    logKeyModalClose: document.getElementById('logKeyModalClose'),
+    logKeyStatusText: document.getElementById('logKeyStatusText'),
+    logUnlockSection: document.getElementById('logUnlockSection'),
+    logUnlockPassphraseRow: document.getElementById('logUnlockPassphraseRow'),
+    logUnlockPassphraseInput: document.getElementById('logUnlockPassphraseInput'),
+    logUnlockKeyfileRow: document.getElementById('logUnlockKeyfileRow'),
+    logUnlockKeyfileText: document.getElementById('logUnlockKeyfileText'),
+    logUnlockKeyfileBtn: document.getElementById('logUnlockKeyfileBtn'),
+    logUnlockBtn: document.getElementById('logUnlockBtn'),
+    logChangeKeySection: document.getElementById('logChangeKeySection'),
+    logChangeKeyTitle: document.getElementById('logChangeKeyTitle'),
+    logKeyTypeSelect: document.getElementById('logKeyTypeSelect'),
+    logKeyPassphraseRows: document.getElementById('logKeyPassphraseRows'),
+    logKeyPassphraseInput: document.getElementById('logKeyPassphraseInput'),
+    logKeyPassphraseConfirmInput: document.getElementById('logKeyPassphraseConfirmInput'),
+    logKeyKeyfileRow: document.getElementById('logKeyKeyfileRow'),
+    logKeyKeyfileText: document.getElementById('logKeyKeyfileText'),
+    logKeyKeyfileBtn: document.getElementById('logKeyKeyfileBtn'),
+    changeLogKeyBtn: document.getElementById('changeLogKeyBtn'),
     confirmDialog: document.getElementById('confirmDialog'),
     confirmMessage: document.getElementById('confirmMessage'),
     confirmCancel: document.getElementById('confirmCancel'),
@@ -29,9 +79,16 @@ const elements = {
 // 应用程序状态
 let shreddingQueue = [];
 let shreddingInProgress = false;
-// 移除异常退出相关变量
-// let abnormalExitDetected = false;
-// let recoveryInfo = null;
+let wipeMethods = [];
+let wipeProfiles = [];
+let abnormalExitDetected = false;
+let recoveryInfo = null;
+// 已展开子项目结果的队列项ID
+const expandedItems = new Set();
+// 粉碎日志密钥状态，以及对话框中选择的密钥文件
+let logKeyStatus = null;
+let unlockKeyfilePath = null;
+let newKeyfilePath = null;
 
 /**
  * 初始化应用程序
@@ -39,6 +96,9 @@ let shreddingInProgress = false;
 async function initApp() {
     setupEventListeners();
     
+    // 加载可用的粉碎方法和默认设置
+    await loadWipeMethods();
+    
     // 修复：从主进程获取最新的队列状态
     try {
         const queueResult = await window.electronAPI.getQueueStatus();
@@ -51,11 +111,14 @@ async function initApp() {
     
     updateUI();
     
+    // 粉碎日志已设置密钥时在启动时解锁
+    await checkLogKeyStatus();
+    
     // 初始化日志类型和日期选择器
     await handleLogTypeChange();
     
-    // 移除异常退出检查
-    // checkForAbnormalExit();
+    // 检查上次是否异常退出
+    checkForAbnormalExit();
 }
 
 /**
@@ -78,11 +141,55 @@ function setupEventListeners() {
     // 按钮点击事件
     elements.addFilesBtn.addEventListener('click', handleAddFiles);
     elements.addFoldersBtn.addEventListener('click', handleAddFolders);
+    elements.addFreeSpaceBtn.addEventListener('click', handleAddFreeSpace);
     elements.clearQueueBtn.addEventListener('click', handleClearQueue);
     elements.startShreddingBtn.addEventListener('click', handleStartShredding);
+    elements.pauseShreddingBtn.addEventListener('click', handlePauseShredding);
+    elements.resumeShreddingBtn.addEventListener('click', handleResumeShredding);
+    elements.cancelShreddingBtn.addEventListener('click', handleCancelShredding);
     elements.refreshLogsBtn.addEventListener('click', loadLogs);
     elements.logTypeSelect.addEventListener('change', handleLogTypeChange);
     elements.logDateSelect.addEventListener('change', loadLogs);
+    elements.defaultMethodSelect.addEventListener('change', handleDefaultMethodChange);
+    elements.verificationModeSelect.addEventListener('change', handleVerificationSettingsChange);
+    elements.verificationSamplePercentInput.addEventListener('change', handleVerificationSettingsChange);
+    elements.concurrencyInput.addEventListener('change', handleConcurrencyChange);
+    elements.linkPolicySelect.addEventListener('change', handleLinkPolicyChange);
+    elements.protectedPathDenyInput.addEventListener('change', () => handlePathListChange('protectedPathDenyList', elements.protectedPathDenyInput, '禁止列表'));
+    elements.protectedPathAllowInput.addEventListener('change', () => handlePathListChange('protectedPathAllowList', elements.protectedPathAllowInput, '允许列表'));
+    elements.freeSpaceReserveInput.addEventListener('change', handleFreeSpaceReserveChange);
+    elements.coverSlackCheckbox.addEventListener('change', handleCoverSlackChange);
+    elements.largeFileThresholdInput.addEventListener('change', handleLargeFileThresholdChange);
+
+    // 自定义粉碎方案对话框事件
+    elements.manageProfilesBtn.addEventListener('click', openProfileEditor);
+    elements.profileModalClose.addEventListener('click', closeProfileEditor);
+    elements.cancelProfileBtn.addEventListener('click', closeProfileEditor);
+    elements.profileSelect.addEventListener('change', () => renderProfileEditor(getSelectedProfile()));
+    elements.addPassBtn.addEventListener('click', () => addPassRow({ type: 'random', verify: false }));
+    elements.saveProfileBtn.addEventListener('click', handleSaveProfile);
+    elements.deleteProfileBtn.addEventListener('click', handleDeleteProfile);
+
+    elements.verifyLogsBtn.addEventListener('click', handleVerifyLogIntegrity);
+    elements.verifyCertificateBtn.addEventListener('click', handleVerifyCertificate);
+    
+    // 粉碎日志密钥对话框事件
+    elements.logKeyBtn.addEventListener('click', openLogKeyDialog);
+    elements.logKeyModalClose.addEventListener('click', closeLogKeyDialog);
+    elements.logUnlockBtn.addEventListener('click', handleUnlockLogs);
+    elements.logUnlockPassphraseInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            handleUnlockLogs();
+        }
+    });
+    elements.logUnlockKeyfileBtn.addEventListener('click', async () => {
+        unlockKeyfilePath = await selectKeyfile(elements.logUnlockKeyfileText) || unlockKeyfilePath;
+    });
+    elements.logKeyKeyfileBtn.addEventListener('click', async () => {
+        newKeyfilePath = await selectKeyfile(elements.logKeyKeyfileText) || newKeyfilePath;
+    });
+    elements.logKeyTypeSelect.addEventListener('change', updateLogKeyTypeRows);
+    elements.changeLogKeyBtn.addEventListener('click', handleChangeLogKey);
 
     // 模态对话框事件
     elements.confirmCancel.addEventListener('click', closeConfirmDialog);
@@ -95,15 +202,15 @@ function setupEventListeners() {
         }
     });
     
-    // 恢复对话框事件 - 移除异常退出相关事件
-    // const recoverButton = document.getElementById('recoverButton');
-    // const ignoreButton = document.getElementById('ignoreButton');
-    // if (recoverButton) {
-    //     recoverButton.addEventListener('click', recoverFromAbnormalExit);
-    // }
-    // if (ignoreButton) {
-    //     ignoreButton.addEventListener('click', ignoreAbnormalExit);
-    // }
+    // 恢复对话框事件
+    const recoverButton = document.getElementById('recoverButton');
+    const ignoreButton = document.getElementById('ignoreButton');
+    if (recoverButton) {
+        recoverButton.addEventListener('click', recoverFromAbnormalExit);
+    }
+    if (ignoreButton) {
+        ignoreButton.addEventListener('click', ignoreAbnormalExit);
+    }
 
     // 监听队列更新
     window.electronAPI.onQueueUpdated((_, queue) => {
@@ -113,10 +220,10 @@ function setupEventListeners() {
         updateButtonStates();
     });
     
-    // 移除异常退出检测监听
-    // window.electronAPI.onAbnormalExitDetected((_, recoveryInfo) => {
-    //     handleAbnormalExitDetection(recoveryInfo);
-    // });
+    // 监听异常退出检测
+    window.electronAPI.onAbnormalExitDetected((_, info) => {
+        handleAbnormalExitDetection(info);
+    });
 }
 
 /**
@@ -202,6 +309,52 @@ async function handleAddFolders() {
     }
 }
 
+/**
+ * 处理擦除剩余空间按钮点击
+ */
+async function handleAddFreeSpace() {
+    try {
+        if (shreddingInProgress) {
+            showError('粉碎操作正在进行中，无法添加剩余空间擦除');
+            return;
+        }
+        
+        const result = await window.electronAPI.showFolderDialog('选择要擦除剩余空间的磁盘上的目录');
+        if (!result.success || result.filePaths.length === 0) {
+            return;
+        }
+        
+        const dirPath = result.filePaths[0];
+        const spaceResult = await window.electronAPI.getDiskSpace(dirPath);
+        if (!spaceResult.success) {
+            showError('获取磁盘空间失败: ' + spaceResult.error);
+            return;
+        }
+        
+        // 擦除期间可用空间会被填满，先让用户确认磁盘情况
+        const { space } = spaceResult;
+        const message = `该磁盘共 ${formatFileSize(space.totalBytes)}，可用 ${formatFileSize(space.freeBytes)}。` +
+            `擦除期间可用空间会被暂时占满（保留 ${elements.freeSpaceReserveInput.value} MB），确定要继续吗？`;
+        
+        showConfirmDialog(message, async () => {
+            try {
+                const addResult = await window.electronAPI.addFreeSpaceJob(dirPath);
+                if (addResult.success) {
+                    shreddingQueue = addResult.queue;
+                    updateUI();
+                    showSuccess('已添加剩余空间擦除到队列');
+                } else {
+                    showError('添加剩余空间擦除失败: ' + addResult.error);
+                }
+            } catch (error) {
+                showError('添加剩余空间擦除失败: ' + error.message);
+            }
+        });
+    } catch (error) {
+        showError('添加剩余空间擦除失败: ' + error.message);
+    }
+}
+
 /**
  * 添加文件到队列
  */
@@ -231,6 +384,18 @@ async function addFilesToQueue(filePaths) {
             } else {
                 showWarning(`已添加 ${successCount} 个文件到队列，${failCount} 个文件添加失败`);
             }
+            
+            // 大文件提醒
+            const warnings = result.results ? result.results.filter(r => r.success && r.warning) : [];
+            warnings.forEach(r => showWarning(`${r.path}: ${r.warning}`));
+            
+            // 覆盖可能无效的存储提醒
+            const assuranceWarnings = result.results ? result.results.filter(r => r.success && r.assurance && r.assurance.level === 'low') : [];
+            assuranceWarnings.forEach(r => showWarning(`${r.path}: ${r.assurance.warning}`));
+            
+            // 被其他进程打开的文件提醒
+            const heldResults = result.results ? result.results.filter(r => r.success && r.openHandles && r.openHandles.holders.length > 0) : [];
+            heldResults.forEach(r => showWarning(`${r.path}: 正被 ${formatHolders(r.openHandles.holders)} 打开`));
         } else {
             showError('添加文件失败: ' + result.error);
         }
@@ -294,53 +459,573 @@ async function handleStartShredding() {
 
     showConfirmDialog('确定要开始粉碎文件吗？此操作不可撤销！', async () => {
         try {
-            // 设置超时，防止长时间无响应
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('操作超时')), 300000); // 5分钟超时
-            });
-            
+            shreddingInProgress = true;
             elements.progressSection.style.display = 'block';
             elements.startShreddingBtn.disabled = true;
             elements.clearQueueBtn.disabled = true;
             elements.addFilesBtn.disabled = true;
             elements.addFoldersBtn.disabled = true;
+            updateJobControls(false);
+            updateFileList();
 
-            // 使用Promise.race实现超时控制
-            const result = await Promise.race([
-                window.electronAPI.startShredding(),
-                timeoutPromise
-            ]);
+            // 粉碎可以被暂停，因此不设置超时，由用户通过取消按钮结束
+            const result = await window.electronAPI.startShredding();
             
             if (result.success) {
-                showSuccess('文件粉碎完成');
+                if (result.cancelled) {
+                    showWarning('文件粉碎已取消，被中断的文件可能已被部分覆盖，仍保留在磁盘上');
+                } else {
+                    showSuccess('文件粉碎完成');
+                }
+                showCertificateResult(result.certificate);
                 // 修复：从主进程获取最新的队列状态，而不是直接清空
                 const queueResult = await window.electronAPI.getQueueStatus();
                 if (queueResult.success) {
                     shreddingQueue = queueResult.queue;
-                    updateUI();
                 }
                 
                 // 自动刷新日志
                 loadLogs();
             } else {
                 showError('文件粉碎失败: ' + result.error);
+                if (result.locked) {
+                    openLogKeyDialog();
+                }
             }
         } catch (error) {
-            if (error.message === '操作超时') {
-                showError('文件粉碎操作超时，请检查是否有大文件或系统问题');
-            } else {
-                showError('文件粉碎失败: ' + error.message);
-            }
+            showError('文件粉碎失败: ' + error.message);
             console.error('文件粉碎错误详情:', error);
         } finally {
-            elements.startShreddingBtn.disabled = false;
-            elements.clearQueueBtn.disabled = false;
+            shreddingInProgress = false;
             elements.addFilesBtn.disabled = false;
             elements.addFoldersBtn.disabled = false;
+            updateJobControls(false);
+            updateUI();
         }
     });
 }
 
+/**
+ * 更新暂停、继续和取消按钮
+ * @param {boolean} paused - 是否已暂停
+ */
+function updateJobControls(paused) {
+    elements.pauseShreddingBtn.style.display = paused ? 'none' : '';
+    elements.resumeShreddingBtn.style.display = paused ? '' : 'none';
+    elements.pauseShreddingBtn.disabled = !shreddingInProgress;
+    elements.resumeShreddingBtn.disabled = !shreddingInProgress;
+    elements.cancelShreddingBtn.disabled = !shreddingInProgress;
+}
+
+/**
+ * 处理暂停粉碎
+ */
+async function handlePauseShredding() {
+    try {
+        const result = await window.electronAPI.pauseShredding();
+        if (result.success) {
+            updateJobControls(true);
+            showSuccess('文件粉碎已暂停');
+        } else {
+            showError('暂停失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('暂停失败: ' + error.message);
+    }
+}
+
+/**
+ * 处理继续粉碎
+ */
+async function handleResumeShredding() {
+    try {
+        const result = await window.electronAPI.resumeShredding();
+        if (result.success) {
+            updateJobControls(false);
+            showSuccess('文件粉碎已继续');
+        } else {
+            showError('继续失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('继续失败: ' + error.message);
+    }
+}
+
+/**
+ * 处理取消粉碎
+ */
+function handleCancelShredding() {
+    showConfirmDialog('确定要取消粉碎吗？正在处理的文件可能已被部分覆盖，并会保留在磁盘上。', async () => {
+        try {
+            const result = await window.electronAPI.cancelShredding();
+            if (result.success) {
+                elements.pauseShreddingBtn.disabled = true;
+                elements.resumeShreddingBtn.disabled = true;
+                elements.cancelShreddingBtn.disabled = true;
+                elements.currentFileText.textContent = '正在取消...';
+            } else {
+                showError('取消失败: ' + result.error);
+            }
+        } catch (error) {
+            showError('取消失败: ' + error.message);
+        }
+    });
+}
+
+/**
+ * 加载可用的粉碎方法并初始化默认方法选择器
+ */
+async function loadWipeMethods() {
+    try {
+        const methodsResult = await window.electronAPI.getWipeMethods();
+        if (methodsResult.success) {
+            wipeMethods = methodsResult.methods;
+        }
+        
+        elements.defaultMethodSelect.innerHTML = '';
+        wipeMethods.forEach(method => {
+            elements.defaultMethodSelect.appendChild(createMethodOption(method));
+        });
+        
+        const settingsResult = await window.electronAPI.getSettings();
+        if (settingsResult.success) {
+            elements.defaultMethodSelect.value = settingsResult.settings.defaultMethod;
+            elements.verificationModeSelect.value = settingsResult.settings.verificationMode;
+            elements.verificationSamplePercentInput.value = settingsResult.settings.verificationSamplePercent;
+            elements.concurrencyInput.value = settingsResult.settings.concurrency;
+            elements.largeFileThresholdInput.value = settingsResult.settings.largeFileWarningThresholdGB;
+            elements.linkPolicySelect.value = settingsResult.settings.linkPolicy;
+            elements.protectedPathDenyInput.value = settingsResult.settings.protectedPathDenyList.join('\n');
+            elements.protectedPathAllowInput.value = settingsResult.settings.protectedPathAllowList.join('\n');
+            elements.freeSpaceReserveInput.value = settingsResult.settings.freeSpaceReserveMB;
+            elements.coverSlackCheckbox.checked = settingsResult.settings.coverSlack;
+            updateSamplePercentVisibility();
+        }
+    } catch (error) {
+        console.error('加载粉碎方法失败:', error);
+    }
+}
+
+/**
+ * 创建粉碎方法选项
+ * @param {Object} method - 粉碎方法
+ * @returns {HTMLElement} - option元素
+ */
+function createMethodOption(method) {
+    const option = document.createElement('option');
+    option.value = method.id;
+    option.textContent = `${method.name}（${method.description}）`;
+    option.title = [
+        `标准: ${method.standard}`,
+        `出处: ${method.reference}`,
+        ...method.passDescriptions.map((description, index) => `第${index + 1}步: ${description}`)
+    ].join('\n');
+    return option;
+}
+
+/**
+ * 处理默认粉碎方法变化
+ */
+async function handleDefaultMethodChange() {
+    try {
+        const result = await window.electronAPI.updateSettings({
+            defaultMethod: elements.defaultMethodSelect.value
+        });
+        
+        if (result.success) {
+            showSuccess('默认粉碎方式已更新，新添加的文件将使用该方式');
+        } else {
+            showError('更新默认粉碎方式失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('更新默认粉碎方式失败: ' + error.message);
+    }
+}
+
+/**
+ * 根据校验方式显示或隐藏抽样比例输入框
+ */
+function updateSamplePercentVisibility() {
+    const display = elements.verificationModeSelect.value === 'sampled' ? '' : 'none';
+    elements.verificationSamplePercentInput.style.display = display;
+    elements.verificationSamplePercentUnit.style.display = display;
+}
+
+/**
+ * 处理回读校验设置变化
+ */
+async function handleVerificationSettingsChange() {
+    updateSamplePercentVisibility();
+    
+    try {
+        const result = await window.electronAPI.updateSettings({
+            verificationMode: elements.verificationModeSelect.value,
+            verificationSamplePercent: elements.verificationSamplePercentInput.value
+        });
+        
+        if (result.success) {
+            showSuccess('回读校验设置已更新');
+        } else {
+            showError('更新回读校验设置失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('更新回读校验设置失败: ' + error.message);
+    }
+}
+
+/**
+ * 处理并行数设置变化
+ */
+async function handleConcurrencyChange() {
+    try {
+        const result = await window.electronAPI.updateSettings({
+            concurrency: elements.concurrencyInput.value
+        });
+        
+        if (result.success) {
+            showSuccess('并行数已更新，将在下次开始粉碎时生效');
+        } else {
+            showError('更新并行数失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('更新并行数失败: ' + error.message);
+    }
+}
+
+/**
+ * 处理大文件提醒阈值变化
+ */
+async function handleLargeFileThresholdChange() {
+    try {
+        const result = await window.electronAPI.updateSettings({
+            largeFileWarningThresholdGB: elements.largeFileThresholdInput.value
+        });
+        
+        if (result.success) {
+            showSuccess('大文件提醒阈值已更新');
+        } else {
+            showError('更新大文件提醒阈值失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('更新大文件提醒阈值失败: ' + error.message);
+    }
+}
+
+/**
+ * 处理剩余空间擦除保留空间变化
+ */
+async function handleFreeSpaceReserveChange() {
+    try {
+        const result = await window.electronAPI.updateSettings({
+            freeSpaceReserveMB: elements.freeSpaceReserveInput.value
+        });
+        
+        if (result.success) {
+            showSuccess('保留空间已更新');
+        } else {
+            showError('更新保留空间失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('更新保留空间失败: ' + error.message);
+    }
+}
+
+/**
+ * 处理松弛空间覆盖设置变化
+ */
+async function handleCoverSlackChange() {
+    try {
+        const result = await window.electronAPI.updateSettings({
+            coverSlack: elements.coverSlackCheckbox.checked
+        });
+        
+        if (result.success) {
+            showSuccess(elements.coverSlackCheckbox.checked ? '已开启松弛空间覆盖' : '已关闭松弛空间覆盖');
+        } else {
+            showError('更新松弛空间设置失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('更新松弛空间设置失败: ' + error.message);
+    }
+}
+
+/**
+ * 处理链接处理策略变化
+ */
+async function handleLinkPolicyChange() {
+    try {
+        const result = await window.electronAPI.updateSettings({
+            linkPolicy: elements.linkPolicySelect.value
+        });
+        
+        if (result.success) {
+            showSuccess('链接处理策略已更新');
+        } else {
+            showError('更新链接处理策略失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('更新链接处理策略失败: ' + error.message);
+    }
+}
+
+/**
+ * 处理受保护路径列表变化（每行一个路径）
+ * @param {string} key - 设置项名称
+ * @param {HTMLTextAreaElement} input - 输入框
+ * @param {string} label - 列表名称
+ */
+async function handlePathListChange(key, input, label) {
+    try {
+        const result = await window.electronAPI.updateSettings({
+            [key]: input.value.split('\n')
+        });
+        
+        if (result.success) {
+            // 显示去除空行和重复项后的列表
+            input.value = result.settings[key].join('\n');
+            showSuccess(`${label}已更新`);
+        } else {
+            showError(`更新${label}失败: ` + result.error);
+        }
+    } catch (error) {
+        showError(`更新${label}失败: ` + error.message);
+    }
+}
+
+/**
+ * 打开自定义粉碎方案对话框
+ * @param {string} selectedId - 默认选中的方案ID
+ */
+async function openProfileEditor(selectedId = '') {
+    try {
+        const result = await window.electronAPI.getWipeProfiles();
+        if (!result.success) {
+            showError('加载粉碎方案失败: ' + result.error);
+            return;
+        }
+        wipeProfiles = result.profiles;
+    } catch (error) {
+        showError('加载粉碎方案失败: ' + error.message);
+        return;
+    }
+    
+    // 填充方案列表
+    elements.profileSelect.innerHTML = '<option value="">新建方案</option>';
+    wipeProfiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        elements.profileSelect.appendChild(option);
+    });
+    elements.profileSelect.value = typeof selectedId === 'string' ? selectedId : '';
+    
+    renderProfileEditor(getSelectedProfile());
+    elements.profileModal.style.display = 'flex';
+}
+
+/**
+ * 关闭自定义粉碎方案对话框
+ */
+function closeProfileEditor() {
+    elements.profileModal.style.display = 'none';
+}
+
+/**
+ * 获取当前选中的方案
+ * @returns {Object|null} - 方案或null（新建方案）
+ */
+function getSelectedProfile() {
+    return wipeProfiles.find(profile => profile.id === elements.profileSelect.value) || null;
+}
+
+/**
+ * 在对话框中显示方案
+ * @param {Object|null} profile - 方案，null表示新建
+ */
+function renderProfileEditor(profile) {
+    elements.profileNameInput.value = profile ? profile.name : '';
+    elements.profileDescriptionInput.value = profile ? profile.description : '';
+    elements.deleteProfileBtn.disabled = !profile;
+    elements.profilePassList.innerHTML = '';
+    
+    const passes = profile ? profile.passes : [{ type: 'random', verify: false }];
+    passes.forEach(pass => addPassRow(pass));
+}
+
+/**
+ * 添加覆盖步骤行
+ * @param {Object} pass - 覆盖步骤
+ */
+function addPassRow(pass) {
+    const row = document.createElement('div');
+    row.className = 'profile-pass-row';
+    
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'form-control pass-type';
+    [
+        { value: 'fixed', text: '固定字节' },
+        { value: 'pattern', text: '多字节模式' },
+        { value: 'random', text: '随机数据' },
+        { value: 'complement', text: '上一步的补码' }
+    ].forEach(type => {
+        const option = document.createElement('option');
+        option.value = type.value;
+        option.textContent = type.text;
+        typeSelect.appendChild(option);
+    });
+    typeSelect.value = pass.type;
+    
+    const valueInput = document.createElement('input');
+    valueInput.className = 'form-control pass-value';
+    valueInput.type = 'text';
+    valueInput.placeholder = '十六进制字节';
+    if (pass.type === 'fixed') {
+        valueInput.value = formatHexBytes([pass.value]);
+    } else if (pass.type === 'pattern') {
+        valueInput.value = formatHexBytes(pass.bytes);
+    }
+    
+    const updateValueInput = () => {
+        valueInput.disabled = typeSelect.value === 'random' || typeSelect.value === 'complement';
+    };
+    typeSelect.addEventListener('change', updateValueInput);
+    updateValueInput();
+    
+    const verifyLabel = document.createElement('label');
+    verifyLabel.className = 'pass-verify';
+    const verifyCheckbox = document.createElement('input');
+    verifyCheckbox.type = 'checkbox';
+    verifyCheckbox.checked = Boolean(pass.verify);
+    verifyLabel.appendChild(verifyCheckbox);
+    verifyLabel.appendChild(document.createTextNode('校验'));
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-small btn-danger';
+    removeBtn.textContent = '删除';
+    removeBtn.addEventListener('click', () => row.remove());
+    
+    row.appendChild(typeSelect);
+    row.appendChild(valueInput);
+    row.appendChild(verifyLabel);
+    row.appendChild(removeBtn);
+    elements.profilePassList.appendChild(row);
+}
+
+/**
+ * 格式化十六进制字节
+ * @param {Array} bytes - 字节数组
+ * @returns {string} - 以空格分隔的十六进制字符串
+ */
+function formatHexBytes(bytes) {
+    return bytes.map(byte => byte.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+}
+
+/**
+ * 解析十六进制字节
+ * @param {string} text - 以空格分隔的十六进制字符串
+ * @returns {Array|null} - 字节数组，格式不正确时返回null
+ */
+function parseHexBytes(text) {
+    const parts = text.trim().split(/\s+/).filter(Boolean);
+    if (parts.length === 0 || !parts.every(part => /^(0x)?[0-9a-f]{1,2}$/i.test(part))) {
+        return null;
+    }
+    return parts.map(part => parseInt(part.replace(/^0x/i, ''), 16));
+}
+
+/**
+ * 从对话框中读取方案
+ * @returns {Object} - 方案
+ */
+function collectProfileFromEditor() {
+    const passes = Array.from(elements.profilePassList.querySelectorAll('.profile-pass-row')).map(row => {
+        const type = row.querySelector('.pass-type').value;
+        const pass = { type, verify: row.querySelector('.pass-verify input').checked };
+        const bytes = parseHexBytes(row.querySelector('.pass-value').value);
+        
+        if (type === 'fixed') {
+            pass.value = bytes && bytes.length === 1 ? bytes[0] : null;
+        } else if (type === 'pattern') {
+            pass.bytes = bytes;
+        }
+        return pass;
+    });
+    
+    const profile = {
+        name: elements.profileNameInput.value,
+        description: elements.profileDescriptionInput.value,
+        passes
+    };
+    if (elements.profileSelect.value) {
+        profile.id = elements.profileSelect.value;
+    }
+    return profile;
+}
+
+/**
+ * 处理保存方案
+ */
+async function handleSaveProfile() {
+    try {
+        const result = await window.electronAPI.saveWipeProfile(collectProfileFromEditor());
+        if (result.success) {
+            await loadWipeMethods();
+            updateFileList();
+            showSuccess(`粉碎方案已保存: ${result.profile.name}`);
+            await openProfileEditor(result.profile.id);
+        } else {
+            showError(result.error);
+        }
+    } catch (error) {
+        showError('保存粉碎方案失败: ' + error.message);
+    }
+}
+
+/**
+ * 处理删除方案
+ */
+async function handleDeleteProfile() {
+    const profile = getSelectedProfile();
+    if (!profile) return;
+    
+    try {
+        const result = await window.electronAPI.deleteWipeProfile(profile.id);
+        if (result.success) {
+            await loadWipeMethods();
+            const queueResult = await window.electronAPI.getQueueStatus();
+            if (queueResult.success) {
+                shreddingQueue = queueResult.queue;
+            }
+            updateFileList();
+            showSuccess(`粉碎方案已删除: ${profile.name}`);
+            await openProfileEditor();
+        } else {
+            showError('删除粉碎方案失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('删除粉碎方案失败: ' + error.message);
+    }
+}
+
+/**
+ * 处理队列中单个文件的粉碎方法变化
+ * @param {Object} item - 队列项
+ * @param {string} method - 新的粉碎方法
+ */
+async function handleItemMethodChange(item, method) {
+    try {
+        const result = await window.electronAPI.setItemMethod(item.id, method);
+        if (result.success) {
+            shreddingQueue = result.queue;
+        } else {
+            showError('修改粉碎方式失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('修改粉碎方式失败: ' + error.message);
+    }
+    updateFileList();
+}
+
 /**
  * 更新UI状态
  */
@@ -352,97 +1037,141 @@ function updateUI() {
 /**
  * 检查异常退出
  */
-// 移除异常退出相关函数
-/**
- * 检查异常退出
- */
-// async function checkForAbnormalExit() {
-//     try {
-//         const result = await window.electronAPI.checkAbnormalExit();
-//         if (result.success && result.recoveryInfo.hasAbnormalExit) {
-//             handleAbnormalExitDetection(result.recoveryInfo);
-//         }
-//     } catch (error) {
-//         console.error('检查异常退出失败:', error);
-//     }
-// }
+async function checkForAbnormalExit() {
+    try {
+        const result = await window.electronAPI.checkAbnormalExit();
+        if (result.success && result.recoveryInfo.hasAbnormalExit) {
+            handleAbnormalExitDetection(result.recoveryInfo);
+        }
+    } catch (error) {
+        console.error('检查异常退出失败:', error);
+    }
+}
 
 /**
  * 处理异常退出检测
  */
-// function handleAbnormalExitDetection(recoveryInfo) {
-//     abnormalExitDetected = true;
-//     recoveryInfo = recoveryInfo;
-//     
-//     // 显示恢复对话框
-//     showRecoveryDialog(recoveryInfo);
-// }
+function handleAbnormalExitDetection(info) {
+    // 启动检查和主进程通知可能同时到达，只显示一次
+    if (abnormalExitDetected || !info.hasAbnormalExit) {
+        return;
+    }
+    
+    abnormalExitDetected = true;
+    recoveryInfo = info;
+    
+    // 显示恢复对话框
+    showRecoveryDialog(info);
+}
 
 /**
  * 显示恢复对话框
  */
-// function showRecoveryDialog(recoveryInfo) {
-//     const modal = document.getElementById('recoveryModal');
-//     const recoveryMessage = document.getElementById('recoveryMessage');
-//     
-//     // 构建恢复信息
-//     let message = '检测到上次程序异常退出。\n\n';
-//     
-//     if (recoveryInfo.wasShreddingInProgress) {
-//         message += `上次有 ${recoveryInfo.pendingItems} 个文件正在粉碎过程中。\n`;
-//         message += '是否恢复这些未完成的粉碎任务？\n\n';
-//     } else {
-//         message += '上次程序异常退出，但未发现未完成的粉碎任务。\n\n';
-//     }
-//     
-//     message += '点击"恢复"按钮尝试恢复状态，或点击"忽略"按钮继续使用。';
-//     
-//     recoveryMessage.textContent = message;
-//     modal.style.display = 'flex';
-// }
+function showRecoveryDialog(info) {
+    const modal = document.getElementById('recoveryModal');
+    const recoveryMessage = document.getElementById('recoveryMessage');
+    const recoveryTaskList = document.getElementById('recoveryTaskList');
+    
+    // 构建恢复信息
+    let message = '检测到上次程序异常退出。\n\n';
+    
+    if (info.hasIncompleteTasks) {
+        message += `上次有 ${info.incompleteTasksCount} 个文件未完成粉碎，其中正在处理的文件可能已被部分覆盖。\n`;
+        message += '勾选需要继续粉碎的文件，有检查点的文件将从上次的位置继续。\n\n';
+    } else {
+        message += '上次程序异常退出，但未发现未完成的粉碎任务。\n\n';
+    }
+    
+    message += '点击"恢复"按钮继续粉碎选中的文件，或点击"忽略"按钮放弃这些任务。';
+    
+    recoveryMessage.textContent = message;
+    recoveryTaskList.innerHTML = '';
+    
+    info.incompleteTasks.forEach(task => {
+        const row = document.createElement('label');
+        row.className = 'recovery-task';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.dataset.itemId = task.id;
+        
+        const text = document.createElement('span');
+        text.textContent = `${task.path}（${formatCheckpoint(task.checkpoint)}）`;
+        text.title = task.path;
+        
+        row.appendChild(checkbox);
+        row.appendChild(text);
+        recoveryTaskList.appendChild(row);
+    });
+    
+    modal.style.display = 'flex';
+}
+
+/**
+ * 格式化检查点
+ * @param {object} checkpoint - 检查点
+ * @returns {string} - 检查点描述
+ */
+function formatCheckpoint(checkpoint) {
+    if (!checkpoint) {
+        return '无检查点，将从头粉碎';
+    }
+    
+    if (checkpoint.passIndex >= checkpoint.passCount) {
+        return '覆盖已完成，将删除文件';
+    }
+    
+    return `第${checkpoint.passIndex + 1}/${checkpoint.passCount}步，已覆盖 ${formatFileSize(checkpoint.offset)}`;
+}
 
 /**
  * 恢复异常退出状态
  */
-// async function recoverFromAbnormalExit() {
-//     try {
-//         const result = await window.electronAPI.recoverFromAbnormalExit();
-//         
-//         if (result.success) {
-//             // 修复：从主进程获取最新的队列状态，而不是使用返回的队列
-//             const queueResult = await window.electronAPI.getQueueStatus();
-//             if (queueResult.success) {
-//                 shreddingQueue = queueResult.queue;
-//                 updateUI();
-//             }
-//             
-//             // 更新粉碎状态
-//             if (result.wasShreddingInProgress) {
-//                 shreddingInProgress = false; // 重置状态，让用户重新开始
-//                 updateUI();
-//             }
-//             
-//             // 关闭对话框
-//             document.getElementById('recoveryModal').style.display = 'none';
-//             abnormalExitDetected = false;
-//             
-//             showSuccess('状态恢复成功');
-//         } else {
-//             showError('状态恢复失败: ' + result.error);
-//         }
-//     } catch (error) {
-//         console.error('恢复异常退出状态失败:', error);
-//         showError('恢复状态时发生错误');
-//     }
-// }
-
-/**
- * 忽略异常退出
- */
-// function ignoreAbnormalExit() {
-//     document.getElementById('recoveryModal').style.display = 'none';
-//     abnormalExitDetected = false;
-// }
+async function recoverFromAbnormalExit() {
+    const checkboxes = document.querySelectorAll('#recoveryTaskList input[type="checkbox"]');
+    const resumeItemIds = recoveryInfo.incompleteTasks
+        .filter((task, index) => checkboxes[index] && checkboxes[index].checked)
+        .map(task => task.id);
+    
+    try {
+        const result = await window.electronAPI.recoverFromAbnormalExit(resumeItemIds);
+        
+        if (result.success) {
+            // 从主进程获取最新的队列状态
+            const queueResult = await window.electronAPI.getQueueStatus();
+            if (queueResult.success) {
+                shreddingQueue = queueResult.queue;
+                updateUI();
+            }
+            
+            // 关闭对话框
+            document.getElementById('recoveryModal').style.display = 'none';
+            
+            if (resumeItemIds.length > 0) {
+                showSuccess('已恢复未完成的粉碎任务，点击"开始粉碎"继续');
+            }
+        } else {
+            showError('状态恢复失败: ' + result.error);
+        }
+    } catch (error) {
+        console.error('恢复异常退出状态失败:', error);
+        showError('恢复状态时发生错误');
+    }
+}
+
+/**
+ * 忽略异常退出，放弃未完成的任务
+ */
+async function ignoreAbnormalExit() {
+    document.getElementById('recoveryModal').style.display = 'none';
+    
+    try {
+        await window.electronAPI.recoverFromAbnormalExit([]);
+    } catch (error) {
+        console.error('重置异常退出状态失败:', error);
+    }
+}
 
 /**
  * 更新文件列表
@@ -466,7 +1195,23 @@ function updateFileList() {
         const fileNameCell = document.createElement('td');
         const fileName = document.createElement('div');
         fileName.className = 'file-name';
-        fileName.textContent = item.path.split('\\').pop() || item.path.split('/').pop() || '未知文件';
+        if (item.children) {
+            // 文件夹粉碎后可展开查看每个子项目的结果
+            const toggle = document.createElement('button');
+            toggle.className = 'children-toggle';
+            toggle.textContent = expandedItems.has(item.id) ? '▾' : '▸';
+            toggle.title = '查看子项目结果';
+            toggle.addEventListener('click', () => {
+                if (expandedItems.has(item.id)) {
+                    expandedItems.delete(item.id);
+                } else {
+                    expandedItems.add(item.id);
+                }
+                updateFileList();
+            });
+            fileName.appendChild(toggle);
+        }
+        fileName.appendChild(document.createTextNode(item.path.split('\\').pop() || item.path.split('/').pop() || '未知文件'));
         fileNameCell.appendChild(fileName);
         row.appendChild(fileNameCell);
 
@@ -481,31 +1226,274 @@ function updateFileList() {
         // 大小
         const sizeCell = document.createElement('td');
         sizeCell.className = 'file-size';
-        sizeCell.textContent = formatFileSize(item.size);
-        row.appendChild(sizeCell);
-
-        // 状态
+        sizeCell.textContent = formatFileSize(item.size);
+        if (item.warning) {
+            const warningIcon = document.createElement('span');
+            warningIcon.className = 'size-warning';
+            warningIcon.textContent = '⚠';
+            warningIcon.title = item.warning;
+            sizeCell.appendChild(warningIcon);
+        }
+        row.appendChild(sizeCell);
+
+        // 粉碎方式（剩余空间擦除固定使用1次随机覆盖）
+        const methodCell = document.createElement('td');
+        if (item.jobType === 'freeSpace') {
+            methodCell.textContent = '剩余空间擦除';
+            methodCell.title = '用随机数据文件填满剩余空间后粉碎这些文件';
+        } else {
+            const methodSelect = document.createElement('select');
+            methodSelect.className = 'form-control method-select';
+            wipeMethods.forEach(method => {
+                methodSelect.appendChild(createMethodOption(method));
+            });
+            methodSelect.value = item.method;
+            methodSelect.disabled = shreddingInProgress || item.status === 'processing';
+            methodSelect.addEventListener('change', () => handleItemMethodChange(item, methodSelect.value));
+            methodCell.appendChild(methodSelect);
+        }
+        if (item.assurance && item.assurance.warning) {
+            methodCell.appendChild(createAssuranceBadge(item));
+        }
+        row.appendChild(methodCell);
+
+        // 状态
+        const statusCell = document.createElement('td');
+        const statusBadge = document.createElement('span');
+        statusBadge.className = `status-badge status-${item.status}`;
+        statusBadge.textContent = getStatusText(item.status);
+        statusCell.appendChild(statusBadge);
+        if ((item.openHandles && item.openHandles.holders.length > 0) || item.openHandlePolicy) {
+            statusCell.appendChild(createOpenHandlesInfo(item));
+        }
+        row.appendChild(statusCell);
+
+        // 进度
+        const progressCell = document.createElement('td');
+        progressCell.className = 'progress-cell';
+        const progressContainer = document.createElement('div');
+        progressContainer.className = 'progress-bar-container';
+        const progressBar = document.createElement('div');
+        progressBar.className = 'progress-bar';
+        progressBar.style.width = `${item.progress}%`;
+        progressContainer.appendChild(progressBar);
+        progressCell.appendChild(progressContainer);
+        row.appendChild(progressCell);
+
+        elements.fileListBody.appendChild(row);
+
+        if (item.children && expandedItems.has(item.id)) {
+            elements.fileListBody.appendChild(createChildrenRow(item.children, item.childSummary));
+        }
+    });
+}
+
+/**
+ * 创建打开了文件的进程信息，以及重新检查、跳过和仍然粉碎的操作按钮
+ * @param {object} item - 队列项
+ * @returns {HTMLElement} - 进程信息
+ */
+function createOpenHandlesInfo(item) {
+    const container = document.createElement('div');
+    container.className = 'open-handles';
+    
+    const holders = item.openHandles ? item.openHandles.holders : [];
+    const text = document.createElement('div');
+    text.className = 'open-handles-text';
+    text.textContent = holders.length > 0 ? `被占用: ${formatHolders(holders)}` : '未发现打开该文件的进程';
+    text.title = holders.map(holder => `${holder.pid} ${holder.command}\n  ${holder.paths.join('\n  ')}`).join('\n');
+    if (item.openHandles && item.openHandles.incomplete) {
+        text.title += (text.title ? '\n' : '') + '没有权限检查其他用户的进程，结果可能不完整';
+    }
+    container.appendChild(text);
+    
+    const actions = document.createElement('div');
+    actions.className = 'open-handle-actions';
+    [
+        { label: '重新检查', handler: () => handleRecheckOpenHandles(item) },
+        { label: '跳过', policy: 'skip' },
+        { label: '仍然粉碎', policy: 'proceed' }
+    ].forEach(action => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-small btn-secondary';
+        button.textContent = action.label;
+        button.disabled = shreddingInProgress;
+        if (action.policy) {
+            // 再次点击已选的处理方式时取消选择
+            const active = item.openHandlePolicy === action.policy;
+            button.classList.toggle('active', active);
+            button.addEventListener('click', () => handleOpenHandlePolicy(item, active ? null : action.policy));
+        } else {
+            button.addEventListener('click', action.handler);
+        }
+        actions.appendChild(button);
+    });
+    container.appendChild(actions);
+    
+    return container;
+}
+
+/**
+ * 格式化打开了文件的进程列表
+ * @param {Array} holders - 进程数组（pid、command、paths）
+ * @returns {string} - 进程文本
+ */
+function formatHolders(holders) {
+    return holders.map(holder => `${holder.command || '未知进程'} (PID ${holder.pid})`).join(', ');
+}
+
+/**
+ * 重新检查打开了队列项的进程
+ * @param {object} item - 队列项
+ */
+async function handleRecheckOpenHandles(item) {
+    try {
+        const result = await window.electronAPI.recheckOpenHandles(item.id);
+        if (result.success) {
+            shreddingQueue = result.queue;
+            updateUI();
+            if (result.openHandles.holders.length === 0) {
+                showSuccess('没有进程打开该文件');
+            } else {
+                showWarning(`仍被 ${formatHolders(result.openHandles.holders)} 打开`);
+            }
+        } else {
+            showError('重新检查失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('重新检查失败: ' + error.message);
+    }
+}
+
+/**
+ * 设置文件被其他进程打开时的处理方式
+ * @param {object} item - 队列项
+ * @param {string|null} policy - 处理方式（skip跳过、proceed仍然粉碎、null开始前仍被打开时跳过）
+ */
+async function handleOpenHandlePolicy(item, policy) {
+    try {
+        const result = await window.electronAPI.setOpenHandlePolicy(item.id, policy);
+        if (result.success) {
+            shreddingQueue = result.queue;
+            updateUI();
+        } else {
+            showError('设置处理方式失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('设置处理方式失败: ' + error.message);
+    }
+}
+
+/**
+ * 创建覆盖有效性提示标记，有建议的粉碎方式时点击可改用建议的方式
+ * @param {object} item - 队列项
+ * @returns {HTMLElement} - 提示标记
+ */
+function createAssuranceBadge(item) {
+    const { assurance } = item;
+    const badge = document.createElement('span');
+    badge.className = `assurance-badge assurance-${assurance.level}`;
+    badge.textContent = `⚠ ${getAssuranceLevelText(assurance.level)}`;
+    badge.title = [assurance.warning, assurance.suggestion].filter(Boolean).join('\n');
+    
+    const canApply = assurance.suggestedMethod && item.method && item.method !== assurance.suggestedMethod &&
+        !shreddingInProgress && wipeMethods.some(method => method.id === assurance.suggestedMethod);
+    if (canApply) {
+        badge.classList.add('assurance-actionable');
+        badge.title += '\n点击改用建议的粉碎方式';
+        badge.addEventListener('click', () => handleItemMethodChange(item, assurance.suggestedMethod));
+    }
+    return badge;
+}
+
+/**
+ * 获取覆盖有效性等级文本
+ * @param {string} level - 等级（high、medium、low或unknown）
+ * @returns {string} - 等级文本
+ */
+function getAssuranceLevelText(level) {
+    switch (level) {
+        case 'high': return '覆盖有效';
+        case 'medium': return '覆盖可能有效';
+        case 'low': return '覆盖可能无效';
+        default: return '无法确认覆盖效果';
+    }
+}
+
+/**
+ * 创建文件夹子项目结果的展开行
+ * @param {Array} children - 子项目结果（path、type、status、bytes、method、durationMs、errorCode、error）
+ * @param {object} childSummary - 全部子项目的统计，omitted为没有保存结果的成功子项目数
+ * @returns {HTMLElement} - 表格行
+ */
+function createChildrenRow(children, childSummary) {
+    const row = document.createElement('tr');
+    row.className = 'children-row';
+    
+    const cell = document.createElement('td');
+    cell.colSpan = 6;
+    
+    const table = document.createElement('table');
+    table.className = 'children-table';
+    children.forEach(child => {
+        const childRow = document.createElement('tr');
+        
+        // 按目录层级缩进
+        const pathCell = document.createElement('td');
+        const depth = child.path === '.' ? 0 : child.path.split(/[\\/]/).length;
+        pathCell.style.paddingLeft = `${depth * 16}px`;
+        pathCell.textContent = child.path === '.' ? '（文件夹本身）' : child.path;
+        childRow.appendChild(pathCell);
+        
+        const sizeCell = document.createElement('td');
+        sizeCell.className = 'file-size';
+        sizeCell.textContent = child.type === 'directory' ? '' : formatFileSize(child.bytes);
+        childRow.appendChild(sizeCell);
+        
+        const methodCell = document.createElement('td');
+        const method = wipeMethods.find(wipeMethod => wipeMethod.id === child.method);
+        methodCell.textContent = method ? method.name : (child.method || '');
+        childRow.appendChild(methodCell);
+        
+        const durationCell = document.createElement('td');
+        if (child.durationMs !== null) {
+            durationCell.textContent = child.durationMs < 1000 ? `${child.durationMs}毫秒` : formatDuration(Math.round(child.durationMs / 1000));
+        }
+        childRow.appendChild(durationCell);
+        
         const statusCell = document.createElement('td');
         const statusBadge = document.createElement('span');
-        statusBadge.className = `status-badge status-${item.status}`;
-        statusBadge.textContent = getStatusText(item.status);
+        const statusClass = ['failed', 'pending', 'cancelled'].includes(child.status) ? child.status : 'completed';
+        statusBadge.className = `status-badge status-${statusClass}`;
+        statusBadge.textContent = getChildStatusText(child.status);
+        if (child.error) {
+            statusBadge.title = `${child.errorCode}: ${child.error}`;
+        }
         statusCell.appendChild(statusBadge);
-        row.appendChild(statusCell);
-
-        // 进度
-        const progressCell = document.createElement('td');
-        progressCell.className = 'progress-cell';
-        const progressContainer = document.createElement('div');
-        progressContainer.className = 'progress-bar-container';
-        const progressBar = document.createElement('div');
-        progressBar.className = 'progress-bar';
-        progressBar.style.width = `${item.progress}%`;
-        progressContainer.appendChild(progressBar);
-        progressCell.appendChild(progressContainer);
-        row.appendChild(progressCell);
-
-        elements.fileListBody.appendChild(row);
+        childRow.appendChild(statusCell);
+        
+        const errorCell = document.createElement('td');
+        errorCell.className = 'child-error';
+        errorCell.textContent = child.errorCode || '';
+        childRow.appendChild(errorCell);
+        
+        table.appendChild(childRow);
     });
+    
+    // 子项目很多时只保存了部分结果，其余都已成功
+    if (childSummary && childSummary.omitted > 0) {
+        const omittedRow = document.createElement('tr');
+        const omittedCell = document.createElement('td');
+        omittedCell.colSpan = 6;
+        omittedCell.className = 'children-omitted';
+        omittedCell.textContent = `另有 ${childSummary.omitted} 个已成功的子项目未逐项显示（共 ${childSummary.total} 个）`;
+        omittedRow.appendChild(omittedCell);
+        table.appendChild(omittedRow);
+    }
+    
+    cell.appendChild(table);
+    row.appendChild(cell);
+    return row;
 }
 
 /**
@@ -526,19 +1514,30 @@ function updateProgress() {
         return;
     }
 
-    const totalProgress = shreddingQueue.reduce((sum, item) => sum + item.progress, 0) / shreddingQueue.length;
+    // 按文件大小计算总体进度，多个文件同时粉碎时大文件的进度占比更大
+    const weightOf = (item) => Math.max(item.size || 0, 1);
+    const totalWeight = shreddingQueue.reduce((sum, item) => sum + weightOf(item), 0);
+    const totalProgress = shreddingQueue.reduce((sum, item) => sum + weightOf(item) * item.progress, 0) / totalWeight;
     elements.overallProgressBar.style.width = `${totalProgress}%`;
     elements.progressText.textContent = `${Math.round(totalProgress)}%`;
 
-    // 找到当前正在处理的文件
-    const currentFile = shreddingQueue.find(item => item.status === 'processing');
-    if (currentFile) {
+    // 找到当前正在处理的文件（并行粉碎时可能有多个）
+    const currentFiles = shreddingQueue.filter(item => item.status === 'processing' || item.status === 'paused');
+    if (currentFiles.length > 0) {
+        const currentFile = currentFiles[0];
         const fileName = currentFile.path.split('\\').pop() || currentFile.path.split('/').pop() || '未知文件';
-        elements.currentFileText.textContent = `正在处理: ${fileName}`;
+        const fileText = currentFiles.length > 1 ? `${fileName} 等 ${currentFiles.length} 个文件` : fileName;
+        elements.currentFileText.textContent = currentFile.status === 'paused' ? `已暂停: ${fileText}` : `正在处理: ${fileText}`;
+        elements.progressDetailText.textContent = formatProgressDetail(currentFile.progressDetail);
     } else {
+        elements.progressDetailText.textContent = '';
         const completedCount = shreddingQueue.filter(item => item.status === 'completed').length;
         const failedCount = shreddingQueue.filter(item => item.status === 'failed').length;
-        elements.currentFileText.textContent = `已完成: ${completedCount}, 失败: ${failedCount}`;
+        const cancelledCount = shreddingQueue.filter(item => item.status === 'cancelled').length;
+        const partialCount = shreddingQueue.filter(item => item.status === 'partial').length;
+        const skippedCount = shreddingQueue.filter(item => item.status === 'skipped').length;
+        const unlinkedCount = shreddingQueue.filter(item => item.status === 'unlinked').length;
+        elements.currentFileText.textContent = `已完成: ${completedCount}, 仅删除链接: ${unlinkedCount}, 部分完成: ${partialCount}, 失败: ${failedCount}, 已取消: ${cancelledCount}, 已跳过: ${skippedCount}`;
     }
 }
 
@@ -561,6 +1560,11 @@ async function loadLogs() {
             result = await window.electronAPI.getLogs(logType);
         }
         
+        if (!result.success && result.locked) {
+            showLockedLogs();
+            return;
+        }
+        
         if (result.success) {
             // 清空日志容器
             elements.logContainer.innerHTML = '';
@@ -604,9 +1608,14 @@ async function loadLogs() {
                 
                 // 创建日志卡片
                 logEntries.forEach(entry => {
-                    const logCard = createLogCard(entry);
+                    const logCard = entry.integrityError ? createIntegrityErrorCard(entry) : createLogCard(entry);
                     elements.logContainer.appendChild(logCard);
                 });
+                
+                const integrityErrors = logEntries.filter(entry => entry.integrityError).length;
+                if (integrityErrors > 0) {
+                    showError(`${integrityErrors} 个粉碎日志条目未通过完整性校验，日志可能被篡改或损坏`);
+                }
             }
         } else {
             elements.logContainer.innerHTML = `<div class="log-error">加载日志失败: ${result.error}</div>`;
@@ -616,6 +1625,302 @@ async function loadLogs() {
     }
 }
 
+/**
+ * 处理验证粉碎日志完整性：检查所有日期的哈希链，报告第一个断开的链接
+ */
+async function handleVerifyLogIntegrity() {
+    elements.verifyLogsBtn.disabled = true;
+    try {
+        const response = await window.electronAPI.verifyLogIntegrity();
+        if (!response.success) {
+            showError('验证日志完整性失败: ' + response.error);
+            if (response.locked) {
+                openLogKeyDialog();
+            }
+            return;
+        }
+        
+        const { result } = response;
+        if (!result.valid) {
+            const { broken } = result;
+            showError(`粉碎日志哈希链在 ${broken.date} 的日志第 ${broken.line} 行断开：${broken.reason}`);
+            return;
+        }
+        
+        let message = `粉碎日志完整：已检查 ${result.dates} 天的 ${result.entries} 个条目`;
+        if (result.chainedEntries < result.entries) {
+            message += `，其中 ${result.entries - result.chainedEntries} 个旧条目早于哈希链，无法验证是否被删除或调换`;
+        }
+        showSuccess(message);
+    } catch (error) {
+        showError('验证日志完整性失败: ' + error.message);
+    } finally {
+        elements.verifyLogsBtn.disabled = false;
+    }
+}
+
+/**
+ * 显示销毁证书的生成结果，并询问是否打开
+ * @param {Object} certificate - 生成结果（success、htmlPath、pdfPath或error）
+ */
+function showCertificateResult(certificate) {
+    if (!certificate) {
+        return;
+    }
+    
+    if (!certificate.success) {
+        showWarning('生成销毁证书失败: ' + certificate.error);
+        return;
+    }
+    
+    showConfirmDialog(`销毁证书已生成：${certificate.pdfPath}。是否打开证书？`, async () => {
+        const result = await window.electronAPI.openCertificate(certificate.pdfPath);
+        if (!result.success) {
+            showError('打开销毁证书失败: ' + result.error);
+        }
+    });
+}
+
+/**
+ * 处理验证销毁证书：选择HTML或PDF证书，检查签名并对照粉碎日志
+ */
+async function handleVerifyCertificate() {
+    try {
+        const selected = await window.electronAPI.showCertificateDialog();
+        if (!selected.success) {
+            return;
+        }
+        
+        const response = await window.electronAPI.verifyCertificate(selected.filePath);
+        if (!response.success) {
+            showError('验证销毁证书失败: ' + response.error);
+            if (response.locked) {
+                openLogKeyDialog();
+            }
+            return;
+        }
+        
+        const { result } = response;
+        const jobText = `任务 ${result.certificate.jobId}，${result.certificate.items.length} 个项目`;
+        if (result.valid) {
+            showSuccess(`销毁证书有效：${jobText}，签名和粉碎日志一致`);
+            return;
+        }
+        
+        const problems = [];
+        if (!result.signatureValid) {
+            problems.push('签名与证书内容不一致，证书可能被修改');
+        } else if (!result.trustedKey) {
+            problems.push('证书不是由本机的签名密钥签发的');
+        }
+        if (result.documentValid === false) {
+            problems.push('证书文件的内容与签名数据不一致，显示的内容可能被修改');
+        }
+        problems.push(...result.mismatches);
+        showError(`销毁证书无效（${jobText}）：${problems.join('；')}`);
+    } catch (error) {
+        showError('验证销毁证书失败: ' + error.message);
+    }
+}
+
+/**
+ * 粉碎日志锁定时在日志区域显示解锁提示
+ */
+function showLockedLogs() {
+    elements.logContainer.innerHTML = '';
+    const locked = document.createElement('div');
+    locked.className = 'log-locked';
+    locked.textContent = '粉碎日志已锁定，需要密码或密钥文件才能查看';
+    
+    const unlockButton = document.createElement('button');
+    unlockButton.className = 'btn btn-small btn-primary';
+    unlockButton.textContent = '解锁';
+    unlockButton.addEventListener('click', openLogKeyDialog);
+    locked.appendChild(document.createElement('br'));
+    locked.appendChild(unlockButton);
+    
+    elements.logContainer.appendChild(locked);
+}
+
+/**
+ * 获取粉碎日志密钥状态，已设置密钥但未解锁时打开解锁对话框，未设置时提醒设置
+ */
+async function checkLogKeyStatus() {
+    try {
+        const result = await window.electronAPI.getLogKeyStatus();
+        if (!result.success) {
+            return;
+        }
+        
+        logKeyStatus = result.status;
+        if (logKeyStatus.configured && !logKeyStatus.unlocked) {
+            openLogKeyDialog();
+        } else if (!logKeyStatus.configured) {
+            showWarning('粉碎日志仍使用内置密钥加密，请点击"日志密钥"设置密码或密钥文件');
+        }
+    } catch (error) {
+        console.error('获取日志密钥状态失败:', error);
+    }
+}
+
+/**
+ * 打开粉碎日志密钥对话框
+ */
+async function openLogKeyDialog() {
+    try {
+        const result = await window.electronAPI.getLogKeyStatus();
+        if (!result.success) {
+            showError('获取日志密钥状态失败: ' + result.error);
+            return;
+        }
+        logKeyStatus = result.status;
+    } catch (error) {
+        showError('获取日志密钥状态失败: ' + error.message);
+        return;
+    }
+    
+    renderLogKeyDialog();
+    elements.logKeyModal.style.display = 'flex';
+    if (logKeyStatus.configured && !logKeyStatus.unlocked && logKeyStatus.mode === 'passphrase') {
+        elements.logUnlockPassphraseInput.focus();
+    }
+}
+
+/**
+ * 关闭粉碎日志密钥对话框，清除输入的密码
+ */
+function closeLogKeyDialog() {
+    elements.logKeyModal.style.display = 'none';
+    elements.logUnlockPassphraseInput.value = '';
+    elements.logKeyPassphraseInput.value = '';
+    elements.logKeyPassphraseConfirmInput.value = '';
+}
+
+/**
+ * 按当前密钥状态显示对话框内容
+ */
+function renderLogKeyDialog() {
+    const status = logKeyStatus;
+    const locked = status.configured && !status.unlocked;
+    
+    if (status.error) {
+        elements.logKeyStatusText.textContent = `无法读取密钥设置: ${status.error}`;
+    } else if (!status.configured) {
+        elements.logKeyStatusText.textContent = '尚未设置密钥，粉碎日志使用内置密钥加密，任何人都可以解密';
+    } else {
+        const modeText = status.mode === 'keyfile' ? '密钥文件' : '密码';
+        elements.logKeyStatusText.textContent = locked ? `粉碎日志已用${modeText}加密，当前已锁定` : `粉碎日志已用${modeText}加密，当前已解锁`;
+        if (status.pendingEntries > 0) {
+            elements.logKeyStatusText.textContent += `（${status.pendingEntries} 条记录等待解锁后写入）`;
+        }
+    }
+    
+    // 已锁定时只能解锁；已解锁或未设置时可以设置或更换密钥
+    elements.logUnlockSection.style.display = locked ? 'block' : 'none';
+    elements.logUnlockPassphraseRow.style.display = status.mode === 'keyfile' ? 'none' : 'flex';
+    elements.logUnlockKeyfileRow.style.display = status.mode === 'keyfile' ? 'flex' : 'none';
+    unlockKeyfilePath = status.keyfilePath;
+    elements.logUnlockKeyfileText.textContent = unlockKeyfilePath || '未选择';
+    
+    elements.logChangeKeySection.style.display = locked ? 'none' : 'block';
+    elements.logChangeKeyTitle.textContent = status.configured ? '更换密钥' : '设置密钥';
+    newKeyfilePath = null;
+    elements.logKeyKeyfileText.textContent = '未选择';
+    updateLogKeyTypeRows();
+}
+
+/**
+ * 按选择的密钥方式显示密码或密钥文件输入
+ */
+function updateLogKeyTypeRows() {
+    const useKeyfile = elements.logKeyTypeSelect.value === 'keyfile';
+    elements.logKeyPassphraseRows.style.display = useKeyfile ? 'none' : 'block';
+    elements.logKeyKeyfileRow.style.display = useKeyfile ? 'flex' : 'none';
+}
+
+/**
+ * 选择密钥文件
+ * @param {HTMLElement} textElement - 显示所选路径的元素
+ * @returns {Promise<string|null>} - 密钥文件路径，取消时返回null
+ */
+async function selectKeyfile(textElement) {
+    try {
+        const result = await window.electronAPI.showKeyfileDialog();
+        if (!result.success) {
+            return null;
+        }
+        textElement.textContent = result.filePath;
+        return result.filePath;
+    } catch (error) {
+        showError('选择密钥文件失败: ' + error.message);
+        return null;
+    }
+}
+
+/**
+ * 处理解锁粉碎日志
+ */
+async function handleUnlockLogs() {
+    const secret = logKeyStatus && logKeyStatus.mode === 'keyfile'
+        ? { type: 'keyfile', keyfilePath: unlockKeyfilePath }
+        : { type: 'passphrase', passphrase: elements.logUnlockPassphraseInput.value };
+    
+    try {
+        const result = await window.electronAPI.unlockLogs(secret);
+        if (result.success) {
+            logKeyStatus = result.status;
+            closeLogKeyDialog();
+            showSuccess('粉碎日志已解锁');
+            await handleLogTypeChange();
+        } else {
+            showError('解锁失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('解锁失败: ' + error.message);
+    }
+}
+
+/**
+ * 处理设置或更换粉碎日志密钥
+ */
+async function handleChangeLogKey() {
+    let secret;
+    if (elements.logKeyTypeSelect.value === 'keyfile') {
+        if (!newKeyfilePath) {
+            showError('请选择密钥文件');
+            return;
+        }
+        secret = { type: 'keyfile', keyfilePath: newKeyfilePath };
+    } else {
+        if (elements.logKeyPassphraseInput.value !== elements.logKeyPassphraseConfirmInput.value) {
+            showError('两次输入的密码不一致');
+            return;
+        }
+        secret = { type: 'passphrase', passphrase: elements.logKeyPassphraseInput.value };
+    }
+    
+    elements.changeLogKeyBtn.disabled = true;
+    try {
+        const result = await window.electronAPI.changeLogKey(secret);
+        if (result.success) {
+            logKeyStatus = result.status;
+            closeLogKeyDialog();
+            const { summary } = result;
+            showSuccess(`日志密钥已更新，已重新加密 ${summary.files} 个日志文件中的 ${summary.entries} 条记录`);
+            if (summary.failed > 0) {
+                showWarning(`${summary.failed} 条记录无法解密，已保留原样`);
+            }
+            await handleLogTypeChange();
+        } else {
+            showError('更新日志密钥失败: ' + result.error);
+        }
+    } catch (error) {
+        showError('更新日志密钥失败: ' + error.message);
+    } finally {
+        elements.changeLogKeyBtn.disabled = false;
+    }
+}
+
 /**
  * 解析文件粉碎日志
  * @param {Array} logLines - 日志行数组
@@ -631,7 +1936,14 @@ function parseShreddingLogs(logLines) {
     let currentEntry = null;
     
     for (const line of filteredLines) {
-        if (line.startsWith('时间: ')) {
+        if (line.startsWith('完整性错误: ')) {
+            // 未通过认证的条目单独显示，不并入前后的条目
+            if (currentEntry) {
+                entries.push(currentEntry);
+                currentEntry = null;
+            }
+            entries.push({ integrityError: line.substring(7).trim() });
+        } else if (line.startsWith('时间: ')) {
             // 新条目开始
             if (currentEntry) {
                 entries.push(currentEntry);
@@ -640,9 +1952,23 @@ function parseShreddingLogs(logLines) {
             currentEntry = {
                 timestamp: line.substring(4).trim(),
                 path: '',
+                standard: '',
+                jobId: '',
+                passCount: '',
+                passes: '',
+                writes: '',
+                filesystem: '',
+                renameCount: '',
                 size: '',
                 result: '',
                 failureReason: '',
+                verification: '',
+                metadataScrub: '',
+                linkDecisions: '',
+                children: '',
+                freeSpace: '',
+                coverage: '',
+                assurance: '',
                 startTime: '',
                 endTime: ''
             };
@@ -650,6 +1976,20 @@ function parseShreddingLogs(logLines) {
             // 解析条目内容
             if (line.startsWith('路径: ')) {
                 currentEntry.path = line.substring(4).trim();
+            } else if (line.startsWith('粉碎标准: ')) {
+                currentEntry.standard = line.substring(6).trim();
+            } else if (line.startsWith('任务编号: ')) {
+                currentEntry.jobId = line.substring(6).trim();
+            } else if (line.startsWith('覆盖次数: ')) {
+                currentEntry.passCount = line.substring(6).trim();
+            } else if (line.startsWith('每步耗时: ')) {
+                currentEntry.passes = line.substring(6).trim();
+            } else if (line.startsWith('写入量: ')) {
+                currentEntry.writes = line.substring(5).trim();
+            } else if (line.startsWith('文件系统: ')) {
+                currentEntry.filesystem = line.substring(6).trim();
+            } else if (line.startsWith('重命名次数: ')) {
+                currentEntry.renameCount = line.substring(7).trim();
             } else if (line.startsWith('大小: ')) {
                 currentEntry.size = line.substring(4).trim();
             } else if (line.startsWith('结果: ')) {
@@ -660,6 +2000,20 @@ function parseShreddingLogs(logLines) {
                 }
             } else if (line.startsWith('失败原因: ')) {
                 currentEntry.failureReason = line.substring(6).trim();
+            } else if (line.startsWith('校验: ')) {
+                currentEntry.verification = line.substring(4).trim();
+            } else if (line.startsWith('元数据: ')) {
+                currentEntry.metadataScrub = line.substring(5).trim();
+            } else if (line.startsWith('链接处理: ')) {
+                currentEntry.linkDecisions = line.substring(6).trim();
+            } else if (line.startsWith('子项目: ')) {
+                currentEntry.children = line.substring(5).trim();
+            } else if (line.startsWith('剩余空间: ')) {
+                currentEntry.freeSpace = line.substring(6).trim();
+            } else if (line.startsWith('存储评估: ')) {
+                currentEntry.assurance = line.substring(6).trim();
+            } else if (line.startsWith('覆盖范围: ')) {
+                currentEntry.coverage = line.substring(6).trim();
             } else if (line.startsWith('开始时间: ')) {
                 currentEntry.startTime = line.substring(6).trim();
             } else if (line.startsWith('结束时间: ')) {
@@ -676,6 +2030,38 @@ function parseShreddingLogs(logLines) {
     return entries;
 }
 
+/**
+ * 创建完整性错误卡片
+ * @param {Object} entry - 未通过完整性校验的日志条目
+ * @returns {HTMLElement} - 日志卡片元素
+ */
+function createIntegrityErrorCard(entry) {
+    const card = document.createElement('div');
+    card.className = 'log-card log-integrity-error';
+    
+    const header = document.createElement('div');
+    header.className = 'log-card-header';
+    
+    const statusIcon = document.createElement('span');
+    statusIcon.className = 'log-status-icon icon-failure';
+    statusIcon.textContent = '⚠';
+    
+    const title = document.createElement('span');
+    title.className = 'log-timestamp';
+    title.textContent = '完整性错误';
+    
+    header.appendChild(statusIcon);
+    header.appendChild(title);
+    
+    const content = document.createElement('div');
+    content.className = 'log-card-content log-failure-text';
+    content.textContent = entry.integrityError;
+    
+    card.appendChild(header);
+    card.appendChild(content);
+    return card;
+}
+
 /**
  * 创建日志卡片
  * @param {Object} entry - 日志条目
@@ -683,7 +2069,9 @@ function parseShreddingLogs(logLines) {
  */
 function createLogCard(entry) {
     const card = document.createElement('div');
-    card.className = `log-card ${entry.result === '粉碎成功' ? 'log-success' : 'log-failure'}`;
+    const unlinked = entry.result === '仅删除链接（数据未覆盖）';
+    const skipped = entry.result.startsWith('已跳过');
+    card.className = `log-card ${entry.result === '粉碎成功' ? 'log-success' : entry.result === '已取消' || unlinked || skipped ? 'log-cancelled' : 'log-failure'}`;
     
     // 卡片头部
     const header = document.createElement('div');
@@ -691,7 +2079,7 @@ function createLogCard(entry) {
     
     const statusIcon = document.createElement('span');
     statusIcon.className = `log-status-icon ${entry.result === '粉碎成功' ? 'icon-success' : 'icon-failure'}`;
-    statusIcon.textContent = entry.result === '粉碎成功' ? '✓' : '✗';
+    statusIcon.textContent = entry.result === '粉碎成功' ? '✓' : entry.result === '已取消' ? '■' : entry.result === '部分完成' ? '◐' : unlinked ? '⤳' : skipped ? '−' : '✗';
     
     const timestamp = document.createElement('span');
     timestamp.className = 'log-timestamp';
@@ -799,6 +2187,176 @@ function createLogCard(entry) {
         content.appendChild(failureRow);
     }
     
+    // 粉碎标准（如果有）
+    if (entry.standard) {
+        const standardRow = document.createElement('div');
+        standardRow.className = 'log-row';
+        
+        const standardLabel = document.createElement('span');
+        standardLabel.className = 'log-label';
+        standardLabel.textContent = '粉碎标准: ';
+        
+        const standardValue = document.createElement('span');
+        standardValue.className = 'log-value';
+        standardValue.textContent = entry.standard;
+        
+        standardRow.appendChild(standardLabel);
+        standardRow.appendChild(standardValue);
+        content.appendChild(standardRow);
+    }
+    
+    // 粉碎方式：覆盖次数、每一步的耗时和写入速度（如果有）
+    const detailRows = [
+        ['覆盖次数: ', entry.passCount],
+        ['每步耗时: ', entry.passes],
+        ['写入量: ', entry.writes],
+        ['文件系统: ', entry.filesystem],
+        ['重命名次数: ', entry.renameCount],
+        ['任务编号: ', entry.jobId]
+    ];
+    detailRows.filter(([, value]) => value).forEach(([label, value]) => {
+        const detailRow = document.createElement('div');
+        detailRow.className = 'log-row';
+        
+        const detailLabel = document.createElement('span');
+        detailLabel.className = 'log-label';
+        detailLabel.textContent = label;
+        
+        const detailValue = document.createElement('span');
+        detailValue.className = 'log-value';
+        detailValue.textContent = value;
+        
+        detailRow.appendChild(detailLabel);
+        detailRow.appendChild(detailValue);
+        content.appendChild(detailRow);
+    });
+    
+    // 回读校验结果（如果有）
+    if (entry.verification) {
+        const verificationRow = document.createElement('div');
+        verificationRow.className = 'log-row';
+        
+        const verificationLabel = document.createElement('span');
+        verificationLabel.className = 'log-label';
+        verificationLabel.textContent = '回读校验: ';
+        
+        const verificationValue = document.createElement('span');
+        verificationValue.className = `log-value ${entry.verification.startsWith('失败') ? 'log-failure-reason' : ''}`;
+        verificationValue.textContent = entry.verification;
+        
+        verificationRow.appendChild(verificationLabel);
+        verificationRow.appendChild(verificationValue);
+        content.appendChild(verificationRow);
+    }
+    
+    // 元数据清除情况（如果有）
+    if (entry.metadataScrub) {
+        const metadataRow = document.createElement('div');
+        metadataRow.className = 'log-row';
+        
+        const metadataLabel = document.createElement('span');
+        metadataLabel.className = 'log-label';
+        metadataLabel.textContent = '元数据清除: ';
+        
+        const metadataValue = document.createElement('span');
+        metadataValue.className = 'log-value';
+        metadataValue.textContent = entry.metadataScrub;
+        
+        metadataRow.appendChild(metadataLabel);
+        metadataRow.appendChild(metadataValue);
+        content.appendChild(metadataRow);
+    }
+    
+    // 链接和特殊文件的处理决定（如果有）
+    if (entry.linkDecisions) {
+        const linkRow = document.createElement('div');
+        linkRow.className = 'log-row';
+        
+        const linkLabel = document.createElement('span');
+        linkLabel.className = 'log-label';
+        linkLabel.textContent = '链接处理: ';
+        
+        const linkValue = document.createElement('span');
+        linkValue.className = 'log-value';
+        linkValue.textContent = entry.linkDecisions;
+        
+        linkRow.appendChild(linkLabel);
+        linkRow.appendChild(linkValue);
+        content.appendChild(linkRow);
+    }
+    
+    // 文件夹子项目结果（如果有）
+    if (entry.children) {
+        const childrenRow = document.createElement('div');
+        childrenRow.className = 'log-row';
+        
+        const childrenLabel = document.createElement('span');
+        childrenLabel.className = 'log-label';
+        childrenLabel.textContent = '子项目: ';
+        
+        const childrenValue = document.createElement('span');
+        childrenValue.className = 'log-value';
+        childrenValue.textContent = entry.children;
+        
+        childrenRow.appendChild(childrenLabel);
+        childrenRow.appendChild(childrenValue);
+        content.appendChild(childrenRow);
+    }
+    
+    // 剩余空间擦除结果（如果有）
+    if (entry.freeSpace) {
+        const freeSpaceRow = document.createElement('div');
+        freeSpaceRow.className = 'log-row';
+        
+        const freeSpaceLabel = document.createElement('span');
+        freeSpaceLabel.className = 'log-label';
+        freeSpaceLabel.textContent = '剩余空间: ';
+        
+        const freeSpaceValue = document.createElement('span');
+        freeSpaceValue.className = 'log-value';
+        freeSpaceValue.textContent = entry.freeSpace;
+        
+        freeSpaceRow.appendChild(freeSpaceLabel);
+        freeSpaceRow.appendChild(freeSpaceValue);
+        content.appendChild(freeSpaceRow);
+    }
+    
+    // 存储评估（如果有）
+    if (entry.assurance) {
+        const assuranceRow = document.createElement('div');
+        assuranceRow.className = 'log-row';
+        
+        const assuranceLabel = document.createElement('span');
+        assuranceLabel.className = 'log-label';
+        assuranceLabel.textContent = '存储评估: ';
+        
+        const assuranceValue = document.createElement('span');
+        assuranceValue.className = 'log-value';
+        assuranceValue.textContent = entry.assurance;
+        
+        assuranceRow.appendChild(assuranceLabel);
+        assuranceRow.appendChild(assuranceValue);
+        content.appendChild(assuranceRow);
+    }
+    
+    // 覆盖范围（如果有）
+    if (entry.coverage) {
+        const coverageRow = document.createElement('div');
+        coverageRow.className = 'log-row';
+        
+        const coverageLabel = document.createElement('span');
+        coverageLabel.className = 'log-label';
+        coverageLabel.textContent = '覆盖范围: ';
+        
+        const coverageValue = document.createElement('span');
+        coverageValue.className = 'log-value';
+        coverageValue.textContent = entry.coverage;
+        
+        coverageRow.appendChild(coverageLabel);
+        coverageRow.appendChild(coverageValue);
+        content.appendChild(coverageRow);
+    }
+    
     content.appendChild(pathRow);
     content.appendChild(sizeRow);
     content.appendChild(timeRow);
@@ -852,6 +2410,46 @@ function formatFileSize(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+/**
+ * 格式化时长
+ * @param {number} seconds - 秒数
+ * @returns {string} - 时长文本
+ */
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    
+    if (hours > 0) return `${hours}小时${minutes}分`;
+    if (minutes > 0) return `${minutes}分${secs}秒`;
+    return `${secs}秒`;
+}
+
+/**
+ * 格式化进度详情（已写入字节、覆盖步骤、速度和剩余时间）
+ * @param {object} detail - 进度详情
+ * @returns {string} - 进度详情文本
+ */
+function formatProgressDetail(detail) {
+    if (!detail) return '';
+    
+    const parts = [];
+    if (detail.passCount) {
+        parts.push(`第${detail.passIndex}/${detail.passCount}步`);
+    }
+    if (detail.fileCount) {
+        parts.push(`${detail.filesDone}/${detail.fileCount} 个文件`);
+    }
+    parts.push(`${formatFileSize(detail.bytesDone)} / ${formatFileSize(detail.bytesTotal)}`);
+    if (detail.throughput >= 1) {
+        parts.push(`${formatFileSize(Math.round(detail.throughput))}/s`);
+    }
+    if (detail.etaSeconds !== null && detail.etaSeconds !== undefined) {
+        parts.push(`剩余约 ${formatDuration(detail.etaSeconds)}`);
+    }
+    return parts.join(' · ');
+}
+
 /**
  * 获取状态文本
  */
@@ -859,8 +2457,32 @@ function getStatusText(status) {
     switch (status) {
         case 'pending': return '等待中';
         case 'processing': return '粉碎中';
+        case 'paused': return '已暂停';
         case 'completed': return '已完成';
         case 'failed': return '失败';
+        case 'cancelled': return '已取消';
+        case 'partial': return '部分完成';
+        case 'skipped': return '已跳过';
+        case 'unlinked': return '仅删除链接';
+        default: return '未知';
+    }
+}
+
+/**
+ * 获取文件夹子项目的状态文本
+ * @param {string} status - 子项目状态
+ * @returns {string} - 状态文本
+ */
+function getChildStatusText(status) {
+    switch (status) {
+        case 'pending': return '未处理';
+        case 'shredded': return '已粉碎';
+        case 'removed': return '已删除';
+        case 'unlinked': return '仅删除链接';
+        case 'skipped': return '已跳过';
+        case 'refused': return '拒绝粉碎';
+        case 'cancelled': return '已取消（部分覆盖）';
+        case 'failed': return '失败';
         default: return '未知';
     }
 }
@@ -49,9 +49,87 @@ class TestRunner {
         case 'progress':
           await tests.testProgressCallback();
           break;
+        case 'method':
+          await tests.testMethodSelection();
+          break;
+        case 'profile':
+          await tests.testCustomProfile();
+          break;
+        case 'verify':
+          await tests.testVerification();
+          break;
+        case 'standards':
+          await tests.testStandardMethods();
+          break;
+        case 'cancel':
+          await tests.testPauseAndCancel();
+          break;
+        case 'resume':
+          await tests.testResumeFromCheckpoint();
+          break;
+        case 'worker':
+          await tests.testWorkerShred();
+          break;
+        case 'concurrent':
+          await tests.testConcurrentShred();
+          break;
+        case 'detail':
+          await tests.testProgressDetail();
+          break;
+        case 'metadata':
+          await tests.testMetadataScrub();
+          break;
+        case 'dirnames':
+          await tests.testDirectoryObfuscation();
+          break;
+        case 'links':
+          await tests.testLinkPolicy();
+          break;
+        case 'children':
+          await tests.testFolderResults();
+          break;
+        case 'freespace':
+          await tests.testFreeSpaceWipe();
+          break;
+        case 'slack':
+          await tests.testSlackCoverage();
+          break;
+        case 'storage':
+          await tests.testStorageAssessment();
+          break;
+        case 'crypto':
+          await tests.testCryptoErase();
+          break;
+        case 'diskspace':
+          await tests.testDiskSpace();
+          break;
+        case 'protected':
+          await tests.testProtectedPaths();
+          break;
+        case 'openfiles':
+          await tests.testOpenHandles();
+          break;
+        case 'logkey':
+          await tests.testLogKeyManager();
+          break;
+        case 'logcrypt':
+          await tests.testLogEncryption();
+          break;
+        case 'logchain':
+          await tests.testLogChain();
+          break;
+        case 'rekey':
+          await tests.testKeyChangeRecovery();
+          break;
+        case 'certificate':
+          await tests.testDestructionCertificate();
+          break;
+        case 'records':
+          await tests.testRecordDetails();
+          break;
         default:
           console.error(`未知的测试名称: ${testName}`);
-          console.log('可用的测试: quick, dod, gutmann, directory, size, invalid, progress');
+          console.log('可用的测试: quick, dod, gutmann, directory, size, invalid, progress, method, profile, verify, standards, cancel, resume, worker, concurrent, detail, metadata, dirnames, links, children, freespace, slack, storage, crypto, diskspace, protected, openfiles, logkey, logcrypt, logchain, rekey, certificate, records');
           return;
       }
       
@@ -86,4 +164,30 @@ if (args.length === 0) {
   console.error('  size       - 文件大小限制测试');
   console.error('  invalid    - 无效文件路径测试');
   console.error('  progress   - 进度回调测试');
+  console.error('  method     - 粉碎方法选择测试');
+  console.error('  profile    - 自定义粉碎方案测试');
+  console.error('  verify     - 回读校验测试');
+  console.error('  standards  - 标准粉碎方法测试');
+  console.error('  cancel     - 暂停和取消测试');
+  console.error('  resume     - 检查点继续测试');
+  console.error('  worker     - 工作线程粉碎测试');
+  console.error('  concurrent - 并行粉碎测试');
+  console.error('  detail     - 进度详情测试');
+  console.error('  metadata   - 元数据清除测试');
+  console.error('  dirnames   - 目录名称清除测试');
+  console.error('  links      - 链接处理策略测试');
+  console.error('  children   - 子项目结果测试');
+  console.error('  freespace  - 剩余空间擦除测试');
+  console.error('  slack      - 松弛空间覆盖测试');
+  console.error('  storage    - 存储评估测试');
+  console.error('  crypto     - 加密擦除测试');
+  console.error('  diskspace  - 磁盘空间测试');
+  console.error('  protected  - 受保护路径测试');
+  console.error('  openfiles  - 打开文件检查测试');
+  console.error('  logkey     - 日志密钥测试');
+  console.error('  logcrypt   - 日志加密测试');
+  console.error('  logchain   - 日志哈希链测试');
+  console.error('  rekey      - 密钥更换恢复测试');
+  console.error('  certificate - 销毁证书测试');
+  console.error('  records    - 粉碎记录统计测试');
 }
\ No newline at end of file